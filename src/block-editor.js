@@ -0,0 +1,401 @@
+/**
+ * WordPress block editor (Gutenberg) helper.
+ *
+ * Editor state is read and written through `wp.data` where it's more stable
+ * than the markup, which changes with every WordPress release. Blocks are
+ * inserted and typed through the UI, like a user would.
+ *
+ * @module BlockEditor
+ */
+
+/**
+ * External dependencies
+ */
+import { By } from 'selenium-webdriver';
+
+/**
+ * Internal dependencies
+ */
+import * as helper from './helper';
+import * as WPAdmin from './wp-admin';
+
+const editorCanvas = By.css( 'iframe[name="editor-canvas"]' );
+const welcomeGuide = By.css( '.edit-post-welcome-guide, .editor-welcome-guide' );
+const inserterToggle = By.css( [
+	'.edit-post-header-toolbar__inserter-toggle',
+	'.editor-document-tools__inserter-toggle',
+	'.edit-post-header-toolbar .block-editor-inserter__toggle',
+].join( ', ' ) );
+const inserterSearch = By.css( [
+	'.block-editor-inserter__search input',
+	'input.block-editor-inserter__search-input',
+	'input.components-search-control__input',
+].join( ', ' ) );
+const inserterItem = By.css( '.block-editor-block-types-list__item' );
+const inserterPanel = By.css( '.edit-post-editor__inserter-panel, .editor-inserter-sidebar' );
+const publishPanelToggle = By.css( '.editor-post-publish-panel__toggle' );
+const panelPublishButton = By.css( '.editor-post-publish-panel__header-publish-button .editor-post-publish-button' );
+const publishButton = By.css( '.editor-post-publish-button' );
+
+const editorReadyScript = `
+	return !! ( window.wp && wp.data && wp.data.select( 'core/editor' ) &&
+		wp.data.select( 'core/block-editor' ) &&
+		document.querySelector( '.block-editor-writing-flow, .editor-writing-flow, iframe[name="editor-canvas"]' ) );
+`;
+
+// Turns off the welcome guide, stored as an editor feature before WordPress
+// 6.5 and as a preference since, and the tips of older versions.
+const dismissWelcomeGuideScript = `
+	var preferences = wp.data.select( 'core/preferences' );
+	var editPost = wp.data.select( 'core/edit-post' );
+
+	if ( preferences && preferences.get( 'core/edit-post', 'welcomeGuide' ) ) {
+		wp.data.dispatch( 'core/preferences' ).set( 'core/edit-post', 'welcomeGuide', false );
+	} else if ( editPost && editPost.isFeatureActive && editPost.isFeatureActive( 'welcomeGuide' ) ) {
+		wp.data.dispatch( 'core/edit-post' ).toggleFeature( 'welcomeGuide' );
+	}
+
+	if ( wp.data.dispatch( 'core/nux' ) ) {
+		wp.data.dispatch( 'core/nux' ).disableTips();
+	}
+`;
+
+const blockCountScript = `
+	return wp.data.select( 'core/block-editor' ).getClientIdsWithDescendants().length;
+`;
+
+const selectedBlockScript = `
+	var editor = wp.data.select( 'core/block-editor' );
+	var clientId = editor.getSelectedBlockClientId();
+
+	return clientId ? { clientId: clientId, name: editor.getBlockName( clientId ) } : null;
+`;
+
+const saveStateScript = `
+	var editor = wp.data.select( 'core/editor' );
+	var notices = wp.data.select( 'core/notices' );
+	var errors = notices ? notices.getNotices().filter( function( notice ) {
+		return notice.status === 'error';
+	} ) : [];
+
+	return {
+		saving: editor.isSavingPost() || editor.isAutosavingPost(),
+		failed: editor.didPostSaveRequestFail(),
+		dirty: editor.isEditedPostDirty(),
+		error: errors.map( function( notice ) {
+			return String( notice.content );
+		} ).join( ' ' ),
+		id: editor.getCurrentPostId(),
+		status: editor.getEditedPostAttribute( 'status' ),
+		link: editor.getPermalink(),
+	};
+`;
+
+/**
+ * Run `fn` inside the editor canvas, which is an iframe since WordPress 6.3
+ * when all blocks support it.
+ *
+ * @param {object}   driver - Instance of WebDriver.
+ * @param {Function} fn     - Function called with `driver`.
+ *
+ * @return {Promise} A promise that will be resolved with the value of `fn`.
+ */
+function withinCanvas( driver, fn ) {
+	return driver.findElements( editorCanvas ).then( ( frames ) => {
+		return frames.length ? helper.withinFrame( driver, editorCanvas, fn ) : fn( driver );
+	} );
+}
+
+/**
+ * Wait for the block editor to load.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ * @param {number} waitMs - How long to wait in millisecond. Defaults to
+ *                          `WebDriverHelper.getDefaultWaitMs( driver )`.
+ *
+ * @return {Promise} A promise that will be resolved with `true` once the
+ *                   editor is ready, or rejected if times out waiting for it.
+ */
+export function waitForEditor( driver, waitMs = helper.getDefaultWaitMs( driver ) ) {
+	return driver.wait( () => {
+		return driver.executeScript( editorReadyScript ).then( ready => ready, () => false );
+	}, waitMs, 'Timed out waiting for the block editor to load' );
+}
+
+/**
+ * Dismiss the welcome guide, and the tips of older WordPress versions, for
+ * the current user.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ * @param {number} waitMs - How long to wait in millisecond for the guide to
+ *                          close. Defaults to `WebDriverHelper.getDefaultWaitMs( driver )`.
+ *
+ * @return {Promise} A promise that will be resolved with `true` once the
+ *                   guide is closed.
+ */
+export function dismissWelcomeGuide( driver, waitMs = helper.getDefaultWaitMs( driver ) ) {
+	return driver.executeScript( dismissWelcomeGuideScript ).then( () => {
+		return helper.waitTillNotPresent( driver, welcomeGuide, waitMs );
+	} );
+}
+
+/**
+ * Open the block editor for a new post.
+ *
+ * @param {object} manager  - Instance of `WebDriverManager`.
+ * @param {string} postType - Post type like 'page' or 'product'. Defaults to 'post'.
+ * @param {object} options  - Optional object where `waitMs` is time in
+ *                            millisecond to wait for the editor.
+ *
+ * @example
+ *
+ * import { WebDriverManager, BlockEditor } from 'wp-e2e-webdriver';
+ *
+ * const manager = new WebDriverManager( 'chrome' );
+ * const driver = manager.getDriver();
+ *
+ * BlockEditor.newPost( manager, 'page' ).then( () => {
+ *   return BlockEditor.typeInParagraph( driver, 'Hello' );
+ * } ).then( () => {
+ *   return BlockEditor.publish( driver );
+ * } );
+ *
+ * @return {Promise} A promise that will be resolved once the editor is ready,
+ *                   with the welcome guide dismissed.
+ */
+export function newPost( manager, postType = 'post', options = {} ) {
+	return openEditor( manager, `post-new.php?post_type=${ encodeURIComponent( postType ) }`, options );
+}
+
+/**
+ * Open the block editor for an existing post.
+ *
+ * @param {object} manager - Instance of `WebDriverManager`.
+ * @param {number} postId  - ID of the post.
+ * @param {object} options - Optional object, see `newPost`.
+ *
+ * @return {Promise} A promise that will be resolved once the editor is ready,
+ *                   with the welcome guide dismissed.
+ */
+export function editPost( manager, postId, options = {} ) {
+	return openEditor( manager, `post.php?post=${ postId }&action=edit`, options );
+}
+
+function openEditor( manager, adminPath, { waitMs } = {} ) {
+	const driver = manager.getDriver();
+
+	return WPAdmin.goToAdminUrl( manager, adminPath, { waitMs } ).then( () => {
+		return waitForEditor( driver, waitMs );
+	} ).then( () => {
+		return dismissWelcomeGuide( driver, waitMs );
+	} );
+}
+
+/**
+ * Insert a block through the inserter of the editor toolbar.
+ *
+ * @param {object} driver    - Instance of WebDriver.
+ * @param {string} blockName - Block title as shown in the inserter, like
+ *                             'Paragraph', or block name like 'core/paragraph'.
+ * @param {number} waitMs    - How long to wait in millisecond. Defaults to
+ *                             `WebDriverHelper.getDefaultWaitMs( driver )`.
+ *
+ * @return {Promise} A promise that will be resolved with the client ID of the
+ *                   inserted block, or rejected if the inserter doesn't list it.
+ */
+export function insertBlock( driver, blockName, waitMs = helper.getDefaultWaitMs( driver ) ) {
+	let title;
+	let blockCount;
+
+	return driver.executeScript( `
+		var type = arguments[ 0 ].indexOf( '/' ) > -1 && wp.blocks.getBlockType( arguments[ 0 ] );
+		return type ? type.title : arguments[ 0 ];
+	`, blockName ).then( ( blockTitle ) => {
+		title = blockTitle;
+		return driver.executeScript( blockCountScript );
+	} ).then( ( count ) => {
+		blockCount = count;
+		return isDisplayed( driver, inserterSearch );
+	} ).then( ( open ) => {
+		return open || helper.clickWhenClickable( driver, inserterToggle, waitMs );
+	} ).then( () => {
+		return helper.setWhenSettable( driver, inserterSearch, title, { waitMs } );
+	} ).then( () => {
+		return driver.wait( () => findInserterItem( driver, title ), waitMs ).then( null, () => {
+			throw new Error( `Could not find block '${ blockName }' in the inserter` );
+		} );
+	} ).then( ( item ) => {
+		return item.click();
+	} ).then( () => {
+		return driver.wait( () => {
+			return driver.executeScript( blockCountScript ).then( count => count > blockCount );
+		}, waitMs, `Timed out waiting for block '${ blockName }' to be inserted` );
+	} ).then( () => {
+		return closeInserter( driver, waitMs );
+	} ).then( () => {
+		return driver.executeScript( selectedBlockScript );
+	} ).then( block => block && block.clientId );
+}
+
+// Resolves with `true` if an element located by `selector` is displayed, without waiting.
+function isDisplayed( driver, selector ) {
+	return driver.findElements( selector ).then( ( elements ) => {
+		return Promise.all( elements.map( element => element.isDisplayed() ) );
+	} ).then( shown => shown.indexOf( true ) > -1 );
+}
+
+// Resolves with the inserter item titled exactly `title`, or `false`.
+function findInserterItem( driver, title ) {
+	return driver.findElements( inserterItem ).then( ( items ) => {
+		return Promise.all( items.map( item => item.getText() ) ).then( ( texts ) => {
+			const index = texts.findIndex( text => text.trim() === title );
+			return index > -1 ? items[ index ] : false;
+		} );
+	} );
+}
+
+// The inserter of newer versions is a sidebar that stays open.
+function closeInserter( driver, waitMs ) {
+	return isDisplayed( driver, inserterPanel ).then( ( open ) => {
+		if ( ! open ) {
+			return true;
+		}
+		return helper.clickWhenClickable( driver, inserterToggle, waitMs ).then( () => {
+			return helper.waitTillNotPresent( driver, inserterPanel, waitMs );
+		} );
+	} );
+}
+
+/**
+ * Type `text` into a paragraph block.
+ *
+ * @param {object} driver  - Instance of WebDriver.
+ * @param {string} text    - Text to type.
+ * @param {object} options - Optional object where `clientId` is the client ID
+ *                           of the paragraph, defaulting to the selected
+ *                           paragraph or a new one, and `waitMs` is time in
+ *                           millisecond to wait for the text to be typed.
+ *
+ * @return {Promise} A promise that will be resolved with the client ID of the
+ *                   paragraph.
+ */
+export function typeInParagraph( driver, text, { clientId, waitMs = helper.getDefaultWaitMs( driver ) } = {} ) {
+	let paragraph;
+
+	return driver.executeScript( selectedBlockScript ).then( ( selected ) => {
+		if ( clientId ) {
+			return clientId;
+		}
+		if ( selected && selected.name === 'core/paragraph' ) {
+			return selected.clientId;
+		}
+		return insertBlock( driver, 'core/paragraph', waitMs );
+	} ).then( ( id ) => {
+		paragraph = id;
+
+		return withinCanvas( driver, () => {
+			return driver.executeScript( `
+				var block = document.querySelector( '[data-block="' + arguments[ 0 ] + '"]' );
+				return block && ( block.isContentEditable ? block : block.querySelector( '[contenteditable="true"]' ) );
+			`, paragraph ).then( ( editable ) => {
+				if ( ! editable ) {
+					throw new Error( `Could not find paragraph block '${ paragraph }'` );
+				}
+				return editable.click().then( () => editable.sendKeys( text ) );
+			} );
+		} );
+	} ).then( () => {
+		return driver.wait( () => {
+			return driver.executeScript(
+				'var content = wp.data.select( "core/block-editor" ).getBlockAttributes( arguments[ 0 ] ).content; ' +
+				'var node = document.createElement( "div" ); node.innerHTML = String( content || "" ); return node.textContent;',
+				paragraph
+			).then( content => content.indexOf( text ) > -1 );
+		}, waitMs, `Timed out waiting for paragraph to contain '${ text }'` );
+	} ).then( () => paragraph );
+}
+
+/**
+ * Get the blocks of the post.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ *
+ * @return {Promise} A promise that will be resolved with an array of blocks,
+ *                   objects with `clientId`, `name`, `attributes` and
+ *                   `innerBlocks`.
+ */
+export function getBlocks( driver ) {
+	return driver.executeScript( `
+		function serialize( block ) {
+			return {
+				clientId: block.clientId,
+				name: block.name,
+				attributes: JSON.parse( JSON.stringify( block.attributes ) ),
+				innerBlocks: block.innerBlocks.map( serialize ),
+			};
+		}
+		return wp.data.select( 'core/block-editor' ).getBlocks().map( serialize );
+	` );
+}
+
+/**
+ * Get the serialized content of the post, as it would be saved.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ *
+ * @return {Promise} A promise that will be resolved with the post content.
+ */
+export function getPostContent( driver ) {
+	return driver.executeScript( 'return wp.data.select( "core/editor" ).getEditedPostContent();' );
+}
+
+/**
+ * Wait for the post to be saved.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ * @param {number} waitMs - How long to wait in millisecond. Defaults to
+ *                          `WebDriverHelper.getDefaultWaitMs( driver )`.
+ *
+ * @return {Promise} A promise that will be resolved with `id`, `status` and
+ *                   `link` of the saved post, or rejected with the error
+ *                   notice if saving failed.
+ */
+export function waitForSave( driver, waitMs = helper.getDefaultWaitMs( driver ) ) {
+	return driver.wait( () => {
+		return driver.executeScript( saveStateScript ).then( ( state ) => {
+			return ! state.saving && ( state.failed || ! state.dirty ) && state;
+		} );
+	}, waitMs, 'Timed out waiting for the post to be saved' ).then( ( state ) => {
+		if ( state.failed ) {
+			throw new Error( `Failed to save the post: ${ state.error || 'unknown error' }` );
+		}
+
+		return { id: state.id, status: state.status, link: state.link };
+	} );
+}
+
+/**
+ * Publish the post, or update it if it's already published, and wait for the
+ * save to complete.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ * @param {number} waitMs - How long to wait in millisecond. Defaults to
+ *                          `WebDriverHelper.getDefaultWaitMs( driver )`.
+ *
+ * @return {Promise} A promise that will be resolved with `id`, `status` and
+ *                   `link` of the saved post, see `waitForSave`.
+ */
+export function publish( driver, waitMs = helper.getDefaultWaitMs( driver ) ) {
+	return isDisplayed( driver, publishPanelToggle ).then( ( prePublish ) => {
+		// The pre-publish panel asks for confirmation, unless it's turned off.
+		if ( prePublish ) {
+			return helper.clickWhenClickable( driver, publishPanelToggle, waitMs ).then( () => {
+				return helper.clickWhenClickable( driver, panelPublishButton, waitMs );
+			} );
+		}
+
+		return helper.clickWhenClickable( driver, publishButton, waitMs );
+	} ).then( () => {
+		return waitForSave( driver, waitMs );
+	} );
+}
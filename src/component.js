@@ -0,0 +1,368 @@
+/**
+ * Base class of page objects and their components.
+ *
+ * @module Component
+ */
+
+/**
+ * External dependencies
+ */
+import { By, WebElementPromise, error, promise } from 'selenium-webdriver';
+
+/**
+ * Internal dependencies
+ */
+import * as helper from './helper';
+
+/**
+ * Get a locator from a CSS selector string, or the locator itself.
+ *
+ * @param {string|object|Function} selector - CSS selector, or instance of locator.
+ *
+ * @return {object} Locator.
+ */
+export function toLocator( selector ) {
+	return typeof selector === 'string' ? By.css( selector ) : selector;
+}
+
+/**
+ * Get a locator finding `selector` inside the element located by `root`.
+ *
+ * The locator keeps `using` and `value`, describing both, so helpers still
+ * name it in timeout messages. XPath expressions must start with `.//` to
+ * be relative to the root element.
+ *
+ * @param {string|object|Function} root     - Locator of the root element, or
+ *                                            `null` for the whole page.
+ * @param {string|object|Function} selector - Locator inside the root element.
+ *
+ * @return {object} Locator.
+ */
+export function scopedLocator( root, selector ) {
+	const child = toLocator( selector );
+	if ( ! root ) {
+		return child;
+	}
+
+	const parent = toLocator( root );
+	const locator = ( context ) => {
+		return context.findElement( parent ).then( element => element.findElements( child ) ).then( ( elements ) => {
+			if ( ! elements.length ) {
+				throw new error.NoSuchElementError( `Unable to locate element: ${ locator }` );
+			}
+			return elements;
+		} );
+	};
+
+	locator.using = `${ parent.using } of '${ parent.value }', then ${ child.using }`;
+	locator.value = child.value;
+	locator.toString = () => `${ locator.using } of '${ locator.value }'`;
+
+	return locator;
+}
+
+/**
+ * Class representing a component of a page, like the mini cart or a product
+ * card, with elements declared by name in `static get locators()`.
+ *
+ * Elements are located when used, inside the root element of the component,
+ * and interactions go through `WebDriverHelper`, so they wait for elements
+ * like the helpers do. Interactions wait for the component to be ready first,
+ * and reject if it isn't.
+ */
+export default class Component {
+	/**
+	 * Locators of the elements by name, CSS selector strings or instances of
+	 * locator. Overridden by subclasses.
+	 *
+	 * @return {object} Locators by name.
+	 */
+	static get locators() {
+		return {};
+	}
+
+	/**
+	 * Name or locator of the element telling the component is ready, waited
+	 * for on construction besides the root element. Overridden by subclasses.
+	 *
+	 * @return {string|object} Name in `locators`, locator, or `null`.
+	 */
+	static get expectedElement() {
+		return null;
+	}
+
+	/**
+	 * Creates a component and starts waiting for it to be ready, see `ready`.
+	 *
+	 * @param {object}        driver  - Instance of WebDriver.
+	 * @param {string|object} root    - Locator of the root element, `null`
+	 *                                  for the whole page.
+	 * @param {object}        options - Optional object where `waitMs` is how
+	 *                                  long to wait for elements in millisecond
+	 *                                  (defaults to `getDefaultWaitMs( driver )`)
+	 *                                  and `wait` is a boolean indicating the
+	 *                                  component waits to be ready (true).
+	 *
+	 * @example
+	 *
+	 * import { Component } from 'wp-e2e-webdriver';
+	 *
+	 * class MiniCart extends Component {
+	 *   static get locators() {
+	 *     return {
+	 *       count: '.cart-contents .count',
+	 *       checkout: 'a.checkout',
+	 *     };
+	 *   }
+	 *
+	 *   checkout() {
+	 *     return this.click( 'checkout' );
+	 *   }
+	 * }
+	 *
+	 * const cart = new MiniCart( driver, '.site-header-cart' );
+	 * cart.getText( 'count' ).then( count => {
+	 *   ...
+	 * } );
+	 */
+	constructor( driver, root = null, { waitMs = helper.getDefaultWaitMs( driver ), wait = true } = {} ) {
+		this.driver = driver;
+		this.root = root;
+		this.waitMs = waitMs;
+
+		this.setReady( wait ? this.waitForReady() : promise.fulfilled( this ) );
+	}
+
+	/**
+	 * Set `ready`, the promise resolved once the component is ready, or
+	 * rejected if it times out waiting. Interactions wait for it.
+	 *
+	 * @param {Promise} ready - Promise resolved once the component is ready.
+	 *
+	 * @return {Promise} `ready`.
+	 */
+	setReady( ready ) {
+		// A component that's not ready fails the calls using it, rather than
+		// being an unhandled rejection when it's never used.
+		ready.then( null, () => {} );
+		this.ready = ready;
+
+		return ready;
+	}
+
+	// Runs `fn` once the component is ready.
+	whenReady( fn ) {
+		return this.ready.then( () => fn() );
+	}
+
+	/**
+	 * Get the locator of the element `name`, inside the root element.
+	 *
+	 * @param {string|object} name - Name in `locators`, or a locator used as is.
+	 *
+	 * @return {object} Locator.
+	 */
+	locator( name ) {
+		if ( typeof name !== 'string' ) {
+			return scopedLocator( this.root, name );
+		}
+
+		const locators = this.constructor.locators;
+		if ( ! Object.prototype.hasOwnProperty.call( locators, name ) ) {
+			const names = Object.keys( locators ).join( ', ' );
+			throw new Error( `Unknown element '${ name }' of ${ this.constructor.name }. Expected one of: ${ names }` );
+		}
+
+		return scopedLocator( this.root, locators[ name ] );
+	}
+
+	/**
+	 * Wait for the root element and the expected element to be present and
+	 * displayed.
+	 *
+	 * @return {Promise} A promise that will be resolved with the component, or
+	 *                   rejected if times out waiting.
+	 */
+	waitForReady() {
+		const expected = this.constructor.expectedElement;
+		const waits = [];
+
+		if ( this.root ) {
+			waits.push( helper.waitTillPresentAndDisplayed( this.driver, toLocator( this.root ), this.waitMs ) );
+		}
+		if ( expected ) {
+			waits.push( helper.waitTillPresentAndDisplayed( this.driver, this.locator( expected ), this.waitMs ) );
+		}
+
+		return promise.all( waits ).then( () => this );
+	}
+
+	/**
+	 * Find the element `name`, when it's used.
+	 *
+	 * @param {string|object} name - Name in `locators`, or locator.
+	 *
+	 * @return {object} Instance of WebElementPromise.
+	 */
+	element( name ) {
+		const locator = this.locator( name );
+
+		return new WebElementPromise( this.driver, this.whenReady( () => this.driver.findElement( locator ) ) );
+	}
+
+	/**
+	 * Find all elements `name`.
+	 *
+	 * @param {string|object} name - Name in `locators`, or locator.
+	 *
+	 * @return {Promise} A promise that will be resolved with instances of
+	 *                   WebElement, empty if none is found.
+	 */
+	elements( name ) {
+		const locator = this.locator( name );
+
+		return this.whenReady( () => this.driver.findElements( locator ) ).then( null, ( err ) => {
+			if ( err instanceof error.NoSuchElementError ) {
+				return [];
+			}
+			throw err;
+		} );
+	}
+
+	/**
+	 * Get a component nested in this one, with the element `name` as root.
+	 *
+	 * @param {Function}      ComponentClass - Subclass of `Component`.
+	 * @param {string|object} name           - Name in `locators`, or locator,
+	 *                                         of the root element.
+	 * @param {object}        options        - Optional object, see the constructor.
+	 *
+	 * @example
+	 *
+	 * header.component( MiniCart, 'cart' ).checkout();
+	 *
+	 * @return {object} Instance of `ComponentClass`.
+	 */
+	component( ComponentClass, name, options = {} ) {
+		const nested = new ComponentClass( this.driver, this.locator( name ), Object.assign( { waitMs: this.waitMs }, options ) );
+
+		const nestedReady = nested.ready;
+
+		nested.setReady( this.ready.then( () => nestedReady ) );
+		return nested;
+	}
+
+	/**
+	 * Wait for the element `name` to be present and displayed.
+	 *
+	 * @param {string|object} name - Name in `locators`, or locator.
+	 *
+	 * @return {Promise} See `WebDriverHelper.waitTillPresentAndDisplayed()`.
+	 */
+	waitFor( name ) {
+		const locator = this.locator( name );
+
+		return this.whenReady( () => helper.waitTillPresentAndDisplayed( this.driver, locator, this.waitMs ) );
+	}
+
+	/**
+	 * Wait for the element `name` to be gone.
+	 *
+	 * @param {string|object} name - Name in `locators`, or locator.
+	 *
+	 * @return {Promise} See `WebDriverHelper.waitTillNotPresent()`.
+	 */
+	waitTillGone( name ) {
+		const locator = this.locator( name );
+
+		return this.whenReady( () => helper.waitTillNotPresent( this.driver, locator, this.waitMs ) );
+	}
+
+	/**
+	 * Check whether the element `name` is eventually present and displayed.
+	 *
+	 * @param {string|object} name   - Name in `locators`, or locator.
+	 * @param {number}        waitMs - Optional time to wait in millisecond.
+	 *
+	 * @return {Promise} See `WebDriverHelper.isEventuallyPresentAndDisplayed()`.
+	 */
+	isDisplayed( name, waitMs = this.waitMs ) {
+		const locator = this.locator( name );
+
+		return this.whenReady( () => helper.isEventuallyPresentAndDisplayed( this.driver, locator, waitMs ) );
+	}
+
+	/**
+	 * Click the element `name` once clickable.
+	 *
+	 * @param {string|object} name - Name in `locators`, or locator.
+	 *
+	 * @return {Promise} See `WebDriverHelper.clickWhenClickable()`.
+	 */
+	click( name ) {
+		const locator = this.locator( name );
+
+		return this.whenReady( () => helper.clickWhenClickable( this.driver, locator, this.waitMs ) );
+	}
+
+	/**
+	 * Set the value of the field `name` once settable.
+	 *
+	 * @param {string|object} name    - Name in `locators`, or locator.
+	 * @param {string}        value   - Value to set.
+	 * @param {object}        options - Optional object where `secureValue`
+	 *                                  hides the value in timeout messages.
+	 *
+	 * @return {Promise} See `WebDriverHelper.setWhenSettable()`.
+	 */
+	setValue( name, value, { secureValue = false } = {} ) {
+		const locator = this.locator( name );
+
+		return this.whenReady( () => helper.setWhenSettable( this.driver, locator, value, { secureValue, waitMs: this.waitMs } ) );
+	}
+
+	/**
+	 * Check or uncheck the checkbox `name`.
+	 *
+	 * @param {string|object} name    - Name in `locators`, or locator.
+	 * @param {boolean}       checked - Whether to check the checkbox (true).
+	 *
+	 * @return {Promise} See `WebDriverHelper.setCheckbox()`.
+	 */
+	setChecked( name, checked = true ) {
+		const locator = this.locator( name );
+
+		return this.whenReady( () => {
+			if ( checked ) {
+				return helper.setCheckbox( this.driver, locator, this.waitMs );
+			}
+
+			return helper.unsetCheckbox( this.driver, locator, this.waitMs );
+		} );
+	}
+
+	/**
+	 * Select the option with text `optionText` of the select element `name`.
+	 *
+	 * @param {string|object} name       - Name in `locators`, or locator.
+	 * @param {string}        optionText - Option text.
+	 *
+	 * @return {Promise} See `WebDriverHelper.selectOption()`.
+	 */
+	selectOption( name, optionText ) {
+		return this.waitFor( name ).then( () => {
+			return helper.selectOption( this.driver, this.locator( name ), optionText );
+		} );
+	}
+
+	/**
+	 * Get the visible text of the element `name`, once displayed.
+	 *
+	 * @param {string|object} name - Name in `locators`, or locator.
+	 *
+	 * @return {Promise} A promise that will be resolved with the text.
+	 */
+	getText( name ) {
+		return this.waitFor( name ).then( () => this.element( name ).getText() );
+	}
+}
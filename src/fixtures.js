@@ -0,0 +1,289 @@
+/**
+ * Data fixtures created through the WordPress REST API.
+ *
+ * @module Fixtures
+ */
+
+/**
+ * External dependencies
+ */
+import http from 'http';
+import https from 'https';
+import querystring from 'querystring';
+import url from 'url';
+import urljoin from 'url-join';
+
+// Query args to delete an entity permanently instead of trashing it.
+const deleteArgs = {
+	'wp/v2/users': { force: true, reassign: 'false' },
+};
+const defaultDeleteArgs = { force: true };
+
+/**
+ * Class representing fixtures of a WordPress site.
+ *
+ * Every entity created through a `Fixtures` instance is recorded, so it can be
+ * deleted again by `cleanup()` in the test's teardown.
+ */
+export default class Fixtures {
+	/**
+	 * Creates fixtures for the site of `manager`.
+	 *
+	 * @param {object} manager - Instance of `WebDriverManager`. Its base URL is
+	 *                           used to reach the REST API.
+	 * @param {object} options - Optional object where `username` and
+	 *                           `applicationPassword` authenticate with an
+	 *                           application password, `useBrowserSession` is
+	 *                           a boolean indicating the cookies of the logged
+	 *                           in browser plus a REST nonce are used instead,
+	 *                           and `restBase` is the path of the REST API
+	 *                           (defaults to '/wp-json/').
+	 *
+	 * @example
+	 *
+	 * import { WebDriverManager, Fixtures } from 'wp-e2e-webdriver';
+	 *
+	 * const manager = new WebDriverManager( 'chrome', { baseUrl: 'http://localhost:8080' } );
+	 * const fixtures = new Fixtures( manager, {
+	 *   username: 'admin',
+	 *   applicationPassword: 'abcd EFGH 1234 ijkl MNOP 6789',
+	 * } );
+	 *
+	 * fixtures.createProduct( { name: 'Beanie', regular_price: '18' } ).then( product => {
+	 *   ...
+	 * } );
+	 *
+	 * // In teardown
+	 * fixtures.cleanup();
+	 */
+	constructor( manager, { username, applicationPassword, useBrowserSession = false, restBase = '/wp-json/' } = {} ) {
+		this.manager = manager;
+		this.username = username;
+		this.applicationPassword = applicationPassword;
+		this.useBrowserSession = useBrowserSession;
+		this.restBase = restBase;
+		this.created = [];
+	}
+
+	/**
+	 * Get the headers authenticating REST requests.
+	 *
+	 * @return {Promise} A promise that will be resolved with the headers.
+	 */
+	getAuthHeaders() {
+		if ( this.applicationPassword ) {
+			const credentials = Buffer.from( `${ this.username }:${ this.applicationPassword }` ).toString( 'base64' );
+			return Promise.resolve( { Authorization: `Basic ${ credentials }` } );
+		}
+
+		if ( ! this.useBrowserSession ) {
+			return Promise.resolve( {} );
+		}
+
+		if ( ! this.browserSessionHeaders ) {
+			// Forget a failed fetch, e.g. before logging in, so it's retried.
+			this.browserSessionHeaders = this.fetchBrowserSessionHeaders().catch( ( err ) => {
+				this.browserSessionHeaders = null;
+				throw err;
+			} );
+		}
+
+		return this.browserSessionHeaders;
+	}
+
+	fetchBrowserSessionHeaders() {
+		const nonceUrl = urljoin( this.manager.getBaseUrl(), '/wp-admin/admin-ajax.php?action=rest-nonce' );
+
+		return Promise.resolve( this.manager.getDriver().manage().getCookies() ).then( ( cookies ) => {
+			const headers = {
+				Cookie: cookies.map( cookie => `${ cookie.name }=${ cookie.value }` ).join( '; ' ),
+			};
+
+			return send( 'GET', nonceUrl, headers ).then( ( response ) => {
+				if ( response.status !== 200 || ! /^[a-f0-9]+$/.test( response.body.trim() ) ) {
+					throw new Error( 'Could not get a REST nonce for the browser session. Is the browser logged in?' );
+				}
+
+				headers[ 'X-WP-Nonce' ] = response.body.trim();
+				return headers;
+			} );
+		} );
+	}
+
+	/**
+	 * Send a request to the REST API.
+	 *
+	 * @param {string} method - HTTP method.
+	 * @param {string} route  - Route like 'wp/v2/posts'.
+	 * @param {object} data   - Optional JSON body.
+	 * @param {object} query  - Optional query args.
+	 *
+	 * @return {Promise} A promise that will be resolved with the parsed response,
+	 *                   or rejected with the REST error code and message.
+	 */
+	request( method, route, data, query ) {
+		const search = query ? `?${ querystring.stringify( query ) }` : '';
+		const requestUrl = urljoin( this.manager.getBaseUrl(), this.restBase, route ) + search;
+
+		return this.getAuthHeaders().then( ( headers ) => {
+			return send( method, requestUrl, headers, data );
+		} ).then( ( response ) => {
+			let body;
+			try {
+				body = response.body ? JSON.parse( response.body ) : null;
+			} catch ( e ) {
+				throw new Error( `REST request ${ method } ${ route } returned invalid JSON with status ${ response.status }` );
+			}
+
+			if ( response.status >= 400 ) {
+				const reason = body && body.code ? `${ body.code }: ${ body.message }` : response.body;
+				const error = new Error( `REST request ${ method } ${ route } failed with status ${ response.status }, ${ reason }` );
+				error.status = response.status;
+				throw error;
+			}
+
+			return body;
+		} );
+	}
+
+	/**
+	 * Create an entity and record it for `cleanup()`.
+	 *
+	 * @param {string} route - Collection route like 'wp/v2/posts' or 'wc/v3/products'.
+	 * @param {object} data  - Entity data.
+	 *
+	 * @return {Promise} A promise that will be resolved with the created entity.
+	 */
+	create( route, data = {} ) {
+		return this.request( 'POST', route, data ).then( ( entity ) => {
+			this.created.push( { route, id: entity.id } );
+			return entity;
+		} );
+	}
+
+	/**
+	 * Create a post.
+	 *
+	 * @param {object} data - Post data, e.g. `{ title: 'Hello', status: 'publish' }`.
+	 *
+	 * @return {Promise} A promise that will be resolved with the created post.
+	 */
+	createPost( data ) {
+		return this.create( 'wp/v2/posts', data );
+	}
+
+	/**
+	 * Create a page.
+	 *
+	 * @param {object} data - Page data.
+	 *
+	 * @return {Promise} A promise that will be resolved with the created page.
+	 */
+	createPage( data ) {
+		return this.create( 'wp/v2/pages', data );
+	}
+
+	/**
+	 * Create a user.
+	 *
+	 * @param {object} data - User data with at least `username`, `email` and `password`.
+	 *
+	 * @return {Promise} A promise that will be resolved with the created user.
+	 */
+	createUser( data ) {
+		return this.create( 'wp/v2/users', data );
+	}
+
+	/**
+	 * Create a WooCommerce product.
+	 *
+	 * @param {object} data - Product data, e.g. `{ name: 'Beanie', regular_price: '18' }`.
+	 *
+	 * @return {Promise} A promise that will be resolved with the created product.
+	 */
+	createProduct( data ) {
+		return this.create( 'wc/v3/products', data );
+	}
+
+	/**
+	 * Create a WooCommerce coupon.
+	 *
+	 * @param {object} data - Coupon data, e.g. `{ code: 'ten', amount: '10' }`.
+	 *
+	 * @return {Promise} A promise that will be resolved with the created coupon.
+	 */
+	createCoupon( data ) {
+		return this.create( 'wc/v3/coupons', data );
+	}
+
+	/**
+	 * Permanently delete everything created through this instance, newest first.
+	 *
+	 * Entities that are already gone are skipped. Other failures don't stop
+	 * the cleanup, they are reported together once everything else is deleted.
+	 *
+	 * @return {Promise} A promise that will be resolved once all entities are
+	 *                   deleted, or rejected listing the ones that could not be.
+	 */
+	cleanup() {
+		const entities = this.created.slice().reverse();
+		const failures = [];
+
+		this.created = [];
+
+		return entities.reduce( ( previous, entity ) => {
+			return previous.then( () => {
+				const route = `${ entity.route }/${ entity.id }`;
+				const args = deleteArgs[ entity.route ] || defaultDeleteArgs;
+
+				return this.request( 'DELETE', route, null, args ).catch( ( err ) => {
+					if ( err.status !== 404 ) {
+						failures.push( err.message );
+					}
+				} );
+			} );
+		}, Promise.resolve() ).then( () => {
+			if ( failures.length ) {
+				throw new Error( `Failed to clean up ${ failures.length } fixture(s): ${ failures.join( '; ' ) }` );
+			}
+		} );
+	}
+}
+
+/**
+ * Send an HTTP request.
+ *
+ * @param {string} method     - HTTP method.
+ * @param {string} requestUrl - Full URL.
+ * @param {object} headers    - Request headers.
+ * @param {object} data       - Optional JSON body.
+ *
+ * @return {Promise} A promise that will be resolved with `status` and `body`
+ *                   of the response.
+ */
+function send( method, requestUrl, headers, data ) {
+	const options = url.parse( requestUrl );
+	const body = data ? JSON.stringify( data ) : null;
+	const transport = options.protocol === 'https:' ? https : http;
+
+	options.method = method;
+	options.headers = Object.assign( { Accept: 'application/json' }, headers );
+	if ( body ) {
+		options.headers[ 'Content-Type' ] = 'application/json';
+		options.headers[ 'Content-Length' ] = Buffer.byteLength( body );
+	}
+
+	return new Promise( ( resolve, reject ) => {
+		const req = transport.request( options, ( res ) => {
+			let content = '';
+			res.setEncoding( 'utf8' );
+			res.on( 'data', chunk => content += chunk );
+			res.on( 'end', () => resolve( { status: res.statusCode, body: content } ) );
+		} );
+
+		req.on( 'error', ( err ) => {
+			reject( new Error( `Request ${ method } ${ requestUrl } failed: ${ err.message }` ) );
+		} );
+		req.end( body );
+	} );
+}
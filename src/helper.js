@@ -7,14 +7,36 @@
 /**
  * External dependencies
  */
-import { By, Key, promise } from 'selenium-webdriver';
+import axe from 'axe-core';
+import { By, Key, logging, promise, until } from 'selenium-webdriver';
 import fs from 'fs-extra';
 import path from 'path';
+import { PNG } from 'pngjs';
 import slug from 'slugs';
 import temp from 'temp';
 
+/**
+ * Internal dependencies
+ */
+import { describeMatcher, describeRequest, matchesRequest } from './network';
+import { compareImages, maskRegions, readPng, writePng } from './visual-diff';
+
 export const defaultWaitMs = 10000; // 10s
 
+/**
+ * Get how long helpers wait for `driver` when no `waitMs` is passed.
+ *
+ * Drivers created by `WebDriverManager` use its `defaultWaitMs` config, other
+ * drivers wait `defaultWaitMs` of this module.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ *
+ * @return {number} Time in millisecond.
+ */
+export function getDefaultWaitMs( driver ) {
+	return driver && typeof driver.defaultWaitMs === 'number' ? driver.defaultWaitMs : defaultWaitMs;
+}
+
 function returnFalse() {
 	return false;
 }
@@ -23,6 +45,17 @@ function returnTrue() {
 	return true;
 }
 
+// Runs `cleanup` once `result` settles, keeping its value or error.
+function andFinally( result, cleanup ) {
+	return result.then( ( value ) => {
+		return promise.fulfilled( cleanup() ).then( () => value );
+	}, ( err ) => {
+		return promise.fulfilled( cleanup() ).then( () => {
+			throw err;
+		} );
+	} );
+}
+
 /**
  * Wait for element, located by `selector`, until present and displayed. Timeout
  * occurs after `waitMs` if element located by `selector` is not present and
@@ -31,7 +64,8 @@ function returnTrue() {
  * @param {object} driver   - Instance of WebDriver.
  * @param {object}    selector - Instance of locator, mechanism for locating an element
  *                               on the page. For example `By.css( '#content' )`.
- * @param {number}    waitMs   - How long to wait in millisecond. Defaults to 10000.
+ * @param {number}    waitMs   - How long to wait in millisecond. Defaults to
+ *                               `getDefaultWaitMs( driver )`.
  *
  * @example
  *
@@ -48,7 +82,7 @@ function returnTrue() {
  *                   located `selector` is present and displayed, or rejected if
  *                   times out waiting element to present and displayed.
  */
-export function waitTillPresentAndDisplayed( driver, selector, waitMs = defaultWaitMs ) {
+export function waitTillPresentAndDisplayed( driver, selector, waitMs = getDefaultWaitMs( driver ) ) {
 	return driver.wait( function() {
 		return driver.findElement( selector ).then( function( element ) {
 			return element.isDisplayed().then( returnTrue, returnFalse );
@@ -64,7 +98,8 @@ export function waitTillPresentAndDisplayed( driver, selector, waitMs = defaultW
  * @param {object} driver   - Instance of WebDriver.
  * @param {object}    selector - Instance of locator, mechanism for locating an element
  *                               on the page. For example `By.css( '#content' )`.
- * @param {number}    waitMs   - How long to wait in millisecond. Defaults to 10000.
+ * @param {number}    waitMs   - How long to wait in millisecond. Defaults to
+ *                               `getDefaultWaitMs( driver )`.
  *
  * @example
  *
@@ -82,7 +117,7 @@ export function waitTillPresentAndDisplayed( driver, selector, waitMs = defaultW
  *                   rejected if times out waiting the element to be present
  *                   and displayed.
  */
-export function isEventuallyPresentAndDisplayed( driver, selector, waitMs = defaultWaitMs ) {
+export function isEventuallyPresentAndDisplayed( driver, selector, waitMs = getDefaultWaitMs( driver ) ) {
 	return driver.wait( function() {
 		return driver.findElement( selector ).then( function( element ) {
 			return element.isDisplayed().then( returnTrue, returnFalse );
@@ -99,7 +134,8 @@ export function isEventuallyPresentAndDisplayed( driver, selector, waitMs = defa
  * @param {object} driver   - Instance of WebDriver.
  * @param {object}    selector - Instance of locator, mechanism for locating an element
  *                               on the page. For example `By.css( '#content' )`.
- * @param {number}    waitMs   - How long to wait in millisecond. Defaults to 10000.
+ * @param {number}    waitMs   - How long to wait in millisecond. Defaults to
+ *                               `getDefaultWaitMs( driver )`.
  *
  * @example
  *
@@ -116,7 +152,7 @@ export function isEventuallyPresentAndDisplayed( driver, selector, waitMs = defa
  *                   located `selector` is eventually not present, or rejected
  *                   if times out waiting the element to be not present.
  */
-export function waitTillNotPresent( driver, selector, waitMs = defaultWaitMs ) {
+export function waitTillNotPresent( driver, selector, waitMs = getDefaultWaitMs( driver ) ) {
 	return driver.wait( function() {
 		return driver.findElement( selector ).then( function( element ) {
 			return element.isDisplayed().then( returnFalse, returnTrue );
@@ -131,7 +167,8 @@ export function waitTillNotPresent( driver, selector, waitMs = defaultWaitMs ) {
  * @param {object} driver   - Instance of WebDriver.
  * @param {object}    selector - Instance of locator, mechanism for locating an element
  *                               on the page. For example `By.css( '#submit' )`.
- * @param {number}    waitMs   - How long to wait in millisecond. Defaults to 10000.
+ * @param {number}    waitMs   - How long to wait in millisecond. Defaults to
+ *                               `getDefaultWaitMs( driver )`.
  *
  * @example
  *
@@ -149,7 +186,7 @@ export function waitTillNotPresent( driver, selector, waitMs = defaultWaitMs ) {
  *                   element is not clickable, or rejected if times out waiting
  *                   clickable element to present and displayed.
  */
-export function clickWhenClickable( driver, selector, waitMs = defaultWaitMs ) {
+export function clickWhenClickable( driver, selector, waitMs = getDefaultWaitMs( driver ) ) {
 	return driver.wait( function() {
 		return driver.findElement( selector ).then( function( element ) {
 			return element.click().then( returnTrue, returnFalse );
@@ -163,6 +200,8 @@ export function clickWhenClickable( driver, selector, waitMs = defaultWaitMs ) {
  * @param {object} driver   - Instance of WebDriver.
  * @param {object}    selector - Instance of locator, mechanism for locating an element
  *                               on the page. For example `By.css( 'input[type="checkbox"]' )`.
+ * @param {number}    waitMs   - How long to wait in millisecond for the checkbox
+ *                               to be clickable. Defaults to `getDefaultWaitMs( driver )`.
  *
  * @example
  *
@@ -178,11 +217,11 @@ export function clickWhenClickable( driver, selector, waitMs = defaultWaitMs ) {
  * @return {Promise} A promise that will be resolved with `true` if checkbox
  *                   element located by `selector` is checked.
  */
-export function setCheckbox( driver, selector ) {
+export function setCheckbox( driver, selector, waitMs = getDefaultWaitMs( driver ) ) {
 	return driver.findElement( selector ).then( ( checkbox ) => {
 		return checkbox.getAttribute( 'checked' ).then( ( checked ) => {
 			if ( checked !== 'true' ) {
-				return this.clickWhenClickable( driver, selector );
+				return this.clickWhenClickable( driver, selector, waitMs );
 			}
 
 			return true;
@@ -196,6 +235,8 @@ export function setCheckbox( driver, selector ) {
  * @param {object} driver   - Instance of WebDriver.
  * @param {object}    selector - Instance of locator, mechanism for locating an element
  *                               on the page. For example `By.css( 'input[type="checkbox"]' )`.
+ * @param {number}    waitMs   - How long to wait in millisecond for the checkbox
+ *                               to be clickable. Defaults to `getDefaultWaitMs( driver )`.
  *
  * @example
  *
@@ -211,11 +252,11 @@ export function setCheckbox( driver, selector ) {
  * @return {Promise} A promise that will be resolved with `true` if checkbox
  *                   element located by `selector` is unchecked.
  */
-export function unsetCheckbox( driver, selector ) {
+export function unsetCheckbox( driver, selector, waitMs = getDefaultWaitMs( driver ) ) {
 	return driver.findElement( selector ).then( ( checkbox ) => {
 		checkbox.getAttribute( 'checked' ).then( ( checked ) => {
 			if ( checked === 'true' ) {
-				return this.clickWhenClickable( driver, selector );
+				return this.clickWhenClickable( driver, selector, waitMs );
 			}
 		} );
 	} );
@@ -228,7 +269,8 @@ export function unsetCheckbox( driver, selector ) {
  * @param {object} driver   - Instance of WebDriver.
  * @param {object}    selector - Instance of locator, mechanism for locating an element
  *                               on the page. For example `By.css( 'input[name="username"]' )`.
- * @param {number}    waitMs   - How long to wait in millisecond. Defaults to 10000.
+ * @param {number}    waitMs   - How long to wait in millisecond. Defaults to
+ *                               `getDefaultWaitMs( driver )`.
  *
  * @example
  *
@@ -246,7 +288,7 @@ export function unsetCheckbox( driver, selector ) {
  *                   element's value is not cleared, or rejected if times out waiting
  *                   the element to present and displayed.
  */
-export function waitForFieldClearable( driver, selector, waitMs = defaultWaitMs ) {
+export function waitForFieldClearable( driver, selector, waitMs = getDefaultWaitMs( driver ) ) {
 	return driver.wait( function() {
 		return driver.findElement( selector ).then( ( element ) => {
 			return element.clear().then( function() {
@@ -288,13 +330,13 @@ export function waitForFieldClearable( driver, selector, waitMs = defaultWaitMs
  *                   element's value is not set, or rejected if times out waiting
  *                   the element to present and displayed.
  */
-export function setWhenSettable( driver, selector, value, { secureValue = false, waitMs = defaultWaitMs } = {} ) {
+export function setWhenSettable( driver, selector, value, { secureValue = false, waitMs = getDefaultWaitMs( driver ) } = {} ) {
 	const logValue = secureValue === true ? '*********' : value;
 	const self = this;
 
 	return driver.wait( function() {
 		return driver.findElement( selector ).then( function( element ) {
-			self.waitForFieldClearable( driver, selector );
+			self.waitForFieldClearable( driver, selector, waitMs );
 			return element.sendKeys( value ).then( function() {
 				return element.getAttribute( 'value' ).then( ( actualValue ) => {
 					return actualValue === value;
@@ -332,6 +374,492 @@ export function selectOption( driver, dropdownSelector, optionText ) {
 	}, returnFalse );
 }
 
+// select2 and selectWoo insert their widget right after the original select.
+const select2ContainerScript = `
+	var next = arguments[ 0 ].nextElementSibling;
+	return next && next.classList.contains( 'select2-container' ) ? next : null;
+`;
+
+// Reads results of the open select2 dropdown, skipping optgroup headers.
+// Resolves with the first option matching `arguments[ 0 ]`, exactly if
+// `arguments[ 1 ]`, or the loading state and message shown instead.
+const readSelect2ResultsScript = `
+	var wanted = arguments[ 0 ];
+	var exact = arguments[ 1 ];
+	var nodes = document.querySelectorAll( '.select2-container--open .select2-results__option' );
+	var state = { option: null, text: null, selected: false, loading: false, message: null };
+
+	for ( var i = 0; i < nodes.length; i++ ) {
+		var node = nodes[ i ];
+		var text = node.textContent.replace( /\\s+/g, ' ' ).trim();
+
+		if ( node.classList.contains( 'loading-results' ) ) {
+			state.loading = true;
+		} else if ( node.classList.contains( 'select2-results__message' ) ) {
+			state.message = text;
+		} else if ( node.getAttribute( 'role' ) !== 'group' && ! state.option &&
+			( exact ? text === wanted : text.toLowerCase().indexOf( wanted.toLowerCase() ) > -1 ) ) {
+			state.option = node;
+			state.text = text;
+			state.selected = node.getAttribute( 'aria-selected' ) === 'true' ||
+				node.classList.contains( 'select2-results__option--selected' );
+		}
+	}
+
+	return state;
+`;
+
+const selectedOptionsScript = `
+	return [].filter.call( arguments[ 0 ].options, function( option ) {
+		return option.selected && option.value !== '';
+	} ).map( function( option ) {
+		return option.textContent.replace( /\\s+/g, ' ' ).trim();
+	} );
+`;
+
+// Finds the remove button of the tag `arguments[ 1 ]` in container `arguments[ 0 ]`.
+const select2ChoiceRemoveScript = `
+	var choices = arguments[ 0 ].querySelectorAll( '.select2-selection__choice' );
+
+	for ( var i = 0; i < choices.length; i++ ) {
+		var remove = choices[ i ].querySelector( '.select2-selection__choice__remove' );
+		var text = choices[ i ].getAttribute( 'title' ) ||
+			choices[ i ].textContent.replace( remove ? remove.textContent : '', '' );
+		if ( text.replace( /\\s+/g, ' ' ).trim() === arguments[ 1 ] ) {
+			return remove;
+		}
+	}
+	return null;
+`;
+
+function describeSelect( select ) {
+	return `select with ${ select.using } of '${ select.value }'`;
+}
+
+function getSelect2Container( driver, select ) {
+	return driver.executeScript( select2ContainerScript, select ).then( ( container ) => {
+		if ( ! container ) {
+			throw new Error( 'select2 is not initialized on this select' );
+		}
+		return container;
+	} );
+}
+
+function openSelect2Container( driver, select, waitMs ) {
+	return getSelect2Container( driver, select ).then( ( container ) => {
+		return container.getAttribute( 'class' ).then( ( classes ) => {
+			if ( classes.split( /\s+/ ).indexOf( 'select2-container--open' ) > -1 ) {
+				return container;
+			}
+			return container.findElement( By.css( '.select2-selection' ) ).click().then( () => {
+				return driver.wait(
+					until.elementLocated( By.css( '.select2-container--open .select2-results' ) ),
+					waitMs,
+					'Timed out waiting for the select2 dropdown to open'
+				);
+			} ).then( () => container );
+		} );
+	} );
+}
+
+// Multiple selects search inline, single selects in the dropdown, unless
+// their search is turned off.
+function typeSelect2Search( driver, container, search ) {
+	return container.findElements( By.css( '.select2-search--inline .select2-search__field' ) ).then( ( inline ) => {
+		return inline.length ? inline : driver.findElements( By.css( '.select2-container--open .select2-search__field' ) );
+	} ).then( ( fields ) => {
+		if ( ! fields.length ) {
+			return false;
+		}
+		return fields[ 0 ].isDisplayed().then( ( shown ) => {
+			return shown && fields[ 0 ].clear().then( () => fields[ 0 ].sendKeys( search ) ).then( returnTrue );
+		} );
+	} );
+}
+
+function chooseSelect2Option( driver, select, optionText, options = {} ) {
+	const { search = optionText, exact = true, waitMs = getDefaultWaitMs( driver ) } = options;
+	let lastState = null;
+
+	return openSelect2Container( driver, select, waitMs ).then( ( container ) => {
+		return typeSelect2Search( driver, container, search ).then( () => {
+			return driver.wait( () => {
+				return driver.executeScript( readSelect2ResultsScript, optionText, exact ).then( ( state ) => {
+					lastState = state;
+					return ! state.loading && state.option ? state : false;
+				} );
+			}, waitMs ).then( null, () => {
+				const shown = lastState && lastState.message ? `, the dropdown shows '${ lastState.message }'` : '';
+				throw new Error( `Timed out waiting for select2 option '${ optionText }'${ shown }` );
+			} );
+		} ).then( ( state ) => {
+			// Clicking a selected option of a multiple select would unselect it.
+			if ( state.selected ) {
+				return closeSelect2( driver, container ).then( () => state.text );
+			}
+			return state.option.click().then( () => state.text );
+		} );
+	} ).then( ( text ) => {
+		return driver.wait( () => {
+			return driver.executeScript( selectedOptionsScript, select ).then( selected => selected.indexOf( text ) > -1 );
+		}, waitMs, `Timed out waiting for select2 option '${ text }' to be selected` ).then( () => text );
+	} );
+}
+
+function closeSelect2( driver, container ) {
+	return container.getAttribute( 'class' ).then( ( classes ) => {
+		if ( classes.split( /\s+/ ).indexOf( 'select2-container--open' ) === -1 ) {
+			return true;
+		}
+		return driver.findElement( By.css( '.select2-container--open .select2-search__field' ) ).then( ( field ) => {
+			return field.sendKeys( Key.ESCAPE );
+		}, () => {
+			return container.findElement( By.css( '.select2-selection' ) ).sendKeys( Key.ESCAPE );
+		} );
+	} );
+}
+
+/**
+ * Open the select2 or selectWoo dropdown of a select.
+ *
+ * @param {object} driver         - Instance of WebDriver.
+ * @param {object} selectSelector - Instance of locator of the original select,
+ *                                  for example `By.css( '#billing_country' )`.
+ * @param {number} waitMs         - How long to wait in millisecond. Defaults to
+ *                                  `getDefaultWaitMs( driver )`.
+ *
+ * @return {Promise} A promise that will be resolved with `true` once the
+ *                   dropdown is open.
+ */
+export function openSelect2( driver, selectSelector, waitMs = getDefaultWaitMs( driver ) ) {
+	return driver.findElement( selectSelector ).then( ( select ) => {
+		return openSelect2Container( driver, select, waitMs );
+	} ).then( returnTrue, ( err ) => {
+		throw new Error( `Failed to open ${ describeSelect( selectSelector ) }: ${ err.message }` );
+	} );
+}
+
+/**
+ * Choose an option of a select2 or selectWoo dropdown, like WooCommerce's
+ * country, product and customer searches.
+ *
+ * The dropdown is opened, `search` is typed into its search box and results,
+ * loaded with AJAX or not, are waited for. Options of multiple selects are
+ * added to the selection, and new tags are created if the select allows
+ * them.
+ *
+ * @param {object} driver         - Instance of WebDriver.
+ * @param {object} selectSelector - Instance of locator of the original select,
+ *                                  for example `By.css( '#billing_country' )`.
+ * @param {string} optionText     - Text of the option to choose.
+ * @param {object} options        - Optional object where `search` is the text
+ *                                  to type, defaulting to `optionText`, `exact`
+ *                                  is a boolean indicating the option text must
+ *                                  equal `optionText` rather than contain it,
+ *                                  defaulting to `true`, and `waitMs` is time
+ *                                  in millisecond to wait for results.
+ *
+ * @example
+ *
+ * import { By } from 'selenium-webdriver';
+ * import { WebDriverManager, WebDriverHelper as helper } from 'wp-e2e-webdriver';
+ *
+ * const manager = new WebDriverManager( 'chrome' );
+ * const driver = manager.getDriver();
+ *
+ * helper.selectSelect2Option( driver, By.css( '#customer_user' ), 'John Doe', { search: 'john', exact: false } )
+ *   .then( ... );
+ *
+ * @return {Promise} A promise that will be resolved with the text of the
+ *                   chosen option, or rejected if no option matches.
+ */
+export function selectSelect2Option( driver, selectSelector, optionText, options = {} ) {
+	return driver.findElement( selectSelector ).then( ( select ) => {
+		return chooseSelect2Option( driver, select, optionText, options );
+	} ).then( null, ( err ) => {
+		throw new Error( `Failed to choose '${ optionText }' in ${ describeSelect( selectSelector ) }: ${ err.message }` );
+	} );
+}
+
+/**
+ * Remove a chosen option, or tag, of a multiple select2 or selectWoo select.
+ *
+ * @param {object} driver         - Instance of WebDriver.
+ * @param {object} selectSelector - Instance of locator of the original select.
+ * @param {string} optionText     - Text of the chosen option.
+ * @param {number} waitMs         - How long to wait in millisecond. Defaults to
+ *                                  `getDefaultWaitMs( driver )`.
+ *
+ * @return {Promise} A promise that will be resolved with `true` once the
+ *                   option is removed, or rejected if it's not chosen.
+ */
+export function removeSelect2Option( driver, selectSelector, optionText, waitMs = getDefaultWaitMs( driver ) ) {
+	return driver.findElement( selectSelector ).then( ( select ) => {
+		return getSelect2Container( driver, select ).then( ( container ) => {
+			return driver.executeScript( select2ChoiceRemoveScript, container, optionText ).then( ( remove ) => {
+				if ( ! remove ) {
+					throw new Error( 'it is not chosen' );
+				}
+				return remove.click();
+			} ).then( () => {
+				return driver.wait( () => {
+					return driver.executeScript( selectedOptionsScript, select ).then( selected => selected.indexOf( optionText ) === -1 );
+				}, waitMs, 'Timed out waiting for it to be removed' );
+			} ).then( () => {
+				// select2 opens the dropdown when a choice is removed.
+				return closeSelect2( driver, container );
+			} );
+		} );
+	} ).then( returnTrue, ( err ) => {
+		throw new Error( `Failed to remove '${ optionText }' of ${ describeSelect( selectSelector ) }: ${ err.message }` );
+	} );
+}
+
+/**
+ * Get texts of the chosen options of a select, like a select2 or selectWoo
+ * select. The empty placeholder option is left out.
+ *
+ * @param {object} driver         - Instance of WebDriver.
+ * @param {object} selectSelector - Instance of locator of the original select.
+ *
+ * @return {Promise} A promise that will be resolved with an array of texts.
+ */
+export function getSelect2Selection( driver, selectSelector ) {
+	return driver.findElement( selectSelector ).then( ( select ) => {
+		return driver.executeScript( selectedOptionsScript, select );
+	} );
+}
+
+// Describes a form field for `fillForm`. select2 and selectWoo hide the
+// original select behind their own widget, marking it `select2-hidden-accessible`.
+const describeFieldScript = `
+	var field = arguments[ 0 ];
+	var tag = field.tagName.toLowerCase();
+	var type = tag === 'input' ? ( field.getAttribute( 'type' ) || 'text' ).toLowerCase() : tag;
+
+	if ( tag === 'select' && field.classList.contains( 'select2-hidden-accessible' ) ) {
+		type = 'select2';
+	}
+	return { type: type, multiple: !! field.multiple };
+`;
+
+// Selects options of `arguments[ 0 ]` whose value or text is in `arguments[ 1 ]`,
+// then triggers change through jQuery when loaded so select2 updates its widget.
+// Resolves with the values that have no option. The select is left untouched
+// if any is missing, unless `arguments[ 2 ]` allows choosing the others.
+const selectOptionsScript = `
+	var select = arguments[ 0 ];
+	var wanted = arguments[ 1 ].map( String );
+	var partial = arguments[ 2 ];
+	var missing = wanted.filter( function( value ) {
+		return ! [].some.call( select.options, function( option ) {
+			return option.value === value || option.textContent.trim() === value;
+		} );
+	} );
+
+	if ( missing.length === wanted.length || ( missing.length && ! partial ) ) {
+		return missing;
+	}
+
+	[].forEach.call( select.options, function( option ) {
+		var matches = wanted.indexOf( option.value ) > -1 || wanted.indexOf( option.textContent.trim() ) > -1;
+		if ( select.multiple || matches ) {
+			option.selected = matches;
+		}
+	} );
+	if ( window.jQuery ) {
+		window.jQuery( select ).trigger( 'change' );
+	} else {
+		select.dispatchEvent( new Event( 'change', { bubbles: true } ) );
+	}
+	return missing;
+`;
+
+const maskedValue = '*********';
+
+function fillTextField( field, value, secureValue ) {
+	return field.clear().then( () => field.sendKeys( value ) ).then( () => {
+		return field.getAttribute( 'value' );
+	} ).then( ( actualValue ) => {
+		if ( actualValue !== value ) {
+			const shown = secureValue ? maskedValue : `'${ value }'`;
+			throw new Error( `value is not ${ shown } after typing it` );
+		}
+	} );
+}
+
+function setChecked( field, checked ) {
+	return field.isSelected().then( ( selected ) => {
+		return selected === checked || field.click().then( () => field.isSelected() ).then( ( nowSelected ) => {
+			if ( nowSelected !== checked ) {
+				throw new Error( `could not ${ checked ? 'check' : 'uncheck' } it` );
+			}
+		} );
+	} );
+}
+
+// Checkboxes sharing a name, like `colors[]`, take an array of values to check.
+function fillCheckboxes( fields, value ) {
+	if ( fields.length === 1 && ! Array.isArray( value ) ) {
+		return setChecked( fields[ 0 ], !! value );
+	}
+
+	const values = [].concat( value ).map( String );
+
+	return promise.all( fields.map( field => field.getAttribute( 'value' ) ) ).then( ( fieldValues ) => {
+		const missing = values.filter( v => fieldValues.indexOf( v ) === -1 );
+		if ( missing.length ) {
+			throw new Error( `no checkbox with value ${ missing.map( v => `'${ v }'` ).join( ', ' ) }` );
+		}
+
+		return promise.all( fields.map( ( field, i ) => setChecked( field, values.indexOf( fieldValues[ i ] ) > -1 ) ) );
+	} );
+}
+
+function fillRadios( fields, value ) {
+	return promise.all( fields.map( field => field.getAttribute( 'value' ) ) ).then( ( fieldValues ) => {
+		const index = fieldValues.indexOf( String( value ) );
+		if ( index === -1 ) {
+			throw new Error( `no radio button with value '${ value }'` );
+		}
+
+		return setChecked( fields[ index ], true );
+	} );
+}
+
+// Native selects are chosen by clicking the option, like a user does.
+function fillSelect( driver, field, value, multiple ) {
+	if ( multiple || Array.isArray( value ) ) {
+		return driver.executeScript( selectOptionsScript, field, [].concat( value ), false ).then( ( missing ) => {
+			if ( missing.length ) {
+				throw new Error( `no option ${ missing.map( v => `'${ v }'` ).join( ', ' ) }` );
+			}
+		} );
+	}
+
+	return field.findElements( By.css( 'option' ) ).then( ( options ) => {
+		return promise.all( options.map( option => promise.all( [ option.getAttribute( 'value' ), option.getText() ] ) ) )
+			.then( ( labels ) => {
+				const index = labels.findIndex( ( [ optionValue, text ] ) => {
+					return optionValue === String( value ) || text.trim() === String( value );
+				} );
+				if ( index === -1 ) {
+					throw new Error( `no option '${ value }'` );
+				}
+
+				return options[ index ].click();
+			} );
+	} );
+}
+
+// Options loaded with AJAX, like WooCommerce product search, are not in the
+// select yet, so they are chosen through the widget.
+function fillSelect2( driver, field, value ) {
+	return driver.executeScript( selectOptionsScript, field, [].concat( value ), true ).then( ( missing ) => {
+		return missing.reduce( ( previous, optionText ) => {
+			return previous.then( () => chooseSelect2Option( driver, field, optionText ) );
+		}, promise.fulfilled() );
+	} );
+}
+
+function fillFileField( field, value ) {
+	return field.sendKeys( [].concat( value ).map( file => path.resolve( file ) ).join( '\n' ) );
+}
+
+function fillField( driver, fields, value ) {
+	return driver.executeScript( describeFieldScript, fields[ 0 ] ).then( ( { type, multiple } ) => {
+		switch ( type ) {
+			case 'checkbox':
+				return fillCheckboxes( fields, value );
+			case 'radio':
+				return fillRadios( fields, value );
+			case 'select':
+				return fillSelect( driver, fields[ 0 ], value, multiple );
+			case 'select2':
+				return fillSelect2( driver, fields[ 0 ], value );
+			case 'file':
+				return fillFileField( fields[ 0 ], value );
+			default:
+				return fillTextField( fields[ 0 ], String( value ), type === 'password' );
+		}
+	} );
+}
+
+/**
+ * Fill a form from a map of field names to values, using the strategy of each
+ * field type.
+ *
+ * Text fields and textareas are typed into, checkboxes take a boolean, or an
+ * array of values for checkboxes sharing a name, radio buttons take the value
+ * to check, selects (native, select2 or selectWoo) take option values or texts
+ * and file inputs take paths. Password values are never shown in errors.
+ *
+ * Fields are located by `name` or `name[]`, ignoring hidden inputs, then by
+ * `id`, inside the form. All fields are tried, failures are reported together
+ * once done.
+ *
+ * @param {object} driver       - Instance of WebDriver.
+ * @param {object} formSelector - Instance of locator of the form, for example
+ *                                `By.css( '#registration' )`.
+ * @param {object} values       - Map of field names to values.
+ * @param {number} waitMs       - How long to wait in millisecond for the form.
+ *                                Defaults to `getDefaultWaitMs( driver )`.
+ *
+ * @example
+ *
+ * import { By } from 'selenium-webdriver';
+ * import { WebDriverManager, WebDriverHelper as helper } from 'wp-e2e-webdriver';
+ *
+ * const manager = new WebDriverManager( 'chrome' );
+ * const driver = manager.getDriver();
+ *
+ * helper.fillForm( driver, By.css( '#register' ), {
+ *   name: 'John',
+ *   password: 'secret',
+ *   terms: true,
+ *   country: 'Canada',
+ * } ).then( ... );
+ *
+ * @return {Promise} A promise that will be resolved with `true` once all
+ *                   fields are filled, or rejected listing the fields that
+ *                   failed.
+ */
+export function fillForm( driver, formSelector, values, waitMs = getDefaultWaitMs( driver ) ) {
+	const failures = [];
+
+	return driver.wait(
+		until.elementLocated( formSelector ),
+		waitMs,
+		`Timed out waiting for form with ${ formSelector.using } of '${ formSelector.value }'`
+	).then( ( form ) => {
+		return Object.keys( values ).reduce( ( previous, name ) => {
+			const quoted = JSON.stringify( name );
+			const byName = By.css( [ quoted, JSON.stringify( `${ name }[]` ) ]
+				.map( fieldName => `[name=${ fieldName }]:not([type="hidden"])` ).join( ', ' ) );
+			const byId = By.css( `[id=${ quoted }]` );
+
+			return previous.then( () => {
+				return form.findElements( byName ).then( ( fields ) => {
+					return fields.length ? fields : form.findElements( byId );
+				} ).then( ( fields ) => {
+					if ( ! fields.length ) {
+						throw new Error( 'no field with this name or id' );
+					}
+					return fillField( driver, fields, values[ name ] );
+				} ).then( null, ( err ) => {
+					failures.push( `${ name }: ${ err.message }` );
+				} );
+			} );
+		}, promise.fulfilled() );
+	} ).then( () => {
+		if ( failures.length ) {
+			throw new Error( `Failed to fill ${ failures.length } field(s) of form with ${ formSelector.using } of ` +
+				`'${ formSelector.value }': ${ failures.join( '; ' ) }` );
+		}
+		return true;
+	} );
+}
+
 /**
  * Clear cookies and delete localStorage.
  *
@@ -532,6 +1060,9 @@ export function getMediaWithFilename( filename, type = 'jpg' ) {
  *
  * @param {object} manager     - Instance of `WebDriverManager`.
  * @param {object} currentTest - Current test.
+ * @param {object} options     - Optional object where `fullPage` is a boolean
+ *                               indicating the whole page is captured instead
+ *                               of the viewport.
  *
  * @example
  *
@@ -545,7 +1076,7 @@ export function getMediaWithFilename( filename, type = 'jpg' ) {
  * @return {Promise} A promise that will be resolved with `undefined` once
  *                   screenshot is written to `manager.config.screenshotsDir`.
  */
-export function takeScreenshot( manager, currentTest ) {
+export function takeScreenshot( manager, currentTest, { fullPage = false } = {} ) {
 	if ( ! currentTest ) {
 		return;
 	}
@@ -555,9 +1086,1207 @@ export function takeScreenshot( manager, currentTest ) {
 	const state = currentTest.state;
 	const screenSize = manager.getConfigScreenSize();
 	const filename = `${ state }-${ screenSize }-${ title }.png`;
+	const capture = fullPage ? getFullPageScreenshot( manager ) : driver.takeScreenshot();
 
-	return driver.takeScreenshot().then( data => {
+	return capture.then( data => {
 		const dst = path.resolve( manager.config.screenshotsDir, filename );
 		return writeImage( data, dst );
 	} );
 }
+
+// Size of the document and the viewport in CSS pixels.
+const pageMetricsScript = `
+	var doc = document.documentElement;
+	var body = document.body || doc;
+
+	return {
+		width: doc.clientWidth,
+		height: Math.max( doc.scrollHeight, body.scrollHeight, doc.clientHeight ),
+		viewportHeight: window.innerHeight,
+		scrollX: window.pageXOffset,
+		scrollY: window.pageYOffset,
+	};
+`;
+
+/**
+ * Crop a rectangle, in CSS pixels, out of a screenshot.
+ *
+ * Screenshots are taken in device pixels, so the rectangle is scaled by the
+ * ratio of screenshot width to `cssWidth`.
+ *
+ * @param {string} data     - Base64 encoded PNG.
+ * @param {object} rect     - Rectangle with `x`, `y`, `width` and `height`.
+ * @param {number} cssWidth - Width of the screenshot in CSS pixels.
+ *
+ * @return {string} Base64 encoded PNG of the rectangle.
+ */
+function cropScreenshot( data, rect, cssWidth ) {
+	const source = readPng( data );
+	const scale = source.width / cssWidth;
+	const x = Math.max( 0, Math.round( rect.x * scale ) );
+	const y = Math.max( 0, Math.round( rect.y * scale ) );
+	const width = Math.min( Math.round( rect.width * scale ), source.width - x );
+	const height = Math.min( Math.round( rect.height * scale ), source.height - y );
+
+	if ( width <= 0 || height <= 0 ) {
+		throw new Error( 'Could not crop screenshot, the element is outside of the page' );
+	}
+
+	const cropped = new PNG( { width, height } );
+	PNG.bitblt( source, cropped, x, y, width, height, 0, 0 );
+
+	return writePng( cropped ).toString( 'base64' );
+}
+
+// Resizes the Chrome viewport to the height of the page through DevTools, so
+// one screenshot captures everything. Mobile emulation by device metrics is
+// applied again afterwards, because clearing the override would reset it.
+function captureChromeFullPage( manager ) {
+	const driver = manager.getDriver();
+	const emulation = manager.getMobileEmulation();
+	const deviceMetrics = emulation && emulation.deviceMetrics;
+
+	return driver.executeScript( pageMetricsScript ).then( ( metrics ) => {
+		const restore = () => {
+			if ( deviceMetrics ) {
+				return manager.sendDevToolsCommand( 'Emulation.setDeviceMetricsOverride', {
+					width: deviceMetrics.width,
+					height: deviceMetrics.height,
+					deviceScaleFactor: deviceMetrics.pixelRatio || 0,
+					mobile: true,
+				} );
+			}
+			return manager.sendDevToolsCommand( 'Emulation.clearDeviceMetricsOverride' );
+		};
+
+		const resize = manager.sendDevToolsCommand( 'Emulation.setDeviceMetricsOverride', {
+			width: metrics.width,
+			height: metrics.height,
+			deviceScaleFactor: deviceMetrics ? deviceMetrics.pixelRatio || 0 : 0,
+			mobile: !! deviceMetrics,
+		} );
+
+		return andFinally( resize.then( () => driver.takeScreenshot() ), restore );
+	} );
+}
+
+// Scrolls through the page one viewport at a time and stitches the
+// screenshots together. The last viewport usually overlaps the previous one,
+// so every part is placed at the offset the browser actually scrolled to.
+function captureStitchedFullPage( driver ) {
+	const parts = [];
+
+	return driver.executeScript( pageMetricsScript ).then( ( metrics ) => {
+		// A minimized window has no viewport to scroll by.
+		if ( ! ( metrics.viewportHeight > 0 ) ) {
+			throw new Error( `Could not capture the full page with a viewport height of ${ metrics.viewportHeight }` );
+		}
+
+		const offsets = [];
+		for ( let offset = 0; offset < metrics.height; offset += metrics.viewportHeight ) {
+			offsets.push( offset );
+		}
+
+		return offsets.reduce( ( previous, offset ) => {
+			return previous.then( () => {
+				return driver.executeScript( 'window.scrollTo( 0, arguments[ 0 ] ); return window.pageYOffset;', offset );
+			} ).then( ( scrolledTo ) => {
+				return driver.takeScreenshot().then( ( data ) => {
+					parts.push( { offset: scrolledTo, png: readPng( data ) } );
+				} );
+			} );
+		}, promise.fulfilled() ).then( () => {
+			return driver.executeScript( 'window.scrollTo( arguments[ 0 ], arguments[ 1 ] );', metrics.scrollX, metrics.scrollY );
+		} ).then( () => {
+			const scale = parts[ 0 ].png.width / metrics.width;
+			const width = parts[ 0 ].png.width;
+			const height = Math.round( metrics.height * scale );
+			const page = new PNG( { width, height } );
+
+			parts.forEach( ( part ) => {
+				const top = Math.round( part.offset * scale );
+				const rows = Math.min( part.png.height, height - top );
+				if ( rows > 0 ) {
+					PNG.bitblt( part.png, page, 0, 0, Math.min( part.png.width, width ), rows, 0, top );
+				}
+			} );
+
+			return writePng( page ).toString( 'base64' );
+		} );
+	} );
+}
+
+/**
+ * Take a screenshot of the whole page, not just the viewport.
+ *
+ * Chrome resizes its viewport to the page through DevTools. Other browsers,
+ * and Chrome emulating a device by name, scroll through the page and stitch
+ * the screenshots together. Fixed elements like sticky headers are repeated
+ * in stitched screenshots.
+ *
+ * @param {object} manager - Instance of `WebDriverManager`.
+ *
+ * @return {Promise} A promise that will be resolved with the base64 encoded
+ *                   PNG, like `driver.takeScreenshot()`.
+ */
+export function getFullPageScreenshot( manager ) {
+	const emulation = manager.browserName === 'chrome' ? manager.getMobileEmulation() : null;
+
+	if ( manager.browserName === 'chrome' && ! ( emulation && emulation.deviceName ) ) {
+		return captureChromeFullPage( manager );
+	}
+
+	return captureStitchedFullPage( manager.getDriver() );
+}
+
+/**
+ * Take a screenshot of the element located by `selector`.
+ *
+ * The element is scrolled into view first. Elements bigger than the viewport
+ * are cropped out of a full page screenshot.
+ *
+ * @param {object} manager  - Instance of `WebDriverManager`.
+ * @param {object} selector - Instance of locator, i.e. By.css.
+ *
+ * @return {Promise} A promise that will be resolved with the base64 encoded
+ *                   PNG of the element.
+ */
+export function getElementScreenshot( manager, selector ) {
+	const driver = manager.getDriver();
+
+	return driver.findElement( selector ).then( ( element ) => {
+		return driver.executeScript( `
+			var element = arguments[ 0 ];
+			element.scrollIntoView( true );
+
+			var rect = element.getBoundingClientRect();
+			return {
+				x: rect.left,
+				y: rect.top,
+				width: rect.width,
+				height: rect.height,
+				scrollX: window.pageXOffset,
+				scrollY: window.pageYOffset,
+				viewportWidth: document.documentElement.clientWidth,
+				viewportHeight: window.innerHeight,
+			};
+		`, element );
+	} ).then( ( rect ) => {
+		const fitsViewport = rect.y >= 0 && rect.y + rect.height <= rect.viewportHeight;
+
+		if ( fitsViewport ) {
+			return driver.takeScreenshot().then( data => cropScreenshot( data, rect, rect.viewportWidth ) );
+		}
+
+		const pageRect = Object.assign( {}, rect, { x: rect.x + rect.scrollX, y: rect.y + rect.scrollY } );
+		return getFullPageScreenshot( manager ).then( data => cropScreenshot( data, pageRect, rect.viewportWidth ) );
+	} );
+}
+
+/**
+ * Write a full page screenshot to `manager.config.screenshotsDir`.
+ *
+ * @param {object} manager  - Instance of `WebDriverManager`.
+ * @param {string} filename - File name like 'checkout.png'.
+ *
+ * @example
+ *
+ * import { WebDriverManager, WebDriverHelper as helper } from 'wp-e2e-webdriver';
+ *
+ * const manager = new WebDriverManager( 'chrome' );
+ *
+ * helper.takeFullPageScreenshot( manager, 'checkout.png' );
+ *
+ * @return {Promise} A promise that will be resolved with path of the written file.
+ */
+export function takeFullPageScreenshot( manager, filename ) {
+	return getFullPageScreenshot( manager ).then( ( data ) => {
+		const dst = path.resolve( manager.config.screenshotsDir, filename );
+		writeImage( data, dst );
+		return dst;
+	} );
+}
+
+/**
+ * Write a screenshot of the element located by `selector` to
+ * `manager.config.screenshotsDir`.
+ *
+ * @param {object} manager  - Instance of `WebDriverManager`.
+ * @param {object} selector - Instance of locator, i.e. By.css.
+ * @param {string} filename - File name like 'cart-totals.png'.
+ *
+ * @example
+ *
+ * import { By } from 'selenium-webdriver';
+ * import { WebDriverManager, WebDriverHelper as helper } from 'wp-e2e-webdriver';
+ *
+ * const manager = new WebDriverManager( 'chrome' );
+ *
+ * helper.takeElementScreenshot( manager, By.css( '.cart_totals' ), 'cart-totals.png' );
+ *
+ * @return {Promise} A promise that will be resolved with path of the written file.
+ */
+export function takeElementScreenshot( manager, selector, filename ) {
+	return getElementScreenshot( manager, selector ).then( ( data ) => {
+		const dst = path.resolve( manager.config.screenshotsDir, filename );
+		writeImage( data, dst );
+		return dst;
+	} );
+}
+
+// Rectangles of the ignored elements in CSS pixels, relative to the captured
+// area: the element `arguments[ 2 ]`, the whole page or the viewport.
+const ignoredRegionsScript = `
+	var elements = arguments[ 0 ];
+	var fullPage = arguments[ 1 ];
+	var target = arguments[ 2 ];
+	var origin = { x: 0, y: 0, width: document.documentElement.clientWidth };
+
+	if ( target ) {
+		var targetRect = target.getBoundingClientRect();
+		origin = { x: targetRect.left, y: targetRect.top, width: targetRect.width };
+	} else if ( fullPage ) {
+		origin.x = -window.pageXOffset;
+		origin.y = -window.pageYOffset;
+	}
+
+	return {
+		width: origin.width,
+		regions: elements.map( function( element ) {
+			var rect = element.getBoundingClientRect();
+			return { x: rect.left - origin.x, y: rect.top - origin.y, width: rect.width, height: rect.height };
+		} ),
+	};
+`;
+
+// Finds all elements matching the `ignore` locators and reads their regions.
+function getIgnoredRegions( driver, ignore, fullPage, selector ) {
+	const target = selector ? driver.findElement( selector ) : null;
+	const found = ignore.map( locator => driver.findElements( locator ) );
+
+	return promise.all( found ).then( ( elements ) => {
+		return driver.executeScript( ignoredRegionsScript, [].concat( ...elements ), fullPage, target );
+	} );
+}
+
+/**
+ * Compare a screenshot of the current page with its baseline.
+ *
+ * Baselines are stored in `manager.config.baselinesDir` (defaults to
+ * `baselines` in the working directory), one per `name` and screen size. A
+ * missing baseline is created from the current screenshot. Run with the
+ * `UPDATE_BASELINES` environment variable set to `1` or `true` to replace
+ * all of them.
+ *
+ * When the screenshot differs, it is written next to the test screenshots in
+ * `manager.config.screenshotsDir` along with a diff image where differing
+ * pixels are red.
+ *
+ * @param {object} manager - Instance of `WebDriverManager`.
+ * @param {string} name    - Name of the baseline, usually the test title.
+ * @param {object} options - Optional object where `selector` captures just the
+ *                           element, `fullPage` captures the whole page,
+ *                           `ignore` is an array of locators of elements to
+ *                           mask, like dates or ads, `tolerance` is the ratio
+ *                           of pixels allowed to differ and `threshold` is the
+ *                           allowed difference of a color channel, both from
+ *                           0 to 1. `tolerance` and `threshold` default to
+ *                           `manager.config.visualDiff`, otherwise 0 and 0.1.
+ *
+ * @example
+ *
+ * import { By } from 'selenium-webdriver';
+ * import test from 'selenium-webdriver/testing';
+ * import { WebDriverHelper as helper } from 'wp-e2e-webdriver';
+ *
+ * test.it( 'shows the cart', function() {
+ *   return helper.assertMatchesBaseline( global.__MANAGER__, this.test.title, {
+ *     ignore: [ By.css( '.cart-date' ) ],
+ *     tolerance: 0.001,
+ *   } );
+ * } );
+ *
+ * @return {Promise} A promise that will be resolved with the comparison result,
+ *                   or rejected if the screenshot differs from the baseline.
+ */
+export function assertMatchesBaseline( manager, name, options = {} ) {
+	const driver = manager.getDriver();
+	const { selector, fullPage = false, ignore = [] } = options;
+	const defaults = Object.assign( { tolerance: 0, threshold: 0.1 }, manager.config.visualDiff );
+	const tolerance = options.tolerance !== undefined ? options.tolerance : defaults.tolerance;
+	const threshold = options.threshold !== undefined ? options.threshold : defaults.threshold;
+	const screenSize = manager.getConfigScreenSize();
+	const key = `${ slug( name ) }-${ screenSize }`;
+	const baselinePath = path.resolve( manager.config.baselinesDir, `${ key }.png` );
+	let capture;
+
+	if ( selector ) {
+		capture = getElementScreenshot( manager, selector );
+	} else if ( fullPage ) {
+		capture = getFullPageScreenshot( manager );
+	} else {
+		capture = driver.takeScreenshot();
+	}
+
+	return capture.then( ( data ) => {
+		return getIgnoredRegions( driver, ignore, fullPage, selector ).then( ( ignored ) => {
+			const actual = readPng( data );
+			const scale = actual.width / ignored.width;
+			const regions = ignored.regions.map( region => ( {
+				x: region.x * scale,
+				y: region.y * scale,
+				width: region.width * scale,
+				height: region.height * scale,
+			} ) );
+
+			maskRegions( actual, regions );
+
+			if ( [ '1', 'true' ].indexOf( process.env.UPDATE_BASELINES ) > -1 || ! fs.existsSync( baselinePath ) ) {
+				writeImage( writePng( actual ).toString( 'base64' ), baselinePath );
+				return { baseline: baselinePath, updated: true };
+			}
+
+			const baseline = maskRegions( readPng( fs.readFileSync( baselinePath ) ), regions );
+			const result = compareImages( baseline, actual, { threshold } );
+
+			if ( result.sizeMatches && result.ratio <= tolerance ) {
+				return { baseline: baselinePath, updated: false, diffPixels: result.diffPixels, ratio: result.ratio };
+			}
+
+			const actualPath = path.resolve( manager.config.screenshotsDir, `actual-${ screenSize }-${ slug( name ) }.png` );
+			const diffPath = path.resolve( manager.config.screenshotsDir, `diff-${ screenSize }-${ slug( name ) }.png` );
+			writeImage( writePng( actual ).toString( 'base64' ), actualPath );
+			writeImage( writePng( result.diff ).toString( 'base64' ), diffPath );
+
+			if ( ! result.sizeMatches ) {
+				throw new Error(
+					`Screenshot '${ name }' is ${ actual.width }x${ actual.height } but its baseline is ` +
+					`${ baseline.width }x${ baseline.height }. Diff: ${ diffPath }`
+				);
+			}
+
+			const percent = value => `${ ( value * 100 ).toFixed( 2 ) }%`;
+			throw new Error(
+				`Screenshot '${ name }' differs from its baseline in ${ percent( result.ratio ) } of pixels ` +
+				`(tolerance ${ percent( tolerance ) }). Diff: ${ diffPath }`
+			);
+		} );
+	} );
+}
+
+// Resolves with `{ value }` of `capture()`, or `{ error }` if it fails, so one
+// missing artifact doesn't prevent the others from being collected.
+function settle( capture ) {
+	try {
+		return promise.fulfilled( capture() ).then( value => ( { value } ), err => ( { error: err.message } ) );
+	} catch ( err ) {
+		return promise.fulfilled( { error: err.message } );
+	}
+}
+
+/**
+ * Capture everything needed to debug the failure of `currentTest` into its own
+ * directory under `manager.config.screenshotsDir/failures`.
+ *
+ * The directory contains `screenshot.png`, `page.html` with the page source,
+ * `browser.log` with the browser console log and `manifest.json` with the test
+ * title, error stack, current URL, cookies, window size and console errors not
+ * allowed by `manager.config.consoleErrors.allow`. Artifacts that
+ * can't be captured, e.g. browser logs in Firefox, are listed in manifest's
+ * `errors` instead.
+ *
+ * @param {object} manager     - Instance of `WebDriverManager`.
+ * @param {object} currentTest - Current test.
+ *
+ * @example
+ *
+ * import test from 'selenium-webdriver/testing';
+ * import { WebDriverHelper as helper } from 'wp-e2e-webdriver';
+ *
+ * test.afterEach( 'Capture failure artifacts', function() {
+ *   return helper.captureFailureArtifacts( global.__MANAGER__, this.currentTest );
+ * } );
+ *
+ * @return {Promise} A promise that will be resolved with the manifest once
+ *                   artifacts are written, or `undefined` if `currentTest`
+ *                   didn't fail.
+ */
+export function captureFailureArtifacts( manager, currentTest ) {
+	if ( ! currentTest || currentTest.state !== 'failed' ) {
+		return;
+	}
+
+	const driver = manager.getDriver();
+	const screenSize = manager.getConfigScreenSize();
+	const fullTitle = typeof currentTest.fullTitle === 'function' ? currentTest.fullTitle() : currentTest.title;
+	const dir = path.resolve( manager.config.screenshotsDir, 'failures', `${ slug( fullTitle ) }-${ screenSize }` );
+	const captures = {
+		screenshot: () => driver.takeScreenshot(),
+		source: () => driver.getPageSource(),
+		browserLog: () => manager.collectBrowserLogs(),
+		url: () => driver.getCurrentUrl(),
+		cookies: () => driver.manage().getCookies(),
+		windowSize: () => driver.manage().window().getSize(),
+	};
+	const names = Object.keys( captures );
+
+	return promise.all( names.map( name => settle( captures[ name ] ) ) ).then( ( results ) => {
+		const captured = {};
+		const manifest = {
+			title: currentTest.title,
+			fullTitle,
+			screenSize,
+			browser: manager.browserName,
+			capturedAt: new Date().toISOString(),
+			error: currentTest.err ? { message: currentTest.err.message, stack: currentTest.err.stack } : null,
+			files: {},
+			errors: {},
+		};
+
+		results.forEach( ( result, i ) => {
+			if ( 'error' in result ) {
+				manifest.errors[ names[ i ] ] = result.error;
+			} else {
+				captured[ names[ i ] ] = result.value;
+			}
+		} );
+
+		manifest.url = captured.url || null;
+		manifest.cookies = captured.cookies || null;
+		manifest.windowSize = captured.windowSize || null;
+
+		if ( captured.screenshot ) {
+			writeImage( captured.screenshot, path.resolve( dir, 'screenshot.png' ) );
+			manifest.files.screenshot = 'screenshot.png';
+		}
+		if ( captured.source !== undefined ) {
+			writeText( captured.source, path.resolve( dir, 'page.html' ) );
+			manifest.files.source = 'page.html';
+		}
+		if ( captured.browserLog ) {
+			const lines = captured.browserLog.map( ( entry ) => {
+				return `${ new Date( entry.timestamp ).toISOString() } ${ entry.level.name } ${ entry.message }`;
+			} );
+			writeText( lines.join( '\n' ), path.resolve( dir, 'browser.log' ) );
+			manifest.files.browserLog = 'browser.log';
+			manifest.consoleErrors = filterConsoleErrors( captured.browserLog, getAllowedConsoleErrors( manager ) );
+		}
+
+		manifest.dir = dir;
+		writeText( JSON.stringify( manifest, null, 2 ), path.resolve( dir, 'manifest.json' ) );
+
+		return manifest;
+	} );
+}
+
+/**
+ * Write the traffic recorded during `currentTest` as a HAR file in
+ * `manager.config.screenshotsDir`, then clear the recording for the next test.
+ *
+ * Traffic is recorded when the manager's `proxy` config is 'capture'. The
+ * file is named after the test and screen size, like
+ * `checkout-places-an-order-desktop.har`, and opens in browser DevTools or
+ * any HAR viewer.
+ *
+ * @param {object} manager     - Instance of `WebDriverManager`.
+ * @param {object} currentTest - Current test.
+ *
+ * @example
+ *
+ * import test from 'selenium-webdriver/testing';
+ * import { WebDriverHelper as helper } from 'wp-e2e-webdriver';
+ *
+ * test.afterEach( 'Export HAR', function() {
+ *   return helper.exportHar( global.__MANAGER__, this.currentTest );
+ * } );
+ *
+ * @return {Promise} A promise that will be resolved with the path of the HAR
+ *                   file, or `undefined` if traffic is not recorded, or
+ *                   rejected if the recording proxy failed to listen.
+ */
+export function exportHar( manager, currentTest ) {
+	const recorder = manager.getCaptureProxy();
+	if ( ! recorder || ! currentTest ) {
+		return promise.fulfilled();
+	}
+
+	const fullTitle = typeof currentTest.fullTitle === 'function' ? currentTest.fullTitle() : currentTest.title;
+	const file = path.resolve( manager.config.screenshotsDir, `${ slug( fullTitle ) }-${ manager.getConfigScreenSize() }.har` );
+
+	return promise.fulfilled().then( () => {
+		writeText( JSON.stringify( recorder.toHar( { comment: fullTitle } ), null, 2 ), file );
+		recorder.clear();
+
+		return file;
+	} );
+}
+
+// Allow-list of `manager.config.consoleErrors` plus `allow`, as regexes.
+function getAllowedConsoleErrors( manager, allow = [] ) {
+	const config = manager.config.consoleErrors || {};
+
+	return ( config.allow || [] ).concat( allow ).map( ( pattern ) => {
+		return typeof pattern === 'string' ? new RegExp( pattern ) : pattern;
+	} );
+}
+
+// Severe log entries not matching any of `allowed`, as plain objects.
+function filterConsoleErrors( entries, allowed ) {
+	return entries.filter( ( entry ) => {
+		return entry.level.value >= logging.Level.SEVERE.value &&
+			! allowed.some( pattern => pattern.test( entry.message ) );
+	} ).map( ( entry ) => {
+		return { timestamp: new Date( entry.timestamp ).toISOString(), message: entry.message };
+	} );
+}
+
+/**
+ * Get JavaScript errors logged to the browser console.
+ *
+ * Errors matching a regex of `manager.config.consoleErrors.allow` or
+ * `options.allow`, like known errors of third-party scripts, are left out.
+ *
+ * @param {object} manager - Instance of `WebDriverManager`.
+ * @param {object} options - Optional object where `allow` is an array of
+ *                           regexes of extra errors to ignore.
+ *
+ * @example
+ *
+ * import { WebDriverManager, WebDriverHelper as helper } from 'wp-e2e-webdriver';
+ *
+ * const manager = new WebDriverManager( 'chrome', {
+ *   consoleErrors: { allow: [ /googletagmanager\.com/ ] },
+ * } );
+ *
+ * helper.getConsoleErrors( manager ).then( errors => {
+ *   ...
+ * } );
+ *
+ * @return {Promise} A promise that will be resolved with an array of errors,
+ *                   objects with `timestamp` and `message`.
+ */
+export function getConsoleErrors( manager, { allow = [] } = {} ) {
+	return manager.collectBrowserLogs().then( ( entries ) => {
+		return filterConsoleErrors( entries, getAllowedConsoleErrors( manager, allow ) );
+	} );
+}
+
+/**
+ * Assert no JavaScript errors were logged to the browser console.
+ *
+ * @param {object} manager - Instance of `WebDriverManager`.
+ * @param {object} options - Optional object, see `getConsoleErrors`.
+ *
+ * @return {Promise} A promise that will be resolved with `true`, or rejected
+ *                   listing the console errors.
+ */
+export function assertNoConsoleErrors( manager, options = {} ) {
+	return getConsoleErrors( manager, options ).then( ( errors ) => {
+		if ( errors.length ) {
+			throw new Error( `${ errors.length } console error(s) logged:\n${ errors.map( e => `  ${ e.message }` ).join( '\n' ) }` );
+		}
+		return true;
+	} );
+}
+
+/**
+ * Console error watchdog for `test.afterEach`.
+ *
+ * Collects the console errors logged during `currentTest` into
+ * `currentTest.consoleErrors` and clears the collected browser logs for the
+ * next test. Run it after `captureFailureArtifacts`, which lists the errors in
+ * the manifest of a failed test. Where the browser logs can't be read, like
+ * on Firefox, no errors are collected.
+ *
+ * With `failTest` (defaults to `manager.config.consoleErrors.failTest`, or the
+ * `FAIL_ON_CONSOLE_ERRORS` env var set to `1` or `true`), console errors of a
+ * passed test reject, so the hook, and with it the run, fails.
+ *
+ * @param {object} manager     - Instance of `WebDriverManager`.
+ * @param {object} currentTest - Current test.
+ * @param {object} options     - Optional object where `allow` is an array of
+ *                               regexes of extra errors to ignore and
+ *                               `failTest` is a boolean indicating errors
+ *                               reject the returned promise.
+ *
+ * @example
+ *
+ * import test from 'selenium-webdriver/testing';
+ * import { WebDriverHelper as helper } from 'wp-e2e-webdriver';
+ *
+ * test.afterEach( 'Check console errors', function() {
+ *   return helper.checkConsoleErrors( global.__MANAGER__, this.currentTest, { failTest: true } );
+ * } );
+ *
+ * @return {Promise} A promise that will be resolved with the console errors,
+ *                   or rejected listing them if `failTest` is set.
+ */
+export function checkConsoleErrors( manager, currentTest, options = {} ) {
+	if ( ! currentTest ) {
+		return;
+	}
+
+	const config = manager.config.consoleErrors || {};
+	const failTest = options.failTest !== undefined
+		? options.failTest
+		: !! config.failTest || [ '1', 'true' ].indexOf( process.env.FAIL_ON_CONSOLE_ERRORS ) > -1;
+
+	// Browsers without console logs, like Firefox, have no errors to check.
+	return settle( () => getConsoleErrors( manager, options ) ).then( ( { value: errors = [] } ) => {
+		manager.clearBrowserLogs();
+		currentTest.consoleErrors = errors;
+
+		if ( failTest && errors.length && currentTest.state === 'passed' ) {
+			throw new Error(
+				`Test '${ currentTest.title }' logged ${ errors.length } console error(s):\n` +
+				errors.map( e => `  ${ e.message }` ).join( '\n' )
+			);
+		}
+
+		return errors;
+	} );
+}
+
+// Impacts of accessibility violations, from the least to the most severe.
+const accessibilityImpacts = [ 'minor', 'moderate', 'serious', 'critical' ];
+
+// Starts axe-core on the elements of `include` (or the document) minus the
+// elements of `exclude`, keeping serializable results in `window.__axeResults`.
+const runAxeScript = `
+	var include = arguments[ 0 ];
+	var exclude = arguments[ 1 ];
+	var context = { exclude: exclude };
+	var toResult = function( result ) {
+		return {
+			id: result.id,
+			impact: result.impact,
+			description: result.description,
+			help: result.help,
+			helpUrl: result.helpUrl,
+			tags: result.tags,
+			nodes: result.nodes.map( function( node ) {
+				return { target: node.target, html: node.html, failureSummary: node.failureSummary };
+			} ),
+		};
+	};
+
+	if ( include.length ) {
+		context.include = include;
+	}
+	window.__axeResults = null;
+	axe.run( context, arguments[ 2 ] ).then( function( results ) {
+		window.__axeResults = {
+			url: results.url,
+			timestamp: results.timestamp,
+			violations: results.violations.map( toResult ),
+			incomplete: results.incomplete.map( toResult ),
+			passes: results.passes.length,
+		};
+	}, function( err ) {
+		window.__axeResults = { error: err.message };
+	} );
+`;
+
+function describeSelector( selector ) {
+	return `${ selector.using } of '${ selector.value }'`;
+}
+
+// Elements located by each of `selectors`, CSS selector strings or locators.
+function findAuditedElements( driver, selectors, required ) {
+	const locators = [].concat( selectors || [] ).map( selector => typeof selector === 'string' ? By.css( selector ) : selector );
+
+	return promise.all( locators.map( ( locator ) => {
+		return driver.findElements( locator ).then( ( elements ) => {
+			if ( required && ! elements.length ) {
+				throw new Error( `Could not find elements to audit with ${ describeSelector( locator ) }` );
+			}
+			return elements;
+		} );
+	} ) ).then( found => [].concat( ...found ) );
+}
+
+function getAxeOptions( { rules, tags } ) {
+	const options = { resultTypes: [ 'violations', 'incomplete' ] };
+
+	if ( Array.isArray( rules ) ) {
+		options.runOnly = { type: 'rule', values: rules };
+	} else if ( tags ) {
+		options.runOnly = { type: 'tag', values: tags };
+	}
+	if ( rules && ! Array.isArray( rules ) ) {
+		options.rules = rules;
+	}
+
+	return options;
+}
+
+function escapeHtml( value ) {
+	return String( value ).replace( /[&<>"']/g, char => `&#${ char.charCodeAt( 0 ) };` );
+}
+
+function accessibilityReportHtml( results ) {
+	const rows = results.violations.map( ( violation ) => {
+		const nodes = violation.nodes.map( ( node ) => {
+			return `<li><code>${ escapeHtml( node.target.join( ' ' ) ) }</code><pre>${ escapeHtml( node.failureSummary ) }</pre></li>`;
+		} ).join( '' );
+
+		return `<tr class="impact-${ violation.impact }">` +
+			`<td>${ escapeHtml( violation.impact ) }</td>` +
+			`<td><a href="${ escapeHtml( violation.helpUrl ) }">${ escapeHtml( violation.id ) }</a></td>` +
+			`<td>${ escapeHtml( violation.help ) }</td>` +
+			`<td><ul>${ nodes }</ul></td></tr>`;
+	} ).join( '\n' );
+
+	return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Accessibility report of ${ escapeHtml( results.url ) }</title>
+<style>
+body { font-family: sans-serif; }
+table { border-collapse: collapse; }
+td, th { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+.impact-critical td:first-child, .impact-serious td:first-child { color: #b00; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Accessibility report of <a href="${ escapeHtml( results.url ) }">${ escapeHtml( results.url ) }</a></h1>
+<p>${ results.violations.length } violation(s), ${ results.incomplete.length } to review, ${ results.passes } rule(s) passed
+on ${ escapeHtml( results.timestamp ) }.</p>
+<table>
+<tr><th>Impact</th><th>Rule</th><th>Description</th><th>Elements</th></tr>
+${ rows }
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Audit accessibility of the current page with axe-core.
+ *
+ * axe-core is injected in the page if needed. Violations of an impact of
+ * `failOn` or more severe reject, after the reports are written.
+ *
+ * @param {object} driver  - Instance of WebDriver.
+ * @param {object} options - Optional object where `include` and `exclude`
+ *                           are CSS selectors or locators, or arrays of
+ *                           them, of the regions to audit and to leave out,
+ *                           `rules` is an array of axe rule ids to run or an
+ *                           object configuring rules like
+ *                           `{ 'color-contrast': { enabled: false } }`,
+ *                           `tags` is an array of axe tags of the rules to
+ *                           run like `[ 'wcag2a', 'wcag2aa' ]`, `failOn` is
+ *                           'minor', 'moderate', 'serious' or 'critical',
+ *                           `report` is the path, without extension, of
+ *                           JSON and HTML reports to write, and `waitMs` is
+ *                           how long to wait for the audit in millisecond,
+ *                           defaulting to `getDefaultWaitMs( driver )`.
+ *
+ * @example
+ *
+ * import path from 'path';
+ * import { By } from 'selenium-webdriver';
+ * import { WebDriverHelper as helper } from 'wp-e2e-webdriver';
+ *
+ * helper.auditAccessibility( driver, {
+ *   include: By.css( 'form.checkout' ),
+ *   exclude: '#payment',
+ *   tags: [ 'wcag2a', 'wcag2aa' ],
+ *   failOn: 'serious',
+ *   report: path.resolve( manager.config.screenshotsDir, 'a11y-checkout' ),
+ * } );
+ *
+ * @return {Promise} A promise that will be resolved with the results, an
+ *                   object with `url`, `timestamp`, `violations` and
+ *                   `incomplete` (rules with `id`, `impact`, `help`,
+ *                   `helpUrl` and failing `nodes`) and the number of
+ *                   `passes`, or rejected listing the violations of an
+ *                   impact of `failOn` or more severe.
+ */
+export function auditAccessibility( driver, options = {} ) {
+	const { include, exclude, failOn, report, waitMs = getDefaultWaitMs( driver ) } = options;
+	const threshold = failOn ? accessibilityImpacts.indexOf( failOn ) : -1;
+
+	if ( failOn && threshold === -1 ) {
+		return promise.rejected( new Error(
+			`Invalid failOn impact: '${ failOn }'. Supported values are ${ accessibilityImpacts.map( i => `"${ i }"` ).join( ', ' ) }`
+		) );
+	}
+
+	return driver.executeScript( 'return !! window.axe;' ).then( ( injected ) => {
+		return injected || driver.executeScript( axe.source );
+	} ).then( () => {
+		return promise.all( [ findAuditedElements( driver, include, true ), findAuditedElements( driver, exclude, false ) ] );
+	} ).then( ( [ includedElements, excludedElements ] ) => {
+		return driver.executeScript( runAxeScript, includedElements, excludedElements, getAxeOptions( options ) );
+	} ).then( () => {
+		return driver.wait( () => {
+			return driver.executeScript( 'return window.__axeResults;' );
+		}, waitMs, 'Timed out waiting for the accessibility audit' );
+	} ).then( ( results ) => {
+		if ( results.error ) {
+			throw new Error( `Failed to audit accessibility: ${ results.error }` );
+		}
+
+		if ( report ) {
+			writeText( JSON.stringify( results, null, 2 ), `${ report }.json` );
+			writeText( accessibilityReportHtml( results ), `${ report }.html` );
+		}
+
+		const failures = results.violations.filter( violation => accessibilityImpacts.indexOf( violation.impact ) >= threshold );
+		if ( threshold > -1 && failures.length ) {
+			throw new Error(
+				`Found ${ failures.length } accessibility violation(s) of impact '${ failOn }' or more severe on ${ results.url }:\n` +
+				failures.map( ( violation ) => {
+					const targets = violation.nodes.map( node => node.target.join( ' ' ) ).join( ', ' );
+					return `  ${ violation.id } (${ violation.impact }): ${ violation.help }: ${ targets }`;
+				} ).join( '\n' )
+			);
+		}
+
+		return results;
+	} );
+}
+
+function listRequests( requests ) {
+	return requests.map( request => `  ${ describeRequest( request ) }` ).join( '\n' );
+}
+
+/**
+ * Get network requests sent by the browser since the manager last cleared
+ * them, see `WebDriverManager.collectNetworkRequests()`. Requests are captured
+ * with the `captureNetwork` (Chrome) or `proxy: 'capture'` config.
+ *
+ * @param {object}               manager - Instance of `WebDriverManager`.
+ * @param {string|RegExp|object} matcher - Optional substring or regex of the
+ *                                         URL, or object with `method`, `url`
+ *                                         and `status`.
+ *
+ * @return {Promise} A promise that will be resolved with the matching requests.
+ */
+export function getRequests( manager, matcher ) {
+	return manager.collectNetworkRequests().then( ( requests ) => {
+		return matcher ? requests.filter( request => matchesRequest( matcher, request ) ) : requests;
+	} );
+}
+
+/**
+ * Wait until the browser sent `count` requests matching `matcher`. A matcher
+ * with a `status` waits for the responses too.
+ *
+ * @param {object}               manager - Instance of `WebDriverManager`.
+ * @param {string|RegExp|object} matcher - Matcher, see `getRequests()`.
+ * @param {object}               options - Optional object where `count` is
+ *                                         the number of requests to wait for
+ *                                         (1) and `waitMs` how long to wait in
+ *                                         millisecond, defaulting to
+ *                                         `getDefaultWaitMs( driver )`.
+ *
+ * @example
+ *
+ * import { WebDriverManager, WebDriverHelper as helper } from 'wp-e2e-webdriver';
+ *
+ * const manager = new WebDriverManager( 'chrome', { captureNetwork: true } );
+ *
+ * helper.waitTillRequest( manager, { method: 'POST', url: '?wc-ajax=checkout' } )
+ *   .then( requests => ... );
+ *
+ * @return {Promise} A promise that will be resolved with the matching
+ *                   requests, or rejected if times out waiting for them.
+ */
+export function waitTillRequest( manager, matcher, options = {} ) {
+	const driver = manager.getDriver();
+	const { count = 1, waitMs = getDefaultWaitMs( driver ) } = options;
+	let lastMatches = null;
+
+	return driver.wait( () => {
+		return getRequests( manager, matcher ).then( ( requests ) => {
+			lastMatches = requests;
+			return requests.length >= count ? requests : false;
+		} );
+	}, waitMs ).then( null, ( err ) => {
+		if ( ! lastMatches ) {
+			throw err;
+		}
+		throw new Error(
+			`Timed out waiting for ${ count } ${ describeMatcher( matcher ) }, got ${ lastMatches.length }` +
+			( lastMatches.length ? `:\n${ listRequests( lastMatches ) }` : '' )
+		);
+	} );
+}
+
+/**
+ * Assert the browser sent exactly `count` requests matching `matcher`.
+ *
+ * @param {object}               manager - Instance of `WebDriverManager`.
+ * @param {string|RegExp|object} matcher - Matcher, see `getRequests()`.
+ * @param {number}               count   - Expected number of requests.
+ *
+ * @example
+ *
+ * helper.assertRequestCount( manager, { method: 'POST', url: '?wc-ajax=checkout' }, 1 );
+ *
+ * @return {Promise} A promise that will be resolved with the matching
+ *                   requests, or rejected listing them.
+ */
+export function assertRequestCount( manager, matcher, count ) {
+	return getRequests( manager, matcher ).then( ( requests ) => {
+		if ( requests.length !== count ) {
+			throw new Error(
+				`Expected ${ count } ${ describeMatcher( matcher ) }, got ${ requests.length }` +
+				( requests.length ? `:\n${ listRequests( requests ) }` : '' )
+			);
+		}
+		return requests;
+	} );
+}
+
+/**
+ * Assert no request answered with a server error (5xx).
+ *
+ * @param {object}               manager - Instance of `WebDriverManager`.
+ * @param {string|RegExp|object} matcher - Optional matcher of the requests to
+ *                                         check, see `getRequests()`.
+ *
+ * @return {Promise} A promise that will be resolved with `true`, or rejected
+ *                   listing the failed requests.
+ */
+export function assertNoServerErrors( manager, matcher ) {
+	return getRequests( manager, matcher ).then( ( requests ) => {
+		const failed = requests.filter( request => request.status >= 500 );
+		if ( failed.length ) {
+			throw new Error( `${ failed.length } request(s) answered with a server error:\n${ listRequests( failed ) }` );
+		}
+		return true;
+	} );
+}
+
+// Whether the window `info` with `url` and `title` matches `predicate`.
+function matchesWindow( predicate, info ) {
+	if ( typeof predicate === 'function' ) {
+		return predicate( info );
+	}
+
+	return [ 'url', 'title' ].every( ( key ) => {
+		const expected = predicate[ key ];
+		if ( expected === undefined ) {
+			return true;
+		}
+		return expected instanceof RegExp ? expected.test( info[ key ] ) : info[ key ].indexOf( expected ) > -1;
+	} );
+}
+
+function describeWindowPredicate( predicate ) {
+	if ( typeof predicate === 'function' ) {
+		return 'the predicate';
+	}
+
+	return [ 'url', 'title' ].filter( key => predicate[ key ] !== undefined ).map( ( key ) => {
+		return `${ key } ${ predicate[ key ] instanceof RegExp ? predicate[ key ] : `'${ predicate[ key ] }'` }`;
+	} ).join( ' and ' );
+}
+
+// Switches to every window in turn until one matches `predicate`. Resolves
+// with its handle, staying switched to it, or `false` if none matches.
+function findWindow( driver, predicate ) {
+	return driver.getAllWindowHandles().then( ( handles ) => {
+		return handles.reduce( ( previous, handle ) => {
+			return previous.then( ( found ) => {
+				if ( found ) {
+					return found;
+				}
+
+				return driver.switchTo().window( handle ).then( () => {
+					return promise.all( [ driver.getCurrentUrl(), driver.getTitle() ] );
+				} ).then( ( [ url, title ] ) => {
+					return matchesWindow( predicate, { handle, url, title } ) ? handle : false;
+				}, returnFalse );
+			} );
+		}, promise.fulfilled( false ) );
+	} );
+}
+
+/**
+ * Run `action`, like clicking a link with `target="_blank"`, and wait for the
+ * new window or tab it opens. The driver stays on the current window.
+ *
+ * @param {object}   driver - Instance of WebDriver.
+ * @param {Function} action - Function opening the window, may return a promise.
+ * @param {number}   waitMs - How long to wait in millisecond. Defaults to
+ *                            `getDefaultWaitMs( driver )`.
+ *
+ * @example
+ *
+ * import { By } from 'selenium-webdriver';
+ * import { WebDriverManager, WebDriverHelper as helper } from 'wp-e2e-webdriver';
+ *
+ * const manager = new WebDriverManager( 'chrome' );
+ * const driver = manager.getDriver();
+ *
+ * helper.waitForNewWindow( driver, () => {
+ *   return helper.clickWhenClickable( driver, By.linkText( 'View order' ) );
+ * } ).then( handle => {
+ *   return helper.withinWindow( driver, handle, () => { ... }, { close: true } );
+ * } );
+ *
+ * @return {Promise} A promise that will be resolved with the handle of the new
+ *                   window, or rejected if times out waiting for it.
+ */
+export function waitForNewWindow( driver, action, waitMs = getDefaultWaitMs( driver ) ) {
+	return driver.getAllWindowHandles().then( ( existing ) => {
+		return promise.fulfilled( action() ).then( () => {
+			return driver.wait( () => {
+				return driver.getAllWindowHandles().then( ( handles ) => {
+					return handles.find( handle => existing.indexOf( handle ) === -1 ) || false;
+				} );
+			}, waitMs, 'Timed out waiting for a new window to open' );
+		} );
+	} );
+}
+
+/**
+ * Switch to the window or tab matching `predicate`, waiting for it to appear.
+ *
+ * @param {object}          driver    - Instance of WebDriver.
+ * @param {object|Function} predicate - Object with `url` and/or `title`, each
+ *                                      a substring or a regex to match, or a
+ *                                      function of `{ handle, url, title }`
+ *                                      returning whether the window matches.
+ * @param {number}          waitMs    - How long to wait in millisecond. Defaults
+ *                                      to `getDefaultWaitMs( driver )`.
+ *
+ * @example
+ *
+ * helper.switchToWindow( driver, { url: /paypal\.com/ } );
+ *
+ * @return {Promise} A promise that will be resolved with the handle of the
+ *                   window, or rejected if times out waiting for it. The driver
+ *                   stays on the original window then.
+ */
+export function switchToWindow( driver, predicate, waitMs = getDefaultWaitMs( driver ) ) {
+	return driver.getWindowHandle().then( handle => handle, () => null ).then( ( original ) => {
+		return driver.wait( () => findWindow( driver, predicate ), waitMs ).then( null, () => {
+			const back = original ? driver.switchTo().window( original ) : promise.fulfilled();
+
+			return back.then( () => {
+				throw new Error( `Timed out waiting for a window matching ${ describeWindowPredicate( predicate ) }` );
+			} );
+		} );
+	} );
+}
+
+/**
+ * Close the current window and switch to `handle`.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ * @param {string} handle - Handle of the window to return to.
+ *
+ * @return {Promise} A promise that will be resolved once switched to `handle`.
+ */
+export function closeWindow( driver, handle ) {
+	return driver.close().then( () => {
+		return driver.switchTo().window( handle );
+	} );
+}
+
+/**
+ * Switch to a window or tab, run `fn` inside it and switch back to the current
+ * window, even if `fn` fails.
+ *
+ * @param {object}                 driver  - Instance of WebDriver.
+ * @param {string|object|Function} target  - Window handle, or predicate, see
+ *                                           `switchToWindow`.
+ * @param {Function}               fn      - Function called with `driver`, may
+ *                                           return a promise.
+ * @param {object}                 options - Optional object where `close` is a
+ *                                           boolean indicating the window is
+ *                                           closed afterwards, `waitMs` is time
+ *                                           in millisecond to wait for the window.
+ *
+ * @example
+ *
+ * helper.withinWindow( driver, { title: 'Preview' }, () => {
+ *   return helper.waitTillPresentAndDisplayed( driver, By.css( '.entry-title' ) );
+ * }, { close: true } );
+ *
+ * @return {Promise} A promise that will be resolved with the value of `fn`.
+ */
+export function withinWindow( driver, target, fn, { close = false, waitMs = getDefaultWaitMs( driver ) } = {} ) {
+	return driver.getWindowHandle().then( ( original ) => {
+		const switched = typeof target === 'string'
+			? driver.switchTo().window( target )
+			: switchToWindow( driver, target, waitMs );
+
+		return switched.then( () => {
+			return andFinally( promise.fulfilled().then( () => fn( driver ) ), () => {
+				// The window may have closed itself, like a payment popup does.
+				const closed = close ? driver.close().then( null, () => {} ) : promise.fulfilled();
+
+				return closed.then( () => driver.switchTo().window( original ) );
+			} );
+		} );
+	} );
+}
+
+function describeFrame( frame ) {
+	return typeof frame === 'number' ? `frame ${ frame }` : `frame with ${ frame.using } of '${ frame.value }'`;
+}
+
+// Switches to the page, then down `framePath`. `withinFrame` keeps the path it
+// switched to in `driver.framePath`, to resolve nested calls from it and switch
+// back after them.
+function switchToFramePath( driver, framePath, waitMs ) {
+	return framePath.reduce( ( previous, frame ) => {
+		return previous.then( () => {
+			return driver.wait( until.ableToSwitchToFrame( frame ), waitMs, `Timed out waiting for ${ describeFrame( frame ) }` );
+		} );
+	}, driver.switchTo().defaultContent() );
+}
+
+/**
+ * Run `fn` inside a frame, like the card fields of Stripe or the classic
+ * editor, and switch back to the page even if `fn` fails.
+ *
+ * Nested frames are passed as a path of their locators, from the outermost
+ * one. Inside another `withinFrame`, frames are looked up from the frame of
+ * the outer call, so helpers calling `withinFrame` work inside frames too.
+ * Once `fn` is done, the driver switches back to the frame of the outer
+ * call, if any.
+ *
+ * @param {object}       driver - Instance of WebDriver.
+ * @param {object|Array} frames - Locator or index of the frame, or an array of
+ *                                them for nested frames.
+ * @param {Function}     fn     - Function called with `driver`, may return a
+ *                                promise.
+ * @param {number}       waitMs - How long to wait in millisecond for each
+ *                                frame. Defaults to `getDefaultWaitMs( driver )`.
+ *
+ * @example
+ *
+ * import { By } from 'selenium-webdriver';
+ * import { WebDriverManager, WebDriverHelper as helper } from 'wp-e2e-webdriver';
+ *
+ * const manager = new WebDriverManager( 'chrome' );
+ * const driver = manager.getDriver();
+ *
+ * helper.withinFrame( driver, By.css( 'iframe[name^=__privateStripe]' ), () => {
+ *   return helper.setWhenSettable( driver, By.css( 'input[name="cardnumber"]' ), '4242424242424242' );
+ * } );
+ *
+ * @return {Promise} A promise that will be resolved with the value of `fn`, or
+ *                   rejected if times out waiting for a frame.
+ */
+export function withinFrame( driver, frames, fn, waitMs = getDefaultWaitMs( driver ) ) {
+	const parentPath = driver.framePath || [];
+	const framePath = parentPath.concat( frames );
+
+	const switched = switchToFramePath( driver, framePath, waitMs ).then( () => {
+		driver.framePath = framePath;
+	} );
+
+	return andFinally( switched.then( () => fn( driver ) ), () => {
+		driver.framePath = parentPath;
+		return switchToFramePath( driver, parentPath, waitMs );
+	} );
+}
@@ -1,10 +1,30 @@
 /**
  * Internal dependencies
  */
+import * as BlockEditor from './block-editor';
+import Component from './component';
 import * as WebDriverHelper from './helper';
+import Fixtures from './fixtures';
+import * as WPAdmin from './wp-admin';
+import * as WPAuth from './wp-auth';
+import * as WCStorefront from './wc-storefront';
 import Manager from './manager';
+import ManagerPool from './manager-pool';
+import * as MochaHooks from './mocha-hooks';
+import Page from './page';
+import * as Performance from './performance';
 
 export {
+	BlockEditor,
+	Component,
+	Fixtures,
 	WebDriverHelper,
 	Manager as WebDriverManager,
+	ManagerPool as WebDriverManagerPool,
+	MochaHooks,
+	Page,
+	Performance,
+	WPAdmin,
+	WPAuth,
+	WCStorefront,
 };
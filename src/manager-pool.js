@@ -0,0 +1,139 @@
+/**
+ * Pool of managers, one browser per role, for multi-user scenarios.
+ *
+ * @module ManagerPool
+ */
+
+/**
+ * Internal dependencies
+ */
+import Manager from './manager';
+
+/**
+ * Class representing a pool of `WebDriverManager` instances looked up by role,
+ * like a shop manager and a customer using the site at the same time.
+ */
+export default class ManagerPool {
+	/**
+	 * Creates a pool.
+	 *
+	 * @param {object} options - Optional object where `config` is manager
+	 *                           configuration shared by all roles and
+	 *                           `createManager` is a function of `browser` and
+	 *                           `config` returning the manager, e.g. to use a
+	 *                           subclass.
+	 *
+	 * @example
+	 *
+	 * import { WebDriverManagerPool } from 'wp-e2e-webdriver';
+	 *
+	 * const pool = new WebDriverManagerPool( { config: { baseUrl: 'http://localhost:8080' } } );
+	 *
+	 * pool.start( 'shop-manager', 'chrome' );
+	 * pool.start( 'customer', 'chrome', { screenSize: 'mobile' } );
+	 *
+	 * pool.get( 'customer' ).getDriver().get( ... );
+	 *
+	 * // In teardown
+	 * pool.quitAll();
+	 */
+	constructor( { config = {}, createManager = ( browser, managerConfig ) => new Manager( browser, managerConfig ) } = {} ) {
+		this.config = config;
+		this.createManager = createManager;
+		this.managers = new Map();
+	}
+
+	/**
+	 * Start a manager, and its browser, for `role`.
+	 *
+	 * @param {string} role    - Role name like 'customer'.
+	 * @param {string} browser - Browser name. Defaults to 'chrome'.
+	 * @param {object} config  - Manager configuration on top of the pool's.
+	 *
+	 * @return {object} Instance of `WebDriverManager`.
+	 */
+	start( role, browser = 'chrome', config = {} ) {
+		if ( this.managers.has( role ) ) {
+			throw new Error( `A manager is already started for role '${ role }'` );
+		}
+
+		const manager = this.createManager( browser, Object.assign( {}, this.config, config ) );
+		this.managers.set( role, manager );
+
+		return manager;
+	}
+
+	/**
+	 * Check whether a manager is started for `role`.
+	 *
+	 * @param {string} role - Role name.
+	 *
+	 * @return {boolean} True if started.
+	 */
+	has( role ) {
+		return this.managers.has( role );
+	}
+
+	/**
+	 * Get the manager of `role`.
+	 *
+	 * @param {string} role - Role name.
+	 *
+	 * @return {object} Instance of `WebDriverManager`.
+	 */
+	get( role ) {
+		if ( ! this.managers.has( role ) ) {
+			const started = this.roles().join( ', ' ) || 'none';
+			throw new Error( `No manager is started for role '${ role }'. Started roles: ${ started }` );
+		}
+
+		return this.managers.get( role );
+	}
+
+	/**
+	 * Get the names of started roles.
+	 *
+	 * @return {Array} Role names, in the order they were started.
+	 */
+	roles() {
+		return Array.from( this.managers.keys() );
+	}
+
+	/**
+	 * Quit the browser of `role` and remove it from the pool.
+	 *
+	 * @param {string} role - Role name.
+	 *
+	 * @return {Promise} A promise that will be resolved once the browser quitted.
+	 */
+	quit( role ) {
+		const manager = this.get( role );
+
+		this.managers.delete( role );
+
+		return Promise.resolve( manager.quitBrowser() );
+	}
+
+	/**
+	 * Quit all browsers of the pool.
+	 *
+	 * A browser failing to quit doesn't stop the others, failures are reported
+	 * together once all browsers are done.
+	 *
+	 * @return {Promise} A promise that will be resolved once all browsers
+	 *                   quitted, or rejected listing the roles that failed.
+	 */
+	quitAll() {
+		const failures = [];
+
+		return Promise.all( this.roles().map( ( role ) => {
+			return this.quit( role ).catch( ( err ) => {
+				failures.push( `${ role }: ${ err.message }` );
+			} );
+		} ) ).then( () => {
+			if ( failures.length ) {
+				throw new Error( `Failed to quit ${ failures.length } browser(s): ${ failures.join( '; ' ) }` );
+			}
+		} );
+	}
+}
@@ -13,15 +13,49 @@ import chromedriver from 'chromedriver'; // eslint-disable-line no-unused-vars
 import proxy from 'selenium-webdriver/proxy';
 import firefox from 'selenium-webdriver/firefox';
 import chrome from 'selenium-webdriver/chrome';
+import { Command } from 'selenium-webdriver/lib/command';
 import SauceLabs from 'saucelabs';
 import path from 'path';
 
-const implicitWait = 2000;
-const pageLoadWaitMs = 60000;
+/**
+ * Internal dependencies
+ */
+import { createStub, describeMatcher, getStubScript, requestFromHarEntry, requestsFromDevToolsEvents } from './network';
+import { collectMetrics } from './performance';
+import RecordingProxy from './recording-proxy';
+
+// Timeouts in millisecond, except `sauceMaxDuration` in seconds, with the env
+// vars overriding them when they aren't set in config.
+const defaultTimeouts = {
+	implicitWaitMs: 2000,
+	pageLoadWaitMs: 60000,
+	defaultWaitMs: 10000,
+	sauceMaxDuration: 2700, // 45 minutes
+};
+const timeoutEnvVars = {
+	implicitWaitMs: 'IMPLICIT_WAIT_MS',
+	pageLoadWaitMs: 'PAGE_LOAD_WAIT_MS',
+	defaultWaitMs: 'DEFAULT_WAIT_MS',
+	sauceMaxDuration: 'SAUCE_MAX_DURATION',
+};
 const chromeUA = 'Mozilla/5.0 (wp-e2e-tests) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/51.0.2704.106 Safari/537.36';
+const chromeMobileUA = 'Mozilla/5.0 (Linux; Android 8.0; wp-e2e-tests) AppleWebKit/537.36 (KHTML, like Gecko) Mobile Safari/537.36';
+const mobileEmulationPixelRatio = 2;
 const firefoxUA = 'Mozilla/5.0 (wp-e2e-tests) Gecko/20100101 Firefox/46.0';
 const saucePreRunScriptURL = 'https://raw.githubusercontent.com/Automattic/wp-e2e-tests/master/fix-saucelabs-etc-hosts.sh';
 const saucePreRunWinScriptURL = 'https://raw.githubusercontent.com/Automattic/wp-e2e-tests/master/fix-saucelabs-etc-hosts.bat';
+const sendDevToolsCommandName = 'sendDevToolsCommand';
+const secretCapabilities = [ 'accessKey', 'password', 'key' ];
+const proxyAddressPattern = /^[^\s:/]+:\d+$/;
+const networkOffMessage = 'Network requests are not captured. Set captureNetwork: true to capture them ' +
+	'through DevTools with Chrome, or proxy: \'capture\' to capture them through a proxy.';
+
+const defaultScreenSizes = {
+	mobile: { width: 500, height: 1000 },
+	tablet: { width: 1024, height: 1000 },
+	desktop: { width: 1440, height: 1000 },
+	laptop: { width: 1400, height: 790 },
+};
 
 const defaultArgs = {
 	baseUrl: 'https://automattic.com',
@@ -29,9 +63,99 @@ const defaultArgs = {
 	useCustomUA: true,
 	proxy: 'direct',
 	screenshotsDir: path.resolve( process.cwd(), 'screenshots' ),
+	baselinesDir: path.resolve( process.cwd(), 'baselines' ),
 	headless: false,
 };
 
+/**
+ * Describe hub URL and capabilities for error messages, masking credentials.
+ *
+ * @param {string} remoteUrl - WebDriver hub URL.
+ * @param {object} caps      - Capabilities sent to the hub.
+ *
+ * @return {string} Human readable description of the session request.
+ */
+function describeSessionRequest( remoteUrl, caps ) {
+	const safeUrl = remoteUrl.replace( /\/\/[^@/]+@/, '//*********@' );
+	const safeCaps = JSON.stringify( caps, ( key, value ) => {
+		return secretCapabilities.indexOf( key ) > -1 ? '*********' : value;
+	} );
+
+	return `WebDriver hub '${ safeUrl }' with capabilities ${ safeCaps }`;
+}
+
+/**
+ * Get selenium-webdriver proxy settings of a manual or PAC proxy config.
+ *
+ * @param {object} proxyConfig - Object with `http`, `https` and `bypass`, or `pac`.
+ *
+ * @return {object} Proxy settings.
+ */
+function getManualProxy( proxyConfig ) {
+	if ( proxyConfig.pac ) {
+		return proxy.pac( proxyConfig.pac );
+	}
+
+	const invalid = [ 'http', 'https' ].filter( ( scheme ) => {
+		return proxyConfig[ scheme ] !== undefined && ! proxyAddressPattern.test( proxyConfig[ scheme ] );
+	} );
+	if ( ( ! proxyConfig.http && ! proxyConfig.https ) || invalid.length ) {
+		throw new Error(
+			`Invalid manual proxy: ${ JSON.stringify( proxyConfig ) }. Expected 'host:port' ` +
+			'as http and/or https, or a pac URL'
+		);
+	}
+
+	return proxy.manual( {
+		http: proxyConfig.http,
+		https: proxyConfig.https,
+		bypass: proxyConfig.bypass,
+	} );
+}
+
+/**
+ * Check whether `size` is a `{ width, height }` object with positive integers.
+ *
+ * @param {*} size - Value to check.
+ *
+ * @return {boolean} True if `size` can be used to resize the browser.
+ */
+function isValidSize( size ) {
+	return !! size && typeof size === 'object' &&
+		Number.isInteger( size.width ) && size.width > 0 &&
+		Number.isInteger( size.height ) && size.height > 0;
+}
+
+/**
+ * Get the build name and tags of the current CI run, so Sauce Labs groups the
+ * jobs of one run together.
+ *
+ * @return {object} Object with `build` and `tags`, or `null` outside of CI.
+ */
+function getCiBuild() {
+	const env = process.env;
+	let ci = null;
+
+	if ( env.TRAVIS_BUILD_NUMBER ) {
+		ci = { build: `Travis CI Build #${ env.TRAVIS_BUILD_NUMBER }`, tags: [ 'travis', env.TRAVIS_BRANCH ] };
+	} else if ( env.GITHUB_RUN_ID ) {
+		ci = {
+			build: `GitHub Actions ${ env.GITHUB_WORKFLOW || 'Build' } #${ env.GITHUB_RUN_NUMBER || env.GITHUB_RUN_ID }`,
+			tags: [ 'github-actions', env.GITHUB_REF ],
+		};
+	} else if ( env.CIRCLE_BUILD_NUM ) {
+		ci = { build: `CircleCI Build #${ env.CIRCLE_BUILD_NUM }`, tags: [ 'circleci', env.CIRCLE_BRANCH ] };
+	} else if ( env.BUILD_ID ) {
+		ci = { build: `Build #${ env.BUILD_ID }`, tags: [] };
+	}
+
+	if ( ci ) {
+		ci.tags = ci.tags.filter( Boolean );
+	}
+
+	return ci;
+}
+
 /**
  * Class representing WebDriver manager.
  */
@@ -41,11 +165,46 @@ export default class Manager {
 	 *
 	 * @param {string} browser - Browser to use. Valid value includes `chrome`
 	 *                           and 'firefox'.
-	 * @param {object} config  - Manager configuration.
+	 * @param {object} config  - Manager configuration. Set `remoteUrl` (or
+	 *                           `SELENIUM_REMOTE_URL` env var) to run the browser
+	 *                           on a WebDriver hub, e.g. a Selenium Grid, with
+	 *                           extra `capabilities` sent to the hub.
+	 *                           `screenSizes` registers named viewports, e.g.
+	 *                           `{ wide: { width: 1920, height: 1080 } }`, on
+	 *                           top of desktop, laptop, tablet and mobile.
+	 *                           `mobileEmulation` maps screen sizes to Chrome
+	 *                           device emulation, see `getMobileEmulation()`.
+	 *                           `baselinesDir` and `visualDiff` configure
+	 *                           `WebDriverHelper.assertMatchesBaseline()`.
+	 *                           `consoleErrors` configures the console error
+	 *                           watchdog, see `WebDriverHelper.checkConsoleErrors()`.
+	 *                           `woocommerce` sets `cart` and `checkout` page
+	 *                           paths for `WCStorefront`.
+	 *                           `proxy` is 'direct', 'system', 'capture' or a
+	 *                           manual proxy, see `getProxyType()`.
+	 *                           `captureNetwork` reads network requests of
+	 *                           Chrome through DevTools, see `getNetworkBackend()`.
+	 *                           `performance` collects metrics of pages opened
+	 *                           with `goTo()`, with optional `budgets` and
+	 *                           `failTest`, see `Performance.checkPerformance()`.
+	 *                           Timeouts are set with `implicitWaitMs`,
+	 *                           `pageLoadWaitMs`, `defaultWaitMs` and
+	 *                           `sauceMaxDuration`, see `getTimeouts()`.
 	 */
 	constructor( browser = 'chrome', config = {} ) {
 		this.browser = browser;
-		this.config = Object.assign( defaultArgs, config );
+		this.config = Object.assign( {}, defaultArgs, config );
+		this.browserLogs = [];
+		this.networkEvents = [];
+		this.networkSince = 0;
+		this.requestStubs = [];
+		this.performanceMetrics = [];
+		this.performanceResults = [];
+
+		this.screenSizes = Object.assign( {}, defaultScreenSizes );
+		Object.keys( this.config.screenSizes || {} ).forEach( ( name ) => {
+			this.registerScreenSize( name, this.config.screenSizes[ name ] );
+		} );
 
 		this.setupDriver();
 	}
@@ -66,9 +225,34 @@ export default class Manager {
 		return this.driver;
 	}
 
+	/**
+	 * Returns the WebDriver session once it is started.
+	 *
+	 * @return {Promise} A promise that will be resolved with the session, or
+	 *                   rejected if the browser could not be started. For
+	 *                   remote drivers the error names the hub and capabilities.
+	 */
+	getSession() {
+		return this.session || this.driver.getSession();
+	}
+
+	/**
+	 * Get WebDriver hub URL from manager's configuration.
+	 *
+	 * @return {string} WebDriver hub URL, or `undefined` to run the browser locally.
+	 */
+	getRemoteUrl() {
+		return this.config.remoteUrl || process.env.SELENIUM_REMOTE_URL;
+	}
+
 	setupDriver() {
+		// Invalid timeouts throw before a browser is started.
+		const timeouts = this.getTimeouts();
+
 		if ( this.config.useSauce ) {
 			this.driver = this.buildSauceDriver();
+		} else if ( this.getRemoteUrl() ) {
+			this.driver = this.buildRemoteDriver();
 		} else {
 			const browserName = this.browser.toLowerCase();
 			switch ( browserName ) {
@@ -88,21 +272,83 @@ export default class Manager {
 			this.browserName = browserName;
 		}
 
-		this.driver.manage().timeouts().implicitlyWait( implicitWait );
-		this.driver.manage().timeouts().pageLoadTimeout( pageLoadWaitMs );
+		// Read by `WebDriverHelper.getDefaultWaitMs()`, helpers only get the driver.
+		this.driver.defaultWaitMs = timeouts.defaultWaitMs;
+
+		if ( this.session ) {
+			// Configure remote browser once the hub accepted the session, so a
+			// failure is reported once, with the hub and capabilities in it,
+			// through `getSession()`.
+			this.session.then( () => this.configureDriver(), () => {} );
+		} else {
+			this.configureDriver();
+		}
+	}
+
+	/**
+	 * Get timeouts from config, falling back to env vars and then defaults.
+	 *
+	 * - `implicitWaitMs` (`IMPLICIT_WAIT_MS`, 2000) to find elements.
+	 * - `pageLoadWaitMs` (`PAGE_LOAD_WAIT_MS`, 60000) to load pages.
+	 * - `defaultWaitMs` (`DEFAULT_WAIT_MS`, 10000) of `WebDriverHelper` waits
+	 *   called without `waitMs`.
+	 * - `sauceMaxDuration` (`SAUCE_MAX_DURATION`, 2700) of Sauce Labs jobs,
+	 *   in seconds.
+	 *
+	 * @example
+	 *
+	 * // Slow staging site
+	 * const manager = new WebDriverManager( 'chrome', { pageLoadWaitMs: 120000, defaultWaitMs: 30000 } );
+	 *
+	 * @return {object} Timeouts.
+	 */
+	getTimeouts() {
+		const timeouts = {};
+
+		Object.keys( defaultTimeouts ).forEach( ( name ) => {
+			const envVar = timeoutEnvVars[ name ];
+			let value = this.config[ name ];
+
+			if ( value === undefined || value === null ) {
+				value = process.env[ envVar ] !== undefined ? process.env[ envVar ] : defaultTimeouts[ name ];
+			}
+
+			const timeout = Number( value );
+			if ( value === '' || ! Number.isFinite( timeout ) || timeout < 0 ) {
+				throw new Error( `Invalid timeout ${ name } (or ${ envVar } env var): '${ value }'. Expected a non-negative number.` );
+			}
+
+			timeouts[ name ] = timeout;
+		} );
+
+		return timeouts;
+	}
+
+	configureDriver() {
+		const timeouts = this.getTimeouts();
+
+		this.driver.manage().timeouts().implicitlyWait( timeouts.implicitWaitMs );
+		this.driver.manage().timeouts().pageLoadTimeout( timeouts.pageLoadWaitMs );
 
 		if ( this.config.resizeBrowserWindow ) {
 			this.resizeBrowser( this.getConfigScreenSize() );
 		}
 	}
 
-	buildSauceDriver() {
-		const caps = this.config.sauceConfig;
+	/**
+	 * Get capabilities of a Sauce Labs session from `config.sauceConfig` and
+	 * `config.sauceCreds`, with the build and tags of the CI run.
+	 *
+	 * @return {object} Capabilities.
+	 */
+	createSauceCapabilities() {
+		const caps = Object.assign( {}, this.config.sauceConfig );
+		const ci = getCiBuild();
 
 		caps.username = this.config.sauceCreds.sauceUsername;
 		caps.accessKey = this.config.sauceCreds.sauceAccessKey;
 		caps.name = caps.browserName + ' - [' + this.getConfigScreenSize() + ']';
-		caps.maxDuration = 2700; // 45 minutes
+		caps.maxDuration = this.getTimeouts().sauceMaxDuration;
 
 		let preRunScript = saucePreRunScriptURL;
 		if ( caps.platform.match( /Windows/ ) ) {
@@ -110,14 +356,36 @@ export default class Manager {
 		}
 		caps.prerun = { executable: preRunScript };
 
-		if ( process.env.CIRCLE_BUILD_NUM ) {
-			caps.name += ' - CircleCI Build #' + process.env.CIRCLE_BUILD_NUM;
+		if ( ci ) {
+			caps.name += ' - ' + ci.build;
+			caps.build = caps.build || ci.build;
+			caps.tags = ( caps.tags || [] ).concat( ci.tags.filter( tag => ( caps.tags || [] ).indexOf( tag ) === -1 ) );
 		}
 
-		global._sauceLabs = new SauceLabs( {
-			username: caps.username,
-			password: caps.accessKey,
-		} );
+		return caps;
+	}
+
+	/**
+	 * Get the Sauce Labs REST client. Assign `manager.sauceClient` to replace
+	 * it, e.g. with a mock in tests.
+	 *
+	 * @return {object} Instance of `SauceLabs`.
+	 */
+	getSauceClient() {
+		if ( ! this.sauceClient ) {
+			this.sauceClient = new SauceLabs( {
+				user: this.config.sauceCreds.sauceUsername,
+				key: this.config.sauceCreds.sauceAccessKey,
+			} );
+		}
+
+		return this.sauceClient;
+	}
+
+	buildSauceDriver() {
+		const caps = this.createSauceCapabilities();
+
+		global._sauceLabs = this.getSauceClient();
 
 		const builder = new webdriver.Builder();
 		this.browserName = caps.browserName;
@@ -135,6 +403,47 @@ export default class Manager {
 		return this.driver;
 	}
 
+	/**
+	 * Build driver against the WebDriver hub returned by `getRemoteUrl()`.
+	 *
+	 * Chrome and Firefox get the same options, such as the custom UA, as their
+	 * local builders. Any other browser is started with `config.capabilities` only.
+	 *
+	 * @return {object} Instance of WebDriver.
+	 */
+	buildRemoteDriver() {
+		const remoteUrl = this.getRemoteUrl();
+		const caps = Object.assign( { browserName: this.browser }, this.config.capabilities );
+		const browserName = caps.browserName.toLowerCase();
+		const builder = new webdriver.Builder();
+
+		switch ( browserName ) {
+			case 'chrome':
+				builder.setChromeOptions( this.createChromeOptions() );
+				break;
+			case 'firefox':
+				builder.setFirefoxOptions( this.createFirefoxOptions() );
+				break;
+		}
+
+		caps.browserName = browserName;
+		this.browserName = browserName;
+		const driver = builder.usingServer( remoteUrl ).
+			withCapabilities( caps ).
+			setLoggingPrefs( this.createLoggingPreference() ).
+			build();
+
+		// Handling the driver itself, not only its session, keeps the bare
+		// connection error from being reported ahead of this one.
+		this.session = driver.then( () => driver.getSession(), ( err ) => {
+			throw new Error(
+				`Failed to start a session on ${ describeSessionRequest( remoteUrl, caps ) }: ${ err.message }`
+			);
+		} );
+
+		return driver;
+	}
+
 	buildChromeDriver() {
 		const builder = new webdriver.Builder();
 		builder.setChromeOptions( this.createChromeOptions() );
@@ -148,19 +457,80 @@ export default class Manager {
 		const options = new chrome.Options();
 		options.setProxy( this.getProxyType() );
 		options.addArguments( '--no-sandbox' );
+		if ( this.getCaptureProxy() ) {
+			// Chrome skips proxies for localhost, where test sites usually run.
+			options.addArguments( '--proxy-bypass-list=<-loopback>' );
+		}
 		if ( process.env.HEADLESS || this.config.headless ) {
 			options.addArguments( '--headless' );
 		}
-		if ( this.config.useCustomUA ) {
+
+		const mobileEmulation = this.getMobileEmulation();
+		if ( mobileEmulation ) {
+			options.setMobileEmulation( mobileEmulation );
+		} else if ( this.config.useCustomUA ) {
 			options.addArguments( 'user-agent=' + chromeUA );
 		}
 		if ( this.config.allowRunningInsecureContent ) {
 			options.addArguments( '--allow-running-insecure-content' );
 		}
+		if ( this.config.captureNetwork ) {
+			options.setPerfLoggingPrefs( { enableNetwork: true, enablePage: false } );
+		}
 
 		return options;
 	}
 
+	/**
+	 * Get Chrome's device emulation for the screen size from manager's configuration.
+	 *
+	 * `mobileEmulation` config maps screen size names to either a Chrome device
+	 * name like 'Pixel 2', an object with `deviceMetrics` and `userAgent`, or
+	 * `true` to emulate a touch device with the screen size's width and height
+	 * and a mobile UA. `mobileEmulation: true` is a shorthand for
+	 * `{ mobile: true }`, so `BROWSERSIZE=mobile` runs an emulated phone.
+	 *
+	 * Emulation only applies to Chrome. Other browsers are resized to the
+	 * screen size only.
+	 *
+	 * @example
+	 *
+	 * const manager = new WebDriverManager( 'chrome', {
+	 *   screenSize: 'mobile',
+	 *   mobileEmulation: { mobile: 'Pixel 2', tablet: true },
+	 * } );
+	 *
+	 * @return {object} Chrome's `mobileEmulation` option, or `null` if the
+	 *                  configured screen size is not emulated.
+	 */
+	getMobileEmulation() {
+		const emulation = this.config.mobileEmulation === true
+			? { mobile: true }
+			: this.config.mobileEmulation || {};
+		const screenSize = this.getConfigScreenSize();
+		const device = emulation[ screenSize ];
+
+		if ( ! device ) {
+			return null;
+		}
+		if ( typeof device === 'string' ) {
+			return { deviceName: device };
+		}
+		if ( device === true ) {
+			const size = this.getScreenSizeAsObject( screenSize );
+			return {
+				deviceMetrics: {
+					width: size.width,
+					height: size.height,
+					pixelRatio: mobileEmulationPixelRatio,
+					touch: true,
+				},
+				userAgent: chromeMobileUA,
+			};
+		}
+		return device;
+	}
+
 	buildFirefoxDriver() {
 		const builder = new webdriver.Builder();
 		builder.setFirefoxOptions( this.createFirefoxOptions() );
@@ -181,13 +551,24 @@ export default class Manager {
 		if ( this.config.useCustomUA ) {
 			profile.setPreference( 'general.useragent.override', firefoxUA );
 		}
+		if ( this.getCaptureProxy() ) {
+			profile.setPreference( 'network.proxy.allow_hijacking_localhost', true );
+		}
 
 		return profile;
 	}
 
 	createFirefoxOptions() {
 		const options = new firefox.Options().setProfile( this.createFirefoxProfile() );
-		options.setProxy( this.getProxyType() );
+		const proxySettings = this.getProxyType();
+
+		if ( this.getCaptureProxy() ) {
+			// Firefox takes the port apart, and selenium-webdriver can't split
+			// an address that isn't known yet.
+			const port = proxySettings.httpProxy.then( address => Number( address.split( ':' )[ 1 ] ) );
+			Object.assign( proxySettings, { httpProxy: '127.0.0.1', httpProxyPort: port, sslProxy: '127.0.0.1', sslProxyPort: port } );
+		}
+		options.setProxy( proxySettings );
 
 		return options;
 	}
@@ -195,13 +576,66 @@ export default class Manager {
 	createLoggingPreference() {
 		const pref = new webdriver.logging.Preferences();
 		pref.setLevel( 'browser', webdriver.logging.Level.SEVERE );
+		if ( this.config.captureNetwork ) {
+			pref.setLevel( 'performance', webdriver.logging.Level.ALL );
+		}
 
 		return pref;
 	}
 
+	/**
+	 * Read new entries of the browser console log.
+	 *
+	 * The browser empties its log on every read, so entries are kept by the
+	 * manager until `clearBrowserLogs()`. This way the console error watchdog
+	 * and failure artifacts both see all of them.
+	 *
+	 * @return {Promise} A promise that will be resolved with all entries
+	 *                   collected since the last `clearBrowserLogs()`.
+	 */
+	collectBrowserLogs() {
+		return this.driver.manage().logs().get( 'browser' ).then( ( entries ) => {
+			this.browserLogs = this.browserLogs.concat( entries );
+			return this.browserLogs;
+		} );
+	}
+
+	/**
+	 * Forget browser console log entries collected so far, e.g. after each test.
+	 */
+	clearBrowserLogs() {
+		this.browserLogs = [];
+	}
+
+	/**
+	 * Register a named screen size, so it can be used as `screenSize` config,
+	 * `BROWSERSIZE` env var or passed to `resizeBrowser()`.
+	 *
+	 * @example
+	 *
+	 * manager.registerScreenSize( 'wp-admin-breakpoint-782', { width: 782, height: 1000 } );
+	 * manager.resizeBrowser( 'wp-admin-breakpoint-782' );
+	 *
+	 * @param {string} name - Screen size name like 'wide'. Names are case insensitive.
+	 * @param {object} size - Object with `width` and `height` in pixels.
+	 */
+	registerScreenSize( name, size ) {
+		if ( ! isValidSize( size ) ) {
+			throw new Error(
+				`Invalid size for screen size '${ name }': ${ JSON.stringify( size ) }. ` +
+				'Expected an object with positive integer width and height.'
+			);
+		}
+
+		this.screenSizes[ name.toLowerCase() ] = { width: size.width, height: size.height };
+	}
+
 	/**
 	 * Get screen size from manager's configuration.
 	 *
+	 * When `screenSize` config is a `{ width, height }` object it's returned
+	 * as '<width>x<height>', e.g. '782x1000'.
+	 *
 	 * @return {string} Screen size like 'desktop' or 'mobile'.
 	 */
 	getConfigScreenSize() {
@@ -209,65 +643,58 @@ export default class Manager {
 		if ( screenSize === undefined || screenSize === '' ) {
 			screenSize = 'desktop';
 		}
+		if ( isValidSize( screenSize ) ) {
+			return `${ screenSize.width }x${ screenSize.height }`;
+		}
 		return screenSize.toLowerCase();
 	}
 
 	/**
 	 * Get object representation of `screenSize`.
 	 *
-	 * @param {string} screenSize - Screen size like 'desktop' or 'mobile'.
+	 * @param {string|object} screenSize - Registered screen size like 'desktop' or
+	 *                                     'mobile', '<width>x<height>' string like
+	 *                                     '782x1000', or `{ width, height }` object.
 	 *
 	 * @return {object} Object representation of screen size.
 	 */
 	getScreenSizeAsObject( screenSize ) {
-		switch ( screenSize ) {
-			case 'mobile':
-				return { width: 500, height: 1000 };
-			case 'tablet':
-				return { width: 1024, height: 1000 };
-			case 'desktop':
-				return { width: 1440, height: 1000 };
-			case 'laptop':
-				return { width: 1400, height: 790 };
-			default:
-				throw new Error(
-					'Unsupported screen size specified (' + screenSize + '). ' +
-					'Supported values are desktop, tablet and mobile.'
-				);
+		if ( isValidSize( screenSize ) ) {
+			return { width: screenSize.width, height: screenSize.height };
+		}
+
+		if ( typeof screenSize === 'string' ) {
+			const name = screenSize.toLowerCase();
+			if ( this.screenSizes.hasOwnProperty( name ) ) {
+				return Object.assign( {}, this.screenSizes[ name ] );
+			}
+
+			const dimensions = name.match( /^(\d+)x(\d+)$/ );
+			if ( dimensions ) {
+				return { width: parseInt( dimensions[ 1 ], 10 ), height: parseInt( dimensions[ 2 ], 10 ) };
+			}
 		}
+
+		throw new Error(
+			'Unsupported screen size specified (' + JSON.stringify( screenSize ) + '). ' +
+			'Supported values are ' + Object.keys( this.screenSizes ).join( ', ' ) +
+			', "<width>x<height>" or an object with width and height.'
+		);
 	}
 
 	/**
 	 * Resize the browser to `screenSize`.
 	 *
-	 * @param {string} screenSize - Screen size like 'desktop' or 'mobile'.
+	 * @param {string|object} screenSize - Screen size like 'desktop' or 'mobile'.
+	 *                                     See `getScreenSizeAsObject()` for
+	 *                                     supported values.
+	 *
+	 * @return {Promise} A promise that will be resolved once browser is resized.
 	 */
 	resizeBrowser( screenSize ) {
-		if ( typeof ( screenSize ) === 'string' ) {
-			switch ( screenSize.toLowerCase() ) {
-				case 'mobile':
-					this.driver.manage().window().setSize( 500, 1000 );
-					break;
-				case 'tablet':
-					this.driver.manage().window().setSize( 1024, 1000 );
-					break;
-				case 'desktop':
-					this.driver.manage().window().setSize( 1440, 1000 );
-					break;
-				case 'laptop':
-					this.driver.manage().window().setSize( 1400, 790 );
-					break;
-				default:
-					throw new Error(
-						'Unsupported screen size specified (' + screenSize + '). ' +
-						'Supported values are desktop, tablet and mobile.'
-					);
-			}
-		} else {
-			throw new Error(
-				'Unsupported screen size specified (' + screenSize + '). ' +
-				'Supported values are desktop, tablet and mobile.' );
-		}
+		const size = this.getScreenSizeAsObject( screenSize );
+
+		return this.driver.manage().window().setSize( size.width, size.height );
 	}
 
 	/**
@@ -279,28 +706,316 @@ export default class Manager {
 	 */
 	quitBrowser( waitForMs = 0 ) {
 		const driver = this.driver;
+		let reportError = null;
 
 		return driver.sleep( waitForMs ).then( () => {
+			if ( this.config.useSauce && ! this.sauceJobStatusReported ) {
+				// Don't keep the browser running if Sauce Labs can't be reached.
+				return this.reportSauceJobStatus().then( null, ( err ) => {
+					reportError = err;
+				} );
+			}
+		} ).then( () => {
 			return driver.quit();
+		} ).then( () => {
+			return this.stopCaptureProxy();
+		}, ( err ) => {
+			// A listening proxy would keep the process alive.
+			return this.stopCaptureProxy().then( () => {
+				throw err;
+			} );
+		} ).then( () => {
+			if ( reportError ) {
+				throw reportError;
+			}
 		} );
 	}
 
+	stopCaptureProxy() {
+		return webdriver.promise.fulfilled( this.captureProxy && this.captureProxy.stop() );
+	}
+
+	/**
+	 * Mark the Sauce Labs job of the session as passed or failed.
+	 *
+	 * The job fails if there are `failedTests` or `driver.allPassed` was set to
+	 * `false`. `quitBrowser()` reports the status if it wasn't reported yet.
+	 *
+	 * @example
+	 *
+	 * test.after( function() {
+	 *   return manager.reportSauceJobStatus( failedTests ).then( () => manager.quitBrowser() );
+	 * } );
+	 *
+	 * @param {Array} failedTests - Titles of failed tests, attached to the job
+	 *                              as `custom-data`.
+	 *
+	 * @return {Promise} A promise that will be resolved with the updated job, or
+	 *                   `undefined` if the browser doesn't run on Sauce Labs.
+	 */
+	reportSauceJobStatus( failedTests = [] ) {
+		if ( ! this.config.useSauce ) {
+			return webdriver.promise.fulfilled();
+		}
+
+		const passed = ! failedTests.length && this.driver.allPassed !== false;
+
+		this.sauceJobStatusReported = true;
+
+		return this.getSession().then( ( session ) => {
+			return this.getSauceClient().updateJob( this.config.sauceCreds.sauceUsername, session.getId(), {
+				passed,
+				'custom-data': { failedTests },
+			} );
+		} );
+	}
+
+	/**
+	 * Get browser proxy settings from the `proxy` config.
+	 *
+	 * - 'direct' connects directly, the default.
+	 * - 'system' uses the proxy settings of the system.
+	 * - 'capture' routes the browser through a local `RecordingProxy`, see
+	 *   `getCaptureProxy()`. The browser must run on this machine.
+	 * - An object with `http` and `https` proxies as 'host:port', and
+	 *   `bypass`, an array of hosts to connect to directly, sets a manual proxy.
+	 * - An object with a `pac` URL uses a proxy auto-config file.
+	 *
+	 * @example
+	 *
+	 * const manager = new WebDriverManager( 'chrome', {
+	 *   proxy: { http: 'proxy.corp:3128', https: 'proxy.corp:3128', bypass: [ 'localhost', '*.local' ] },
+	 * } );
+	 *
+	 * @return {object} Proxy settings of selenium-webdriver.
+	 */
 	getProxyType() {
-		const proxyType = this.config.proxy;
+		const proxyConfig = this.config.proxy;
+
+		if ( proxyConfig && typeof proxyConfig === 'object' ) {
+			return getManualProxy( proxyConfig );
+		}
 
-		switch ( proxyType.toLowerCase() ) {
+		switch ( String( proxyConfig ).toLowerCase() ) {
 			case 'direct':
 				return proxy.direct();
 			case 'system':
 				return proxy.system();
+			case 'capture': {
+				// The port is known once the proxy listens. selenium-webdriver
+				// resolves promises in capabilities before starting the session.
+				const address = this.getCaptureProxy().start();
+				return proxy.manual( { http: address, https: address } );
+			}
 			default:
 				throw new Error(
-					`Unknown proxy type specified of: '${ proxyType }'. Supported` +
-					'values are "direct" or "system"'
+					`Unknown proxy type specified of: '${ proxyConfig }'. Supported ` +
+					'values are "direct", "system", "capture" or an object with a manual proxy'
 				);
 		}
 	}
 
+	/**
+	 * Get the local proxy recording the browser traffic when the `proxy`
+	 * config is 'capture'. Set `captureProxyPort` to use a fixed port.
+	 *
+	 * Its entries are written as HAR files by `WebDriverHelper.exportHar()`.
+	 *
+	 * @return {object} Instance of `RecordingProxy`, or `null` if the traffic
+	 *                  is not captured.
+	 */
+	getCaptureProxy() {
+		if ( String( this.config.proxy ).toLowerCase() !== 'capture' ) {
+			return null;
+		}
+		if ( ! this.captureProxy ) {
+			this.captureProxy = new RecordingProxy( { port: this.config.captureProxyPort } );
+		}
+
+		return this.captureProxy;
+	}
+
+	/**
+	 * Get how network requests of the browser are read and stubbed.
+	 *
+	 * - 'devtools' with Chrome run locally and `captureNetwork: true`. Requests
+	 *   are read from DevTools events. Stubs answer `fetch()` and
+	 *   `XMLHttpRequest` calls of the page, and stubs blocking a url string
+	 *   block any request.
+	 * - 'proxy' with `proxy: 'capture'`, see `getCaptureProxy()`. Stubs answer
+	 *   plain HTTP requests, HTTPS requests can only be blocked, by host.
+	 *
+	 * @return {string} 'devtools', 'proxy', or `null` if requests are not captured.
+	 */
+	getNetworkBackend() {
+		if ( this.browserName === 'chrome' && this.config.captureNetwork ) {
+			return 'devtools';
+		}
+		if ( this.getCaptureProxy() ) {
+			return 'proxy';
+		}
+
+		return null;
+	}
+
+	/**
+	 * Read network requests sent by the browser since the last
+	 * `clearNetworkRequests()`. Requests stubbed in the page through DevTools
+	 * never reach the network, so they are not listed.
+	 *
+	 * @return {Promise} A promise that will be resolved with requests, objects
+	 *                   with `method`, `url`, `postData`, `resourceType`,
+	 *                   `status`, `failure`, `startedAt` and `stubbed`, or
+	 *                   rejected if requests are not captured.
+	 */
+	collectNetworkRequests() {
+		const isNew = request => request.startedAt >= this.networkSince;
+
+		switch ( this.getNetworkBackend() ) {
+			case 'devtools':
+				return this.driver.manage().logs().get( 'performance' ).then( ( entries ) => {
+					this.networkEvents = this.networkEvents.concat( entries );
+					return requestsFromDevToolsEvents( this.networkEvents ).filter( isNew );
+				} );
+			case 'proxy':
+				return webdriver.promise.fulfilled().then( () => {
+					return this.getCaptureProxy().getEntries().map( requestFromHarEntry ).filter( isNew );
+				} );
+			default:
+				return webdriver.promise.rejected( new Error( networkOffMessage ) );
+		}
+	}
+
+	/**
+	 * Forget network requests collected so far, e.g. after each test.
+	 */
+	clearNetworkRequests() {
+		this.networkEvents = [];
+		this.networkSince = Date.now();
+	}
+
+	/**
+	 * Answer requests matching `matcher` with `response` instead of the
+	 * server, e.g. for payment gateways or analytics. Stubs added later take
+	 * precedence and last until `clearRequestStubs()`.
+	 *
+	 * Through DevTools, requests are blocked by url substring only, for any
+	 * method, so blocking stubs with a regex or a method are rejected.
+	 *
+	 * @example
+	 *
+	 * manager.stubRequests( 'gravatar.com', { block: true } );
+	 * manager.stubRequests( { method: 'POST', url: 'api.stripe.test' }, { status: 402, body: { error: 'card_declined' } } );
+	 *
+	 * @param {string|RegExp|object} matcher  - Substring or regex of the URL,
+	 *                                          or object with `method` and `url`.
+	 * @param {object}               response - Object with `status` (200),
+	 *                                          `headers` and `body`, sent as
+	 *                                          JSON unless a string, or with
+	 *                                          `block: true` to fail the request.
+	 *
+	 * @return {Promise} A promise that will be resolved once the stub is set,
+	 *                   or rejected if requests are not captured.
+	 */
+	stubRequests( matcher, response ) {
+		let stub;
+		try {
+			stub = createStub( matcher, response );
+		} catch ( err ) {
+			return webdriver.promise.rejected( err );
+		}
+
+		if ( stub.response.block && ( typeof stub.url !== 'string' || stub.method ) && this.getNetworkBackend() === 'devtools' ) {
+			return webdriver.promise.rejected( new Error(
+				`Can not block ${ describeMatcher( matcher ) } through DevTools, which only blocks url substrings ` +
+				'of requests of any method. Pass a url string like \'gravatar.com\' instead'
+			) );
+		}
+
+		this.requestStubs = this.requestStubs.concat( stub );
+		return this.applyRequestStubs();
+	}
+
+	/**
+	 * Remove stubs set with `stubRequests()`.
+	 *
+	 * @return {Promise} A promise that will be resolved once stubs are removed.
+	 */
+	clearRequestStubs() {
+		this.requestStubs = [];
+		return this.getNetworkBackend() ? this.applyRequestStubs() : webdriver.promise.fulfilled();
+	}
+
+	applyRequestStubs() {
+		const stubs = this.requestStubs;
+
+		switch ( this.getNetworkBackend() ) {
+			case 'devtools': {
+				// DevTools blocks url strings for any request, see `stubRequests()`,
+				// the page script answers fetch() and XMLHttpRequest calls
+				// matching other stubs.
+				const blocked = stubs.filter( stub => stub.response.block );
+				const script = getStubScript( stubs.filter( stub => blocked.indexOf( stub ) === -1 ) );
+				const blockedUrls = blocked.map( stub => `*${ stub.url }*` );
+
+				return this.sendDevToolsCommand( 'Network.enable' ).then( () => {
+					return this.sendDevToolsCommand( 'Network.setBlockedURLs', { urls: blockedUrls } );
+				} ).then( () => {
+					if ( this.stubScriptId ) {
+						return this.sendDevToolsCommand( 'Page.removeScriptToEvaluateOnNewDocument', { identifier: this.stubScriptId } );
+					}
+				} ).then( () => {
+					this.stubScriptId = null;
+					if ( stubs.length ) {
+						return this.sendDevToolsCommand( 'Page.addScriptToEvaluateOnNewDocument', { source: script } ).then( ( result ) => {
+							this.stubScriptId = result.identifier;
+						} );
+					}
+				} ).then( () => {
+					// Stub the page already loaded too.
+					return this.driver.executeScript( script );
+				} );
+			}
+			case 'proxy':
+				this.getCaptureProxy().setStubs( stubs );
+				return webdriver.promise.fulfilled();
+			default:
+				return webdriver.promise.rejected( new Error( networkOffMessage ) );
+		}
+	}
+
+	/**
+	 * Send a Chrome DevTools Protocol command to the browser.
+	 *
+	 * @example
+	 *
+	 * manager.sendDevToolsCommand( 'Network.clearBrowserCache' );
+	 *
+	 * @param {string} cmd    - DevTools command like 'Emulation.setDeviceMetricsOverride'.
+	 * @param {object} params - Command parameters.
+	 *
+	 * @return {Promise} A promise that will be resolved with the command result,
+	 *                   or rejected if the browser is not Chrome.
+	 */
+	sendDevToolsCommand( cmd, params = {} ) {
+		if ( this.browserName !== 'chrome' ) {
+			return webdriver.promise.rejected( new Error(
+				`DevTools command ${ cmd } is not supported by '${ this.browserName }'. Only Chrome supports DevTools commands.`
+			) );
+		}
+
+		this.driver.getExecutor().defineCommand(
+			sendDevToolsCommandName,
+			'POST',
+			'/session/:sessionId/chromium/send_command_and_get_result'
+		);
+
+		return this.driver.schedule(
+			new Command( sendDevToolsCommandName ).setParameter( 'cmd', cmd ).setParameter( 'params', params ),
+			`Manager.sendDevToolsCommand( ${ cmd } )`
+		);
+	}
+
 	/**
 	 * Get base URL from manager's configuration.
 	 *
@@ -320,4 +1035,26 @@ export default class Manager {
 	getPageUrl( pagePath = '/' ) {
 		return urljoin( this.getBaseUrl(), pagePath );
 	}
+
+	/**
+	 * Open a page given a `pagePath` without the hostname.
+	 *
+	 * With the `performance` config, metrics of the page are collected, see
+	 * `Performance.collectMetrics()`.
+	 *
+	 * @example
+	 *
+	 * manager.goTo( '/cart/' );
+	 *
+	 * @param {string} pagePath - Page path.
+	 *
+	 * @return {Promise} A promise that will be resolved once the page is loaded.
+	 */
+	goTo( pagePath = '/' ) {
+		return this.driver.get( this.getPageUrl( pagePath ) ).then( () => {
+			if ( this.config.performance ) {
+				return collectMetrics( this, pagePath ).then( () => {} );
+			}
+		} );
+	}
 }
@@ -0,0 +1,223 @@
+/**
+ * Mocha hooks that start a `WebDriverManager` for the suite, capture failure
+ * artifacts and quit the browser.
+ *
+ * @module MochaHooks
+ */
+
+/**
+ * External dependencies
+ */
+import fs from 'fs-extra';
+import path from 'path';
+import test from 'selenium-webdriver/testing';
+
+/**
+ * Internal dependencies
+ */
+import * as helper from './helper';
+import Manager from './manager';
+import * as Performance from './performance';
+
+const defaultHookTimeoutMs = 30000;
+const quitSignals = [ 'SIGINT', 'SIGTERM' ];
+
+let currentManager = null;
+let failedTests = [];
+let signalHandlers = {};
+
+/**
+ * Get manager configuration from environment variables.
+ *
+ * `WEBDRIVER_CONFIG` is a path to a JSON file with the configuration and
+ * `BASE_URL` overrides its `baseUrl`. Other environment variables, like
+ * `HEADLESS` or `BROWSERSIZE`, are read by the manager itself.
+ *
+ * @return {object} Manager configuration.
+ */
+export function getConfigFromEnv() {
+	const config = {};
+
+	if ( process.env.WEBDRIVER_CONFIG ) {
+		Object.assign( config, fs.readJsonSync( path.resolve( process.env.WEBDRIVER_CONFIG ) ) );
+	}
+	if ( process.env.BASE_URL ) {
+		config.baseUrl = process.env.BASE_URL;
+	}
+
+	return config;
+}
+
+/**
+ * Get the manager started by the hooks.
+ *
+ * @example
+ *
+ * import { MochaHooks } from 'wp-e2e-webdriver';
+ *
+ * test.it( 'opens the shop', () => {
+ *   const manager = MochaHooks.getManager();
+ *   return manager.getDriver().get( manager.getPageUrl( '/shop' ) );
+ * } );
+ *
+ * @return {object} Instance of `WebDriverManager`.
+ */
+export function getManager() {
+	if ( ! currentManager ) {
+		throw new Error(
+			'No WebDriverManager is running. Register the hooks with MochaHooks.registerHooks(), ' +
+			'or load wp-e2e-webdriver/lib/mocha-register, and use the manager inside tests or hooks'
+		);
+	}
+
+	return currentManager;
+}
+
+/**
+ * Get full titles of the failed tests of the running suite.
+ *
+ * @return {Array} Full titles of failed tests.
+ */
+export function getFailedTests() {
+	return failedTests.slice();
+}
+
+// Quits the browser once, ignoring errors of a browser that's already gone.
+function quit() {
+	const manager = currentManager;
+
+	currentManager = null;
+	removeSignalHandlers();
+
+	if ( ! manager ) {
+		return Promise.resolve();
+	}
+
+	// The performance report is written and the status is reported before
+	// quitting, as the session ends with the browser.
+	return Promise.resolve().then( () => {
+		return Performance.writeReport( manager );
+	} ).catch( () => {} ).then( () => {
+		return manager.reportSauceJobStatus( failedTests );
+	} ).catch( () => {} ).then( () => {
+		return manager.quitBrowser();
+	} ).then( () => {}, () => {} );
+}
+
+// Interrupting the run skips Mocha's `after` hooks, so the browser is quit
+// before the signal is raised again.
+function addSignalHandlers() {
+	quitSignals.forEach( ( signal ) => {
+		signalHandlers[ signal ] = () => {
+			quit().then( () => process.kill( process.pid, signal ) );
+		};
+		process.once( signal, signalHandlers[ signal ] );
+	} );
+}
+
+function removeSignalHandlers() {
+	Object.keys( signalHandlers ).forEach( ( signal ) => {
+		process.removeListener( signal, signalHandlers[ signal ] );
+	} );
+	signalHandlers = {};
+}
+
+/**
+ * Create Mocha root hooks, in the format of Mocha's `mochaHooks`.
+ *
+ * @param {object} options - Optional object, see `registerHooks`.
+ *
+ * @return {object} Hooks `beforeAll`, `afterEach` and `afterAll`.
+ */
+export function createHooks( {
+	browser = process.env.BROWSER || 'chrome',
+	config = {},
+	timeout = defaultHookTimeoutMs,
+	createManager = ( browserName, managerConfig ) => new Manager( browserName, managerConfig ),
+} = {} ) {
+	return {
+		beforeAll() {
+			this.timeout( timeout );
+
+			failedTests = [];
+			currentManager = createManager( browser, Object.assign( getConfigFromEnv(), config ) );
+			addSignalHandlers();
+
+			return currentManager.getSession();
+		},
+
+		afterEach() {
+			const currentTest = this.currentTest;
+			const manager = currentManager;
+
+			this.timeout( timeout );
+
+			if ( ! manager || ! currentTest ) {
+				return;
+			}
+			if ( currentTest.state === 'failed' ) {
+				failedTests.push( currentTest.fullTitle() );
+			}
+
+			// Every step runs even if one before it fails, so what's collected
+			// during this test isn't left over for the next one.
+			const steps = [
+				() => helper.captureFailureArtifacts( manager, currentTest ),
+				() => helper.exportHar( manager, currentTest ),
+				() => manager.clearNetworkRequests(),
+				() => helper.checkConsoleErrors( manager, currentTest ),
+				() => Performance.checkPerformance( manager, currentTest ),
+			];
+			const failures = [];
+
+			return steps.reduce( ( chain, step ) => {
+				return chain.then( () => step() ).catch( ( err ) => {
+					failures.push( err.message );
+				} );
+			}, Promise.resolve() ).then( () => {
+				if ( failures.length ) {
+					const title = currentTest.title;
+					throw new Error( `Failed ${ failures.length } check(s) after test '${ title }': ${ failures.join( '; ' ) }` );
+				}
+			} );
+		},
+
+		afterAll() {
+			this.timeout( timeout );
+			return quit();
+		},
+	};
+}
+
+/**
+ * Register root hooks that start a `WebDriverManager` before the suite,
+ * capture artifacts of failed tests, export the HAR of recorded traffic,
+ * clear captured requests, check console errors and performance budgets
+ * after each test, then write the performance report, report the status to
+ * Sauce Labs and quit the browser after the suite.
+ *
+ * The browser is also quit if the run is interrupted. Get the manager in
+ * tests with `getManager()`.
+ *
+ * @param {object} options - Optional object where `browser` is the browser
+ *                           name (defaults to `BROWSER` env var, then
+ *                           'chrome'), `config` is the manager configuration
+ *                           on top of `getConfigFromEnv()`, `timeout` is time
+ *                           in millisecond for every hook and `createManager`
+ *                           is a function of `browser` and `config` returning
+ *                           the manager, e.g. to use a subclass.
+ *
+ * @example
+ *
+ * // test/setup.js, loaded with `mocha --file test/setup.js`
+ * import { MochaHooks } from 'wp-e2e-webdriver';
+ *
+ * MochaHooks.registerHooks( { config: { screenSize: 'mobile' } } );
+ */
+export function registerHooks( options = {} ) {
+	const hooks = createHooks( options );
+
+	test.before( hooks.beforeAll );
+	test.afterEach( hooks.afterEach );
+	test.after( hooks.afterAll );
+}
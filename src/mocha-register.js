@@ -0,0 +1,27 @@
+/**
+ * Setup file registering `MochaHooks` with the default options.
+ *
+ * Mocha 8 and later load it with `--require`, which picks up `mochaHooks`.
+ * Older versions of Mocha define their globals after `--require`, so load it
+ * with `--file` instead, which registers the hooks right away.
+ *
+ * @example
+ *
+ * $ mocha --require wp-e2e-webdriver/lib/mocha-register test
+ * $ mocha --file node_modules/wp-e2e-webdriver/lib/mocha-register.js test
+ */
+
+/**
+ * Internal dependencies
+ */
+import { createHooks, registerHooks } from './mocha-hooks';
+
+let mochaHooks = {};
+
+if ( typeof global.before === 'function' ) {
+	registerHooks();
+} else {
+	mochaHooks = createHooks();
+}
+
+export { mochaHooks };
@@ -0,0 +1,321 @@
+/**
+ * Network requests of the browser, read from Chrome DevTools events or HAR
+ * entries of the recording proxy, and request stubs.
+ *
+ * Requests are plain objects with `method`, `url`, `postData`,
+ * `resourceType`, `status` (`null` until the response is received),
+ * `failure` (why the request failed, or `null`), `startedAt` in ms since the
+ * epoch and `stubbed`.
+ *
+ * @module Network
+ */
+
+// Status codes whose responses can't have a body.
+const nullBodyStatuses = [ 101, 204, 205, 304 ];
+
+function matchesPattern( pattern, value ) {
+	if ( pattern instanceof RegExp ) {
+		return pattern.test( value );
+	}
+
+	return value.indexOf( pattern ) > -1;
+}
+
+/**
+ * Get a request matcher from a url pattern or an object.
+ *
+ * @param {string|RegExp|object} matcher - Substring or regex of the URL, or
+ *                                         object with `method`, `url` and
+ *                                         `status`, all optional.
+ *
+ * @return {object} Matcher with `method`, `url` and `status`.
+ */
+export function normalizeMatcher( matcher ) {
+	if ( typeof matcher === 'string' || matcher instanceof RegExp ) {
+		return { url: matcher };
+	}
+	if ( ! matcher || typeof matcher !== 'object' ) {
+		throw new Error( `Invalid request matcher: ${ matcher }. Expected a url string or regex, or an object with method and url` );
+	}
+
+	return { method: matcher.method, url: matcher.url, status: matcher.status };
+}
+
+/**
+ * Check whether `request` matches `matcher`. Methods are case insensitive.
+ *
+ * @param {string|RegExp|object} matcher - Matcher, see `normalizeMatcher()`.
+ * @param {object}               request - Request, or object with `method` and `url`.
+ *
+ * @return {boolean} Whether the request matches.
+ */
+export function matchesRequest( matcher, request ) {
+	const { method, url, status } = normalizeMatcher( matcher );
+
+	return ( ! method || method.toUpperCase() === request.method.toUpperCase() ) &&
+		( ! url || matchesPattern( url, request.url ) ) &&
+		( status === undefined || status === request.status );
+}
+
+/**
+ * Describe a matcher in error messages, like "POST request to '?wc-ajax=checkout'".
+ *
+ * @param {string|RegExp|object} matcher - Matcher, see `normalizeMatcher()`.
+ *
+ * @return {string} Description.
+ */
+export function describeMatcher( matcher ) {
+	const { method, url, status } = normalizeMatcher( matcher );
+	const parts = [ method ? `${ method.toUpperCase() } request` : 'request' ];
+
+	if ( url ) {
+		parts.push( url instanceof RegExp ? `matching ${ url }` : `to '${ url }'` );
+	}
+	if ( status !== undefined ) {
+		parts.push( `with status ${ status }` );
+	}
+
+	return parts.join( ' ' );
+}
+
+/**
+ * Describe a request in error messages, like "POST http://shop.test/?wc-ajax=checkout (500)".
+ *
+ * @param {object} request - Request.
+ *
+ * @return {string} Description.
+ */
+export function describeRequest( request ) {
+	const outcome = request.failure || ( request.status === null ? 'pending' : request.status );
+
+	return `${ request.method } ${ request.url } (${ outcome })`;
+}
+
+/**
+ * Get requests from entries of Chrome's performance log with Network events.
+ * Each redirect is a request of its own, with the redirect status.
+ *
+ * @param {Array} entries - Performance log entries.
+ *
+ * @return {Array} Requests, in the order they were sent.
+ */
+export function requestsFromDevToolsEvents( entries ) {
+	const requests = [];
+	const requestsById = {};
+
+	entries.forEach( ( entry ) => {
+		let event;
+		try {
+			event = JSON.parse( entry.message ).message;
+		} catch ( err ) {
+			return;
+		}
+
+		const params = event.params || {};
+		const request = requestsById[ params.requestId ];
+
+		switch ( event.method ) {
+			case 'Network.requestWillBeSent': {
+				if ( request && params.redirectResponse ) {
+					request.status = params.redirectResponse.status;
+				}
+
+				const sent = {
+					method: params.request.method,
+					url: params.request.url,
+					postData: params.request.postData || null,
+					resourceType: params.type || null,
+					status: null,
+					failure: null,
+					startedAt: params.wallTime ? Math.round( params.wallTime * 1000 ) : entry.timestamp,
+					stubbed: false,
+				};
+				requestsById[ params.requestId ] = sent;
+				requests.push( sent );
+				break;
+			}
+			case 'Network.responseReceived':
+				if ( request ) {
+					request.status = params.response.status;
+				}
+				break;
+			case 'Network.loadingFailed':
+				if ( request ) {
+					request.failure = params.blockedReason ? `blocked (${ params.blockedReason })` : params.errorText;
+				}
+				break;
+		}
+	} );
+
+	return requests;
+}
+
+/**
+ * Get a request from a HAR entry of `RecordingProxy`.
+ *
+ * @param {object} entry - HAR entry.
+ *
+ * @return {object} Request.
+ */
+export function requestFromHarEntry( entry ) {
+	return {
+		method: entry.request.method,
+		url: entry.request.url,
+		postData: entry.request.postData ? entry.request.postData.text : null,
+		resourceType: null,
+		status: entry.response.status || null,
+		failure: entry.response._error || null,
+		startedAt: Date.parse( entry.startedDateTime ),
+		stubbed: !! entry._stubbed,
+	};
+}
+
+/**
+ * Get a request stub from a matcher and a response.
+ *
+ * Object bodies are sent as JSON.
+ *
+ * @param {string|RegExp|object} matcher  - Matcher, see `normalizeMatcher()`.
+ * @param {object}               response - Object with `status` (200),
+ *                                          `headers` and `body`, or with
+ *                                          `block: true` to fail the request.
+ *
+ * @return {object} Stub with `method`, `url` and `response`.
+ */
+export function createStub( matcher, response = {} ) {
+	const { method, url } = normalizeMatcher( matcher );
+
+	if ( response.block ) {
+		return { method, url, response: { block: true } };
+	}
+
+	const headers = Object.assign( {}, response.headers );
+	let body = response.body === undefined ? '' : response.body;
+
+	if ( typeof body !== 'string' ) {
+		body = JSON.stringify( body );
+		if ( ! Object.keys( headers ).some( name => name.toLowerCase() === 'content-type' ) ) {
+			headers[ 'Content-Type' ] = 'application/json';
+		}
+	}
+
+	return { method, url, response: { status: response.status || 200, headers, body } };
+}
+
+/**
+ * Get the last stub matching `request`, as stubs added later take precedence.
+ *
+ * @param {Array}  stubs   - Stubs.
+ * @param {object} request - Object with `method` and `url`.
+ *
+ * @return {object} Stub, or `undefined`.
+ */
+export function findStub( stubs, request ) {
+	return stubs.filter( stub => matchesRequest( stub, request ) ).pop();
+}
+
+/**
+ * Get a script answering `fetch()` and `XMLHttpRequest` calls of the page
+ * with `stubs`. It can run again with other stubs, replacing the previous ones.
+ *
+ * @param {Array} stubs - Stubs.
+ *
+ * @return {string} Script.
+ */
+export function getStubScript( stubs ) {
+	const serialized = JSON.stringify( stubs.map( ( stub ) => {
+		const url = stub.url instanceof RegExp ? { source: stub.url.source, flags: stub.url.flags } : stub.url;
+		return Object.assign( {}, stub, { url } );
+	} ) );
+
+	return `(function( stubs ) {
+		stubs.forEach( function( stub ) {
+			if ( stub.url && typeof stub.url === 'object' ) {
+				stub.url = new RegExp( stub.url.source, stub.url.flags );
+			}
+		} );
+		window.__networkStubs = stubs;
+		if ( window.__networkStubsInstalled ) {
+			return;
+		}
+		window.__networkStubsInstalled = true;
+
+		var nullBodyStatuses = ${ JSON.stringify( nullBodyStatuses ) };
+
+		function findStub( method, url ) {
+			url = new URL( url, location.href ).href;
+			return window.__networkStubs.filter( function( stub ) {
+				return ( ! stub.method || stub.method.toUpperCase() === method.toUpperCase() ) &&
+					( ! stub.url || ( typeof stub.url === 'string' ? url.indexOf( stub.url ) > -1 : stub.url.test( url ) ) );
+			} ).pop();
+		}
+
+		var originalFetch = window.fetch;
+		if ( originalFetch ) {
+			window.fetch = function( input, init ) {
+				var method = ( init && init.method ) || ( input && input.method ) || 'GET';
+				var stub = findStub( method, typeof input === 'string' ? input : input.url );
+				if ( ! stub ) {
+					return originalFetch.apply( this, arguments );
+				}
+				if ( stub.response.block ) {
+					return Promise.reject( new TypeError( 'Failed to fetch' ) );
+				}
+				var body = nullBodyStatuses.indexOf( stub.response.status ) > -1 ? null : stub.response.body;
+				return Promise.resolve( new Response( body, { status: stub.response.status, headers: stub.response.headers } ) );
+			};
+		}
+
+		var open = XMLHttpRequest.prototype.open;
+		var send = XMLHttpRequest.prototype.send;
+		XMLHttpRequest.prototype.open = function( method, url ) {
+			this.__networkStub = findStub( method, String( url ) );
+			this.__networkStubUrl = new URL( String( url ), location.href ).href;
+			return open.apply( this, arguments );
+		};
+		XMLHttpRequest.prototype.send = function() {
+			var xhr = this;
+			var stub = xhr.__networkStub;
+			if ( ! stub ) {
+				return send.apply( xhr, arguments );
+			}
+
+			var response = stub.response;
+			var headers = response.headers || {};
+			var define = function( name, value ) {
+				Object.defineProperty( xhr, name, { configurable: true, value: value } );
+			};
+			var dispatch = function( types ) {
+				types.forEach( function( type ) {
+					xhr.dispatchEvent( new Event( type ) );
+				} );
+			};
+
+			setTimeout( function() {
+				define( 'readyState', 4 );
+				if ( response.block ) {
+					define( 'status', 0 );
+					return dispatch( [ 'readystatechange', 'error', 'loadend' ] );
+				}
+
+				define( 'status', response.status );
+				define( 'statusText', '' );
+				define( 'responseURL', xhr.__networkStubUrl );
+				define( 'responseText', response.body );
+				define( 'response', xhr.responseType === 'json' ? JSON.parse( response.body || 'null' ) : response.body );
+				xhr.getAllResponseHeaders = function() {
+					return Object.keys( headers ).map( function( name ) {
+						return name.toLowerCase() + ': ' + headers[ name ];
+					} ).join( '\\r\\n' );
+				};
+				xhr.getResponseHeader = function( header ) {
+					var name = Object.keys( headers ).filter( function( key ) {
+						return key.toLowerCase() === header.toLowerCase();
+					} )[ 0 ];
+					return name ? String( headers[ name ] ) : null;
+				};
+				dispatch( [ 'readystatechange', 'load', 'loadend' ] );
+			} );
+		};
+	})( ${ serialized } );`;
+}
@@ -0,0 +1,112 @@
+/**
+ * Base class of page objects.
+ *
+ * @module Page
+ */
+
+/**
+ * Internal dependencies
+ */
+import Component from './component';
+
+/**
+ * Class representing a page of the site, at `static get path()` of the base
+ * URL of the manager. Elements of the page are declared like in `Component`,
+ * located in the whole page.
+ */
+export default class Page extends Component {
+	/**
+	 * Path of the page without the hostname. Overridden by subclasses.
+	 *
+	 * @return {string} Page path.
+	 */
+	static get path() {
+		return '/';
+	}
+
+	/**
+	 * Creates a page, opening it with `visit`, and starts waiting for the
+	 * expected element, see `ready`.
+	 *
+	 * @param {object} manager - Instance of `WebDriverManager`.
+	 * @param {object} options - Optional object where `path` replaces the path
+	 *                           of the class, e.g. with the slug of a product,
+	 *                           `visit` is a boolean indicating the page is
+	 *                           opened first (false), and `waitMs` and `wait`
+	 *                           are like the options of `Component`.
+	 *
+	 * @example
+	 *
+	 * import { Page } from 'wp-e2e-webdriver';
+	 *
+	 * class CartPage extends Page {
+	 *   static get path() {
+	 *     return '/cart/';
+	 *   }
+	 *
+	 *   static get expectedElement() {
+	 *     return 'form';
+	 *   }
+	 *
+	 *   static get locators() {
+	 *     return {
+	 *       form: 'form.woocommerce-cart-form',
+	 *       coupon: '#coupon_code',
+	 *       applyCoupon: 'button[name="apply_coupon"]',
+	 *     };
+	 *   }
+	 *
+	 *   applyCoupon( code ) {
+	 *     return this.setValue( 'coupon', code ).then( () => this.click( 'applyCoupon' ) );
+	 *   }
+	 * }
+	 *
+	 * const cart = new CartPage( manager, { visit: true } );
+	 * cart.applyCoupon( 'save5' );
+	 */
+	constructor( manager, { path, visit = false, waitMs, wait = true } = {} ) {
+		const driver = manager.getDriver();
+
+		super( driver, null, { waitMs, wait: false } );
+		this.manager = manager;
+		this.path = path || this.constructor.path;
+
+		if ( visit ) {
+			this.visit();
+		} else if ( wait ) {
+			this.waitForPage();
+		}
+	}
+
+	/**
+	 * Get the URL of the page.
+	 *
+	 * @return {string} Full URL, see `WebDriverManager.getPageUrl()`.
+	 */
+	url() {
+		return this.manager.getPageUrl( this.path );
+	}
+
+	/**
+	 * Open the page with `WebDriverManager.goTo()`, then wait for it. The
+	 * page is `ready` again once loaded.
+	 *
+	 * @return {Promise} A promise that will be resolved with the page once
+	 *                   its expected element is displayed.
+	 */
+	visit() {
+		return this.setReady( this.manager.goTo( this.path ).then( () => this.waitForReady() ) );
+	}
+
+	/**
+	 * Wait for the expected element of the page to be present and displayed,
+	 * e.g. after an action loading the page again. The page is `ready` again
+	 * once it's displayed.
+	 *
+	 * @return {Promise} A promise that will be resolved with the page, or
+	 *                   rejected if times out waiting.
+	 */
+	waitForPage() {
+		return this.setReady( this.waitForReady() );
+	}
+}
@@ -0,0 +1,282 @@
+/**
+ * Page performance metrics, read from the Navigation Timing, Paint Timing and
+ * Resource Timing APIs of the browser, with budgets and a per-run report.
+ *
+ * Metrics of a navigation are `ttfb`, `domContentLoaded`, `load`,
+ * `firstPaint` and `firstContentfulPaint` in millisecond since the
+ * navigation started, `requests`, `transferSize` in bytes and `resources`,
+ * the number of requests by type like `{ script: 12, img: 4 }`.
+ *
+ * @module Performance
+ */
+
+/**
+ * External dependencies
+ */
+import path from 'path';
+import { promise } from 'selenium-webdriver';
+
+/**
+ * Internal dependencies
+ */
+import { getDefaultWaitMs, writeText } from './helper';
+
+// Budgets are checked for these metrics, all lower is better.
+const budgetMetrics = [ 'ttfb', 'domContentLoaded', 'load', 'firstPaint', 'firstContentfulPaint', 'requests', 'transferSize' ];
+
+// Metrics of the page once its load event ended, or `null` until then.
+const navigationMetricsScript = `
+	var nav = performance.getEntriesByType( 'navigation' )[ 0 ];
+	if ( ! nav || ! nav.loadEventEnd ) {
+		return null;
+	}
+
+	var paints = performance.getEntriesByType( 'paint' );
+	var resources = performance.getEntriesByType( 'resource' );
+	var paint = function( name ) {
+		var entry = paints.filter( function( p ) { return p.name === name; } )[ 0 ];
+		return entry ? Math.round( entry.startTime ) : null;
+	};
+	var types = {};
+	resources.forEach( function( r ) {
+		types[ r.initiatorType ] = ( types[ r.initiatorType ] || 0 ) + 1;
+	} );
+
+	return {
+		url: location.href,
+		ttfb: Math.round( nav.responseStart ),
+		domContentLoaded: Math.round( nav.domContentLoadedEventEnd ),
+		load: Math.round( nav.loadEventEnd ),
+		firstPaint: paint( 'first-paint' ),
+		firstContentfulPaint: paint( 'first-contentful-paint' ),
+		requests: resources.length + 1,
+		transferSize: resources.reduce( function( sum, r ) { return sum + ( r.transferSize || 0 ); }, nav.transferSize || 0 ),
+		resources: types,
+	};
+`;
+
+// Metrics of the requests started after `arguments[ 0 ]`, in ms since the
+// navigation started, and how long until the last one ended.
+const actionMetricsScript = `
+	var since = arguments[ 0 ];
+	var resources = performance.getEntriesByType( 'resource' ).filter( function( r ) {
+		return r.startTime >= since;
+	} );
+	var types = {};
+	resources.forEach( function( r ) {
+		types[ r.initiatorType ] = ( types[ r.initiatorType ] || 0 ) + 1;
+	} );
+
+	return {
+		url: location.href,
+		duration: Math.round( resources.reduce( function( end, r ) { return Math.max( end, r.responseEnd ); }, since ) - since ),
+		requests: resources.length,
+		transferSize: resources.reduce( function( sum, r ) { return sum + ( r.transferSize || 0 ); }, 0 ),
+		resources: types,
+	};
+`;
+
+function getConfig( manager ) {
+	return manager.config.performance && typeof manager.config.performance === 'object' ? manager.config.performance : {};
+}
+
+function matchesUrl( pattern, url ) {
+	return pattern instanceof RegExp ? pattern.test( url ) : url.indexOf( pattern ) > -1;
+}
+
+function record( manager, metrics ) {
+	manager.performanceMetrics = ( manager.performanceMetrics || [] ).concat( metrics );
+	return metrics;
+}
+
+/**
+ * Collect metrics of the page loaded last, waiting for its load event to end.
+ * The metrics are kept by the manager for `checkPerformance()`.
+ *
+ * Navigations with `WebDriverManager.goTo()`, used by `WPAdmin` and
+ * `WCStorefront`, are collected automatically with the `performance` config.
+ *
+ * @param {object} manager - Instance of `WebDriverManager`.
+ * @param {string} label   - Optional label of the navigation in reports,
+ *                           defaulting to the URL.
+ * @param {number} waitMs  - How long to wait for the load event in
+ *                           millisecond. Defaults to `getDefaultWaitMs( driver )`.
+ *
+ * @example
+ *
+ * import { Performance } from 'wp-e2e-webdriver';
+ *
+ * driver.get( 'https://shop.test/cart/' );
+ * Performance.collectMetrics( manager, 'cart' ).then( metrics => {
+ *   ...
+ * } );
+ *
+ * @return {Promise} A promise that will be resolved with the metrics, or
+ *                   rejected if times out waiting for the page to load.
+ */
+export function collectMetrics( manager, label, waitMs = getDefaultWaitMs( manager.getDriver() ) ) {
+	const driver = manager.getDriver();
+
+	return driver.wait( () => {
+		return driver.executeScript( navigationMetricsScript );
+	}, waitMs, 'Timed out waiting for the page to load to collect its performance metrics' ).then( ( metrics ) => {
+		return record( manager, Object.assign( { label: label || metrics.url, type: 'navigation' }, metrics ) );
+	} );
+}
+
+/**
+ * Collect metrics of the requests an action sends without navigating, like
+ * adding a product to the cart with AJAX. The metrics are kept by the manager
+ * for `checkPerformance()`.
+ *
+ * @param {object}   manager - Instance of `WebDriverManager`.
+ * @param {string}   label   - Label of the action in reports.
+ * @param {Function} action  - Function performing the action, returning a promise.
+ * @param {object}   options - Optional object where `settleMs` is how long
+ *                             to wait for requests after the action (500).
+ *
+ * @example
+ *
+ * Performance.measureAction( manager, 'apply coupon', () => WCStorefront.applyCoupon( driver, 'save5' ) );
+ *
+ * @return {Promise} A promise that will be resolved with the metrics, with
+ *                   `duration` in millisecond until the last request ended
+ *                   instead of the navigation timings.
+ */
+export function measureAction( manager, label, action, { settleMs = 500 } = {} ) {
+	const driver = manager.getDriver();
+	let since;
+
+	return driver.executeScript( 'return performance.now();' ).then( ( now ) => {
+		since = now;
+		return action();
+	} ).then( () => {
+		return driver.sleep( settleMs );
+	} ).then( () => {
+		return driver.executeScript( actionMetricsScript, since );
+	} ).then( ( metrics ) => {
+		return record( manager, Object.assign( { label, type: 'action' }, metrics ) );
+	} );
+}
+
+/**
+ * Compare metrics with budgets.
+ *
+ * @param {Array} metrics - Metrics of navigations and actions.
+ * @param {Array} budgets - Budgets, objects with a `url` substring or regex,
+ *                          or a `label`, and the highest value allowed of
+ *                          metrics, e.g. `{ url: '/cart/', ttfb: 500, requests: 60 }`.
+ *                          Budgets without `url` or `label` apply to all.
+ *
+ * @return {Array} Exceeded budgets, objects with `label`, `url`, `metric`,
+ *                 `value` and `budget`.
+ */
+export function getBudgetViolations( metrics, budgets = [] ) {
+	const violations = [];
+
+	metrics.forEach( ( entry ) => {
+		budgets.filter( ( budget ) => {
+			return ( ! budget.url || matchesUrl( budget.url, entry.url ) ) && ( ! budget.label || budget.label === entry.label );
+		} ).forEach( ( budget ) => {
+			budgetMetrics.forEach( ( metric ) => {
+				const value = entry[ metric ];
+				if ( budget[ metric ] !== undefined && typeof value === 'number' && value > budget[ metric ] ) {
+					violations.push( { label: entry.label, url: entry.url, metric, value, budget: budget[ metric ] } );
+				}
+			} );
+		} );
+	} );
+
+	return violations;
+}
+
+/**
+ * Performance watchdog for `test.afterEach`.
+ *
+ * Moves the metrics collected during `currentTest` into
+ * `currentTest.performance` and the run results of the manager, and checks
+ * them against the budgets of `manager.config.performance.budgets`.
+ *
+ * With `failTest` (defaults to `manager.config.performance.failTest`),
+ * exceeded budgets of a passed test reject, so the hook fails.
+ *
+ * @param {object} manager     - Instance of `WebDriverManager`.
+ * @param {object} currentTest - Current test.
+ * @param {object} options     - Optional object where `budgets` replaces the
+ *                               configured budgets and `failTest` is a
+ *                               boolean indicating exceeded budgets reject.
+ *
+ * @example
+ *
+ * const manager = new WebDriverManager( 'chrome', {
+ *   performance: { budgets: [ { url: '/cart/', ttfb: 500, requests: 60, transferSize: 2000000 } ], failTest: true },
+ * } );
+ *
+ * test.afterEach( 'Check performance', function() {
+ *   return Performance.checkPerformance( manager, this.currentTest );
+ * } );
+ *
+ * @return {Promise} A promise that will be resolved with the test results,
+ *                   an object with `metrics` and `violations`, or rejected
+ *                   listing exceeded budgets if `failTest` is set.
+ */
+export function checkPerformance( manager, currentTest, options = {} ) {
+	if ( ! currentTest ) {
+		return promise.fulfilled();
+	}
+
+	const config = getConfig( manager );
+	const failTest = options.failTest !== undefined ? options.failTest : !! config.failTest;
+	const metrics = manager.performanceMetrics || [];
+	const violations = getBudgetViolations( metrics, options.budgets || config.budgets );
+	const fullTitle = typeof currentTest.fullTitle === 'function' ? currentTest.fullTitle() : currentTest.title;
+	const results = { metrics, violations };
+
+	manager.performanceMetrics = [];
+	currentTest.performance = results;
+	if ( metrics.length ) {
+		manager.performanceResults = ( manager.performanceResults || [] ).concat( {
+			title: fullTitle,
+			state: currentTest.state,
+			metrics,
+			violations,
+		} );
+	}
+
+	if ( failTest && violations.length && currentTest.state === 'passed' ) {
+		return promise.rejected( new Error(
+			`Test '${ currentTest.title }' exceeded ${ violations.length } performance budget(s):\n` +
+			violations.map( v => `  ${ v.label }: ${ v.metric } ${ v.value } > ${ v.budget }` ).join( '\n' )
+		) );
+	}
+
+	return promise.fulfilled( results );
+}
+
+/**
+ * Write the metrics of the tests of the run as a JSON report, by default
+ * `performance-<screen size>.json` in `manager.config.screenshotsDir`.
+ *
+ * @param {object} manager - Instance of `WebDriverManager`.
+ * @param {string} file    - Optional path of the report.
+ *
+ * @return {string} Path of the report, or `undefined` if no metrics were collected.
+ */
+export function writeReport( manager, file ) {
+	const tests = manager.performanceResults || [];
+	if ( ! tests.length ) {
+		return;
+	}
+
+	const dst = file || path.resolve( manager.config.screenshotsDir, `performance-${ manager.getConfigScreenSize() }.json` );
+	writeText( JSON.stringify( {
+		createdAt: new Date().toISOString(),
+		baseUrl: manager.getBaseUrl(),
+		browser: manager.browser,
+		screenSize: manager.getConfigScreenSize(),
+		budgets: getConfig( manager ).budgets || [],
+		tests,
+	}, null, 2 ), dst );
+
+	return dst;
+}
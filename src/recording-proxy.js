@@ -0,0 +1,397 @@
+/**
+ * Local HTTP proxy recording the browser traffic as HAR entries.
+ *
+ * @module RecordingProxy
+ */
+
+/**
+ * External dependencies
+ */
+import http from 'http';
+import net from 'net';
+import url from 'url';
+
+/**
+ * Internal dependencies
+ */
+import { findStub, matchesRequest } from './network';
+import pkg from '../package.json';
+
+function toHarHeaders( rawHeaders ) {
+	const headers = [];
+	for ( let i = 0; i < rawHeaders.length; i += 2 ) {
+		headers.push( { name: rawHeaders[ i ], value: rawHeaders[ i + 1 ] } );
+	}
+	return headers;
+}
+
+function toHarHeadersOf( headers ) {
+	return Object.keys( headers ).map( name => ( { name, value: String( headers[ name ] ) } ) );
+}
+
+function getContentType( headers ) {
+	const name = Object.keys( headers ).find( key => key.toLowerCase() === 'content-type' );
+	return name ? headers[ name ] : '';
+}
+
+// Response of a request that failed before the upstream server answered.
+function failedResponse() {
+	return {
+		status: 0,
+		statusText: '',
+		httpVersion: '',
+		headers: [],
+		cookies: [],
+		content: { size: 0, mimeType: '' },
+		redirectURL: '',
+		headersSize: -1,
+		bodySize: -1,
+	};
+}
+
+function toHarQueryString( query ) {
+	return Object.keys( query ).reduce( ( params, name ) => {
+		return params.concat( [].concat( query[ name ] ).map( value => ( { name, value } ) ) );
+	}, [] );
+}
+
+/**
+ * Class representing a recording proxy.
+ *
+ * Plain HTTP requests are recorded with headers, query string, posted data,
+ * status and timings. HTTPS requests go through a tunnel the proxy can't look
+ * into, so they are recorded as `CONNECT` entries with the host and timings.
+ *
+ * Stubs answer plain HTTP requests without reaching the server. HTTPS
+ * requests can only be blocked, by host.
+ */
+export default class RecordingProxy {
+	/**
+	 * Creates a proxy.
+	 *
+	 * @param {object} options - Optional object where `port` is the port to
+	 *                           listen on, defaulting to a free port.
+	 */
+	constructor( { port = 0 } = {} ) {
+		this.port = port;
+		this.entries = [];
+		this.stubs = [];
+		this.sockets = new Set();
+		this.server = null;
+		this.listening = null;
+		this.error = null;
+	}
+
+	/**
+	 * Start listening on 127.0.0.1, on a free port unless `port` is set.
+	 *
+	 * @return {Promise} A promise that will be resolved with the proxy address
+	 *                   as 'host:port' once listening, or rejected if the port
+	 *                   can't be listened on, like when it's taken. Then
+	 *                   `getEntries()` throws too.
+	 */
+	start() {
+		if ( this.server ) {
+			return this.listening;
+		}
+
+		this.error = null;
+		this.server = http.createServer( ( req, res ) => this.forward( req, res ) );
+		this.server.on( 'connect', ( req, socket, head ) => this.tunnel( req, socket, head ) );
+		this.server.on( 'connection', ( socket ) => {
+			this.sockets.add( socket );
+			socket.on( 'close', () => this.sockets.delete( socket ) );
+		} );
+
+		const server = this.server;
+		this.listening = new Promise( ( resolve, reject ) => {
+			server.on( 'error', reject );
+			server.listen( this.port, '127.0.0.1', () => {
+				this.port = server.address().port;
+				resolve( this.getAddress() );
+			} );
+		} ).then( null, ( err ) => {
+			this.error = new Error( `Recording proxy failed to listen on ${ this.getAddress() }: ${ err.message }` );
+			throw this.error;
+		} );
+		// The error is also reported by `getEntries()`, callers may not wait.
+		this.listening.then( null, () => {} );
+
+		return this.listening;
+	}
+
+	/**
+	 * Stop listening, closing open connections.
+	 *
+	 * @return {Promise} A promise that will be resolved once the proxy is closed.
+	 */
+	stop() {
+		const server = this.server;
+		const listening = this.listening;
+
+		this.server = null;
+		this.listening = null;
+		if ( ! server ) {
+			return Promise.resolve();
+		}
+
+		return listening.then( () => {
+			this.sockets.forEach( socket => socket.destroy() );
+			return new Promise( resolve => server.close( () => resolve() ) );
+		}, () => {} );
+	}
+
+	/**
+	 * Get the address of the proxy. The port of a proxy started without
+	 * `port` is known once `start()` resolves.
+	 *
+	 * @return {string} Proxy address as 'host:port'.
+	 */
+	getAddress() {
+		return `127.0.0.1:${ this.port }`;
+	}
+
+	/**
+	 * Get entries recorded since the last `clear()`. Throws if the proxy
+	 * failed to listen, see `start()`.
+	 *
+	 * @return {Array} HAR entries, in the order requests started.
+	 */
+	getEntries() {
+		if ( this.error ) {
+			throw this.error;
+		}
+
+		return this.entries.slice().sort( ( a, b ) => a._startedAt - b._startedAt ).map( ( entry ) => {
+			const copy = Object.assign( {}, entry );
+			delete copy._startedAt;
+			return copy;
+		} );
+	}
+
+	/**
+	 * Forget recorded entries, e.g. after each test.
+	 */
+	clear() {
+		this.entries = [];
+	}
+
+	/**
+	 * Set stubs answering matching requests, replacing previous ones.
+	 *
+	 * @param {Array} stubs - Stubs, see `Network.createStub()`.
+	 */
+	setStubs( stubs ) {
+		this.stubs = stubs;
+	}
+
+	/**
+	 * Get recorded entries as a HAR 1.2 log. Throws like `getEntries()`.
+	 *
+	 * @param {object} options - Optional object where `comment` describes the
+	 *                           log, like the test title.
+	 *
+	 * @return {object} HAR object.
+	 */
+	toHar( { comment = '' } = {} ) {
+		return {
+			log: {
+				version: '1.2',
+				creator: { name: pkg.name, version: pkg.version },
+				pages: [],
+				entries: this.getEntries(),
+				comment,
+			},
+		};
+	}
+
+	record( entry ) {
+		this.entries.push( entry );
+	}
+
+	forward( req, res ) {
+		const startedAt = Date.now();
+		const target = url.parse( req.url, true );
+		const chunks = [];
+		let sent = 0;
+		let waitEnd = null;
+
+		const entry = {
+			_startedAt: startedAt,
+			startedDateTime: new Date( startedAt ).toISOString(),
+			time: 0,
+			request: {
+				method: req.method,
+				url: req.url,
+				httpVersion: `HTTP/${ req.httpVersion }`,
+				headers: toHarHeaders( req.rawHeaders ),
+				queryString: toHarQueryString( target.query ),
+				cookies: [],
+				headersSize: -1,
+				bodySize: 0,
+			},
+			response: null,
+			cache: {},
+			timings: { send: 0, wait: 0, receive: 0 },
+		};
+
+		const finish = ( response, error ) => {
+			const end = Date.now();
+			const body = Buffer.concat( chunks );
+
+			if ( body.length ) {
+				entry.request.bodySize = body.length;
+				entry.request.postData = { mimeType: req.headers[ 'content-type' ] || '', text: body.toString() };
+			}
+			entry.response = response;
+			entry.time = end - startedAt;
+			entry.timings.wait = ( waitEnd || end ) - startedAt;
+			entry.timings.receive = waitEnd ? end - waitEnd : 0;
+			if ( error ) {
+				entry.response._error = error.message;
+			}
+			this.record( entry );
+		};
+
+		req.on( 'data', chunk => chunks.push( chunk ) );
+
+		const stub = findStub( this.stubs, req );
+		if ( stub ) {
+			entry._stubbed = true;
+			req.on( 'end', () => this.answer( stub.response, res, finish ) );
+			return;
+		}
+
+		const upstream = http.request( {
+			host: target.hostname,
+			port: target.port || 80,
+			method: req.method,
+			path: target.path,
+			headers: req.headers,
+		}, ( upstreamRes ) => {
+			waitEnd = Date.now();
+			res.writeHead( upstreamRes.statusCode, upstreamRes.statusMessage, upstreamRes.rawHeaders );
+			upstreamRes.on( 'data', chunk => sent += chunk.length );
+			upstreamRes.pipe( res );
+			upstreamRes.on( 'end', () => finish( {
+				status: upstreamRes.statusCode,
+				statusText: upstreamRes.statusMessage,
+				httpVersion: `HTTP/${ upstreamRes.httpVersion }`,
+				headers: toHarHeaders( upstreamRes.rawHeaders ),
+				cookies: [],
+				content: { size: sent, mimeType: upstreamRes.headers[ 'content-type' ] || '' },
+				redirectURL: upstreamRes.headers.location || '',
+				headersSize: -1,
+				bodySize: sent,
+			} ) );
+		} );
+
+		upstream.on( 'error', ( err ) => {
+			if ( ! res.headersSent ) {
+				res.writeHead( 502, { 'Content-Type': 'text/plain' } );
+			}
+			res.end( `Recording proxy failed to reach ${ req.url }: ${ err.message }` );
+			finish( failedResponse(), err );
+		} );
+
+		req.pipe( upstream );
+	}
+
+	answer( response, res, finish ) {
+		if ( response.block ) {
+			res.destroy();
+			return finish( failedResponse(), new Error( 'Blocked by a request stub' ) );
+		}
+
+		const size = Buffer.byteLength( response.body );
+
+		res.writeHead( response.status, response.headers );
+		res.end( response.body );
+		finish( {
+			status: response.status,
+			statusText: http.STATUS_CODES[ response.status ] || '',
+			httpVersion: 'HTTP/1.1',
+			headers: toHarHeadersOf( response.headers ),
+			cookies: [],
+			content: { size, mimeType: getContentType( response.headers ) },
+			redirectURL: '',
+			headersSize: -1,
+			bodySize: size,
+		} );
+	}
+
+	tunnel( req, clientSocket, head ) {
+		const startedAt = Date.now();
+		const [ host, port = 443 ] = req.url.split( ':' );
+		let connectedAt = null;
+		let received = 0;
+		let failure = null;
+
+		const blocked = this.stubs.some( ( stub ) => {
+			return stub.response.block && matchesRequest( { url: stub.url }, { method: 'CONNECT', url: `https://${ req.url }/` } );
+		} );
+		if ( blocked ) {
+			const entry = this.tunnelEntry( req, startedAt, Date.now(), null, 0, new Error( 'Blocked by a request stub' ) );
+
+			clientSocket.end( 'HTTP/1.1 403 Forbidden\r\n\r\n' );
+			entry._stubbed = true;
+			return this.record( entry );
+		}
+
+		const upstream = net.connect( port, host, () => {
+			connectedAt = Date.now();
+			clientSocket.write( 'HTTP/1.1 200 Connection Established\r\n\r\n' );
+			upstream.write( head );
+			upstream.pipe( clientSocket );
+			clientSocket.pipe( upstream );
+		} );
+
+		upstream.on( 'data', chunk => received += chunk.length );
+		upstream.on( 'error', ( err ) => {
+			failure = err;
+			clientSocket.end( 'HTTP/1.1 502 Bad Gateway\r\n\r\n' );
+		} );
+		clientSocket.on( 'error', () => upstream.destroy() );
+		upstream.on( 'close', () => {
+			this.record( this.tunnelEntry( req, startedAt, Date.now(), connectedAt, received, failure ) );
+		} );
+	}
+
+	tunnelEntry( req, startedAt, end, connectedAt, received, failure ) {
+		return {
+			_startedAt: startedAt,
+			_tunnel: true,
+			startedDateTime: new Date( startedAt ).toISOString(),
+			time: end - startedAt,
+			request: {
+				method: 'CONNECT',
+				url: `https://${ req.url }`,
+				httpVersion: `HTTP/${ req.httpVersion }`,
+				headers: toHarHeaders( req.rawHeaders ),
+				queryString: [],
+				cookies: [],
+				headersSize: -1,
+				bodySize: 0,
+			},
+			response: {
+				status: failure ? 0 : 200,
+				statusText: failure ? '' : 'Connection Established',
+				httpVersion: `HTTP/${ req.httpVersion }`,
+				headers: [],
+				cookies: [],
+				content: { size: received, mimeType: '' },
+				redirectURL: '',
+				headersSize: -1,
+				bodySize: received,
+				_error: failure ? failure.message : undefined,
+			},
+			cache: {},
+			timings: {
+				send: 0,
+				connect: ( connectedAt || end ) - startedAt,
+				wait: 0,
+				receive: connectedAt ? end - connectedAt : 0,
+			},
+		};
+	}
+}
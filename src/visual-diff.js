@@ -0,0 +1,125 @@
+/**
+ * Pixel comparison of screenshots for visual regression tests.
+ *
+ * @module VisualDiff
+ */
+
+/**
+ * External dependencies
+ */
+import { PNG } from 'pngjs';
+
+// Color of masked regions, so they compare equal in baseline and capture.
+const maskColor = [ 255, 0, 255, 255 ];
+const diffColor = [ 255, 0, 0, 255 ];
+
+/**
+ * Decode a base64 PNG or a PNG buffer.
+ *
+ * @param {string|Buffer} data - Base64 encoded PNG or buffer of the file.
+ *
+ * @return {object} Instance of `PNG`.
+ */
+export function readPng( data ) {
+	return PNG.sync.read( Buffer.isBuffer( data ) ? data : Buffer.from( data, 'base64' ) );
+}
+
+/**
+ * Encode a PNG as a buffer.
+ *
+ * @param {object} png - Instance of `PNG`.
+ *
+ * @return {Buffer} Buffer of the PNG file.
+ */
+export function writePng( png ) {
+	return PNG.sync.write( png );
+}
+
+/**
+ * Paint regions of `png` with a solid color.
+ *
+ * @param {object} png     - Instance of `PNG`, modified in place.
+ * @param {Array}  regions - Rectangles with `x`, `y`, `width` and `height` in
+ *                           pixels of the image.
+ *
+ * @return {object} The masked `png`.
+ */
+export function maskRegions( png, regions ) {
+	regions.forEach( ( region ) => {
+		const left = Math.max( 0, Math.floor( region.x ) );
+		const top = Math.max( 0, Math.floor( region.y ) );
+		const right = Math.min( png.width, Math.ceil( region.x + region.width ) );
+		const bottom = Math.min( png.height, Math.ceil( region.y + region.height ) );
+
+		for ( let y = top; y < bottom; y++ ) {
+			for ( let x = left; x < right; x++ ) {
+				const i = ( y * png.width + x ) * 4;
+				png.data[ i ] = maskColor[ 0 ];
+				png.data[ i + 1 ] = maskColor[ 1 ];
+				png.data[ i + 2 ] = maskColor[ 2 ];
+				png.data[ i + 3 ] = maskColor[ 3 ];
+			}
+		}
+	} );
+
+	return png;
+}
+
+/**
+ * Compare two images pixel by pixel.
+ *
+ * A pixel differs when any of its channels differs by more than `threshold`.
+ * The diff image is a faded copy of `actual` with differing pixels in red.
+ *
+ * @param {object} baseline - Instance of `PNG`.
+ * @param {object} actual   - Instance of `PNG`.
+ * @param {object} options  - Optional object where `threshold` is the allowed
+ *                            difference of a color channel, from 0 to 1.
+ *                            Defaults to 0.1 to absorb anti-aliasing noise.
+ *
+ * @return {object} Result with `sizeMatches`, `diffPixels`, `ratio` of
+ *                  differing pixels from 0 to 1 and the `diff` image.
+ */
+export function compareImages( baseline, actual, { threshold = 0.1 } = {} ) {
+	const width = actual.width;
+	const height = actual.height;
+	const diff = new PNG( { width, height } );
+	const maxDelta = threshold * 255;
+	const sizeMatches = baseline.width === width && baseline.height === height;
+	let diffPixels = 0;
+
+	for ( let y = 0; y < height; y++ ) {
+		for ( let x = 0; x < width; x++ ) {
+			const i = ( y * width + x ) * 4;
+			const j = ( y * baseline.width + x ) * 4;
+			const outside = x >= baseline.width || y >= baseline.height;
+			let differs = outside;
+
+			for ( let c = 0; c < 4 && ! differs; c++ ) {
+				differs = Math.abs( actual.data[ i + c ] - baseline.data[ j + c ] ) > maxDelta;
+			}
+
+			if ( differs ) {
+				diffPixels++;
+				diff.data[ i ] = diffColor[ 0 ];
+				diff.data[ i + 1 ] = diffColor[ 1 ];
+				diff.data[ i + 2 ] = diffColor[ 2 ];
+				diff.data[ i + 3 ] = diffColor[ 3 ];
+			} else {
+				const gray = ( actual.data[ i ] + actual.data[ i + 1 ] + actual.data[ i + 2 ] ) / 3;
+				const faded = Math.round( 255 - ( 255 - gray ) * 0.3 );
+				diff.data[ i ] = faded;
+				diff.data[ i + 1 ] = faded;
+				diff.data[ i + 2 ] = faded;
+				diff.data[ i + 3 ] = 255;
+			}
+		}
+	}
+
+	return {
+		sizeMatches,
+		diffPixels,
+		ratio: width * height ? diffPixels / ( width * height ) : 0,
+		diff,
+	};
+}
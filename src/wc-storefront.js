@@ -0,0 +1,503 @@
+/**
+ * WooCommerce storefront helper, for the classic cart and checkout pages.
+ *
+ * @module WCStorefront
+ */
+
+/**
+ * External dependencies
+ */
+import { By } from 'selenium-webdriver';
+
+/**
+ * Internal dependencies
+ */
+import * as helper from './helper';
+
+const quantityInput = By.css( 'form.cart input.qty' );
+const addToCartButton = By.css( 'form.cart .single_add_to_cart_button' );
+const couponInput = By.css( '#coupon_code' );
+const applyCouponButton = By.css( 'button[name="apply_coupon"]' );
+const shipToDifferentAddress = By.css( '#ship-to-different-address-checkbox' );
+const orderComments = By.css( '#order_comments' );
+const placeOrderButton = By.css( '#place_order' );
+const blockedOverlay = By.css( '.blockUI.blockOverlay' );
+
+const notices = '.woocommerce-message, .woocommerce-error, .woocommerce-info';
+const orderReceived = '.woocommerce-order-received, .woocommerce-thankyou-order-received';
+
+const defaultPaths = {
+	cart: '/cart/',
+	checkout: '/checkout/',
+};
+
+// Removes notices of earlier actions, so waiting for a notice doesn't pick them.
+const clearNoticesScript = `
+	var nodes = document.querySelectorAll( '${ notices }' );
+	for ( var i = 0; i < nodes.length; i++ ) {
+		nodes[ i ].parentNode.removeChild( nodes[ i ] );
+	}
+`;
+
+const readNoticeScript = `
+	var node = document.querySelector( '${ notices }' );
+	if ( ! node || node.offsetParent === null ) {
+		return null;
+	}
+	var type = node.classList.contains( 'woocommerce-error' ) ? 'error' :
+		node.classList.contains( 'woocommerce-message' ) ? 'success' : 'info';
+	return { type: type, message: node.textContent.replace( /\\s+/g, ' ' ).trim() };
+`;
+
+// Prices are read from `.woocommerce-Price-amount` when present, the one in
+// `<ins>` first, so the sale price wins over the struck through regular price.
+const readCartScript = `
+	function text( root, selector ) {
+		var node = root && root.querySelector( selector );
+		return node ? node.textContent.replace( /\\s+/g, ' ' ).trim() : null;
+	}
+	function amount( root, selector ) {
+		var cell = root && root.querySelector( selector );
+		if ( ! cell ) {
+			return null;
+		}
+		var node = cell.querySelector( 'ins .woocommerce-Price-amount' ) || cell.querySelector( '.woocommerce-Price-amount' );
+		return ( node || cell ).textContent.trim();
+	}
+
+	var rows = document.querySelectorAll( '.woocommerce-cart-form__cart-item' );
+	var totals = document.querySelector( '.cart_totals' );
+	var coupons = totals ? totals.querySelectorAll( '.cart-discount' ) : [];
+	var taxes = totals ? totals.querySelectorAll( '.tax-rate, .tax-total' ) : [];
+
+	return {
+		items: [].map.call( rows, function( row ) {
+			var remove = row.querySelector( '.product-remove a' );
+			var quantity = row.querySelector( '.product-quantity input.qty' );
+			return {
+				key: remove ? remove.getAttribute( 'data-cart_item_key' ) : null,
+				productId: remove ? remove.getAttribute( 'data-product_id' ) : null,
+				name: text( row, '.product-name' ),
+				price: amount( row, '.product-price' ),
+				quantity: quantity ? quantity.value : text( row, '.product-quantity' ),
+				subtotal: amount( row, '.product-subtotal' ),
+			};
+		} ),
+		coupons: [].map.call( coupons, function( row ) {
+			var match = row.className.match( /coupon-(\\S+)/ );
+			return { code: match ? match[ 1 ] : text( row, 'th' ), amount: amount( row, 'td' ) };
+		} ),
+		taxes: [].map.call( taxes, function( row ) {
+			return { label: text( row, 'th' ), amount: amount( row, 'td' ) };
+		} ),
+		subtotal: amount( totals, '.cart-subtotal td' ),
+		shipping: amount( totals, '.shipping td, .woocommerce-shipping-totals td' ),
+		total: amount( totals, '.order-total td' ),
+	};
+`;
+
+// Selects the option whose value or text is `arguments[ 1 ]`. The change event
+// is triggered through jQuery when loaded, as selectWoo and the checkout
+// scripts listen to jQuery events.
+const selectFieldOptionScript = `
+	var select = arguments[ 0 ];
+	var wanted = String( arguments[ 1 ] );
+	var option = [].filter.call( select.options, function( opt ) {
+		return opt.value === wanted || opt.textContent.trim() === wanted;
+	} )[ 0 ];
+
+	if ( ! option ) {
+		return false;
+	}
+
+	select.value = option.value;
+	if ( window.jQuery ) {
+		window.jQuery( select ).trigger( 'change' );
+	} else {
+		select.dispatchEvent( new Event( 'change', { bubbles: true } ) );
+	}
+	return true;
+`;
+
+/**
+ * Parse a formatted price like '$1,234.50' or '1.234,50 €'.
+ *
+ * A separator followed by one or two digits at the end is the decimal
+ * separator, other separators are thousand separators.
+ *
+ * @param {string} price - Formatted price.
+ *
+ * @return {number} Price, or `null` if `price` has no digits.
+ */
+export function parsePrice( price ) {
+	if ( typeof price !== 'string' || ! /\d/.test( price ) ) {
+		return null;
+	}
+
+	const negative = /^[^\d]*[-−]/.test( price );
+	const digits = price.replace( /[^\d.,]/g, '' );
+	const decimal = digits.match( /[.,](\d{1,2})$/ );
+	const whole = ( decimal ? digits.slice( 0, -decimal[ 0 ].length ) : digits ).replace( /[.,]/g, '' );
+	const value = parseFloat( decimal ? `${ whole }.${ decimal[ 1 ] }` : whole );
+
+	return negative ? -value : value;
+}
+
+// Maps camel case keys to field names, like 'address1' to 'address_1'.
+function toFieldName( key ) {
+	return key.replace( /[A-Z]|\d+/g, part => `_${ part.toLowerCase() }` );
+}
+
+function getPath( manager, page ) {
+	const paths = Object.assign( {}, defaultPaths, manager.config.woocommerce );
+	return paths[ page ];
+}
+
+function waitTillUnblocked( driver, waitMs ) {
+	return helper.waitTillNotPresent( driver, blockedOverlay, waitMs );
+}
+
+/**
+ * Wait for a WooCommerce notice to show.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ * @param {number} waitMs - How long to wait in millisecond. Defaults to
+ *                          `WebDriverHelper.getDefaultWaitMs( driver )`.
+ *
+ * @return {Promise} A promise that will be resolved with the first notice, an
+ *                   object with `type` ('error', 'success' or 'info') and
+ *                   `message`.
+ */
+export function waitForNotice( driver, waitMs = helper.getDefaultWaitMs( driver ) ) {
+	return driver.wait( () => {
+		return driver.executeScript( readNoticeScript );
+	}, waitMs, 'Timed out waiting for a WooCommerce notice' );
+}
+
+/**
+ * Add a product to the cart from its page.
+ *
+ * @param {object} manager     - Instance of `WebDriverManager`.
+ * @param {string} productPath - Path of the product page like '/product/hoodie/'.
+ * @param {object} options     - Optional object where `quantity` is the quantity,
+ *                               `attributes` maps attributes of a variable
+ *                               product, by name or slug like 'color' or
+ *                               'pa_color', to the text of the option to choose,
+ *                               and `waitMs` is time in millisecond to wait.
+ *
+ * @example
+ *
+ * import { WebDriverManager, WCStorefront } from 'wp-e2e-webdriver';
+ *
+ * const manager = new WebDriverManager( 'chrome' );
+ *
+ * WCStorefront.addToCart( manager, '/product/hoodie/', { quantity: 2, attributes: { color: 'Blue' } } )
+ *   .then( () => WCStorefront.goToCart( manager ) )
+ *   .then( () => WCStorefront.getCart( manager.getDriver() ) )
+ *   .then( cart => ... );
+ *
+ * @return {Promise} A promise that will be resolved with the message of the
+ *                   added to cart notice, or rejected with the error notice.
+ */
+export function addToCart( manager, productPath, options = {} ) {
+	const driver = manager.getDriver();
+	const { quantity, attributes = {}, waitMs = helper.getDefaultWaitMs( driver ) } = options;
+
+	return manager.goTo( productPath ).then( () => {
+		return Object.keys( attributes ).reduce( ( previous, name ) => {
+			return previous.then( () => chooseAttribute( driver, name, attributes[ name ], waitMs ) );
+		}, Promise.resolve() );
+	} ).then( () => {
+		if ( ! Object.keys( attributes ).length ) {
+			return true;
+		}
+		return driver.wait( () => {
+			return driver.executeScript(
+				'var input = document.querySelector( "form.variations_form input.variation_id" ); ' +
+				'return !! input && !! input.value && input.value !== "0";'
+			);
+		}, waitMs, `Timed out waiting for a variation matching ${ JSON.stringify( attributes ) }` );
+	} ).then( () => {
+		return quantity === undefined || helper.setWhenSettable( driver, quantityInput, String( quantity ), { waitMs } );
+	} ).then( () => {
+		return driver.executeScript( clearNoticesScript );
+	} ).then( () => {
+		return helper.clickWhenClickable( driver, addToCartButton, waitMs );
+	} ).then( () => {
+		return waitForNotice( driver, waitMs );
+	} ).then( ( notice ) => {
+		if ( notice.type === 'error' ) {
+			throw new Error( `Failed to add ${ productPath } to the cart: ${ notice.message }` );
+		}
+		return notice.message;
+	} );
+}
+
+function chooseAttribute( driver, name, optionText, waitMs ) {
+	const slug = name.toLowerCase().replace( /\s+/g, '-' );
+	const select = By.css( [
+		`form.variations_form select[data-attribute_name="attribute_${ slug }"]`,
+		`form.variations_form select[data-attribute_name="attribute_pa_${ slug }"]`,
+	].join( ', ' ) );
+
+	return helper.waitTillPresentAndDisplayed( driver, select, waitMs ).then( () => {
+		return helper.selectOption( driver, select, optionText );
+	} ).then( ( selected ) => {
+		if ( ! selected ) {
+			throw new Error( `Could not choose '${ optionText }' for attribute '${ name }'` );
+		}
+		return true;
+	} );
+}
+
+/**
+ * Open the cart page, at `config.woocommerce.cart` of the manager or '/cart/'.
+ *
+ * @param {object} manager - Instance of `WebDriverManager`.
+ *
+ * @return {Promise} A promise that will be resolved once the page loaded.
+ */
+export function goToCart( manager ) {
+	return manager.goTo( getPath( manager, 'cart' ) );
+}
+
+/**
+ * Open the checkout page, at `config.woocommerce.checkout` of the manager or
+ * '/checkout/'.
+ *
+ * @param {object} manager - Instance of `WebDriverManager`.
+ *
+ * @return {Promise} A promise that will be resolved once the page loaded.
+ */
+export function goToCheckout( manager ) {
+	return manager.goTo( getPath( manager, 'checkout' ) );
+}
+
+/**
+ * Read line items and totals of the cart page.
+ *
+ * Amounts are parsed with `parsePrice`, so they are numbers in the store
+ * currency, or `null` when the cart doesn't show them.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ *
+ * @return {Promise} A promise that will be resolved with an object with
+ *                   `items` (`key`, `productId`, `name`, `price`, `quantity`
+ *                   and `subtotal`), `coupons` (`code` and `amount`), `taxes`
+ *                   (`label` and `amount`), `subtotal`, `shipping` and `total`.
+ */
+export function getCart( driver ) {
+	return driver.executeScript( readCartScript ).then( ( cart ) => {
+		return {
+			items: cart.items.map( item => Object.assign( {}, item, {
+				price: parsePrice( item.price ),
+				quantity: Number( item.quantity ),
+				subtotal: parsePrice( item.subtotal ),
+			} ) ),
+			coupons: cart.coupons.map( coupon => ( { code: coupon.code, amount: parsePrice( coupon.amount ) } ) ),
+			taxes: cart.taxes.map( tax => ( { label: tax.label, amount: parsePrice( tax.amount ) } ) ),
+			subtotal: parsePrice( cart.subtotal ),
+			shipping: parsePrice( cart.shipping ),
+			total: parsePrice( cart.total ),
+		};
+	} );
+}
+
+/**
+ * Apply a coupon on the cart page.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ * @param {string} code   - Coupon code.
+ * @param {number} waitMs - How long to wait in millisecond. Defaults to
+ *                          `WebDriverHelper.getDefaultWaitMs( driver )`.
+ *
+ * @return {Promise} A promise that will be resolved with the message of the
+ *                   notice, or rejected if the coupon is not applied.
+ */
+export function applyCoupon( driver, code, waitMs = helper.getDefaultWaitMs( driver ) ) {
+	return driver.executeScript( clearNoticesScript ).then( () => {
+		return helper.setWhenSettable( driver, couponInput, code, { waitMs } );
+	} ).then( () => {
+		return helper.clickWhenClickable( driver, applyCouponButton, waitMs );
+	} ).then( () => {
+		return waitForNotice( driver, waitMs );
+	} ).then( ( notice ) => {
+		if ( notice.type === 'error' ) {
+			throw new Error( `Failed to apply coupon '${ code }': ${ notice.message }` );
+		}
+		return waitTillUnblocked( driver, waitMs ).then( () => notice.message );
+	} );
+}
+
+/**
+ * Fill the checkout form.
+ *
+ * Fields are keyed in camel case, `billing.firstName` fills `#billing_first_name`.
+ * Countries and states are chosen by code or name, and filled first since
+ * changing them reloads the other fields.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ * @param {object} data   - Object with `billing` and `shipping` fields, a
+ *                          shipping address turning on "Ship to a different
+ *                          address", and `orderComments`.
+ * @param {number} waitMs - How long to wait in millisecond. Defaults to
+ *                          `WebDriverHelper.getDefaultWaitMs( driver )`.
+ *
+ * @example
+ *
+ * WCStorefront.fillCheckout( driver, {
+ *   billing: {
+ *     firstName: 'John',
+ *     lastName: 'Doe',
+ *     country: 'US',
+ *     address1: '1 Main St',
+ *     city: 'San Francisco',
+ *     state: 'California',
+ *     postcode: '94110',
+ *     phone: '555-555-5555',
+ *     email: 'john.doe@example.com',
+ *   },
+ * } );
+ *
+ * @return {Promise} A promise that will be resolved with `true` once filled,
+ *                   or rejected naming the field that couldn't be filled.
+ */
+export function fillCheckout( driver, data, waitMs = helper.getDefaultWaitMs( driver ) ) {
+	return fillAddress( driver, 'billing', data.billing, waitMs ).then( () => {
+		if ( ! data.shipping ) {
+			return true;
+		}
+		return helper.setCheckbox( driver, shipToDifferentAddress, waitMs ).then( () => {
+			return fillAddress( driver, 'shipping', data.shipping, waitMs );
+		} );
+	} ).then( () => {
+		return data.orderComments === undefined ||
+			helper.setWhenSettable( driver, orderComments, data.orderComments, { waitMs } );
+	} ).then( () => {
+		return waitTillUnblocked( driver, waitMs );
+	} );
+}
+
+function fillAddress( driver, type, address = {}, waitMs ) {
+	const first = [ 'country', 'state' ];
+	const keys = Object.keys( address ).sort( ( a, b ) => {
+		const rank = key => first.indexOf( key ) > -1 ? first.indexOf( key ) : first.length;
+		return rank( a ) - rank( b );
+	} );
+
+	return keys.reduce( ( previous, key ) => {
+		return previous.then( () => {
+			return fillField( driver, `${ type }_${ toFieldName( key ) }`, address[ key ], waitMs );
+		} );
+	}, Promise.resolve() );
+}
+
+function fillField( driver, id, value, waitMs ) {
+	const field = By.css( `#${ id }` );
+
+	return driver.wait( () => {
+		return driver.findElements( field ).then( elements => elements[ 0 ] );
+	}, waitMs, `Timed out waiting for checkout field '${ id }'` ).then( ( element ) => {
+		return element.getTagName().then( ( tagName ) => {
+			if ( tagName !== 'select' ) {
+				return helper.setWhenSettable( driver, field, String( value ), { waitMs } );
+			}
+			return driver.executeScript( selectFieldOptionScript, element, value ).then( ( selected ) => {
+				if ( ! selected ) {
+					throw new Error( `Checkout field '${ id }' has no option '${ value }'` );
+				}
+				return waitTillUnblocked( driver, waitMs );
+			} );
+		} );
+	} );
+}
+
+/**
+ * Select a payment method on the checkout page.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ * @param {string} method - Payment gateway ID like 'bacs' or 'cod'.
+ * @param {number} waitMs - How long to wait in millisecond. Defaults to
+ *                          `WebDriverHelper.getDefaultWaitMs( driver )`.
+ *
+ * @return {Promise} A promise that will be resolved with `true` once selected.
+ */
+export function selectPaymentMethod( driver, method, waitMs = helper.getDefaultWaitMs( driver ) ) {
+	const radio = By.css( `#payment_method_${ method }` );
+
+	return waitTillUnblocked( driver, waitMs ).then( () => {
+		return driver.wait( () => {
+			return driver.findElement( radio ).then( ( element ) => {
+				// Single gateways are preselected with a hidden radio.
+				return element.isSelected().then( ( selected ) => {
+					return selected || element.click().then( () => element.isSelected() );
+				} );
+			} ).then( null, () => false );
+		}, waitMs, `Timed out waiting for payment method '${ method }' to be selected` );
+	} );
+}
+
+/**
+ * Place the order from the checkout page.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ * @param {number} waitMs - How long to wait in millisecond. Defaults to
+ *                          `WebDriverHelper.getDefaultWaitMs( driver )`.
+ *
+ * @return {Promise} A promise that will be resolved with the order number of
+ *                   the thank-you page, or rejected with the checkout errors.
+ */
+export function placeOrder( driver, waitMs = helper.getDefaultWaitMs( driver ) ) {
+	return waitTillUnblocked( driver, waitMs ).then( () => {
+		return driver.executeScript( clearNoticesScript );
+	} ).then( () => {
+		return helper.clickWhenClickable( driver, placeOrderButton, waitMs );
+	} ).then( () => {
+		return driver.wait( () => {
+			return driver.executeScript( `
+				var number = document.querySelector( '.woocommerce-order-overview__order strong, .order_details .order strong' );
+				if ( number && document.querySelector( '${ orderReceived }' ) ) {
+					return { orderNumber: number.textContent.trim() };
+				}
+				var errors = document.querySelectorAll( '.woocommerce-error li, .woocommerce-error:not(ul)' );
+				if ( errors.length && errors[ 0 ].offsetParent !== null ) {
+					return {
+						errors: [].map.call( errors, function( error ) {
+							return error.textContent.replace( /\\s+/g, ' ' ).trim();
+						} ),
+					};
+				}
+				return null;
+			` ).then( result => result, () => null );
+		}, waitMs, 'Timed out waiting for the order to be placed' );
+	} ).then( ( result ) => {
+		if ( result.errors ) {
+			throw new Error( `Failed to place the order: ${ result.errors.join( '; ' ) }` );
+		}
+		return result.orderNumber;
+	} );
+}
+
+/**
+ * Check out the cart: open the checkout page, fill it, select the payment
+ * method and place the order.
+ *
+ * @param {object} manager - Instance of `WebDriverManager`.
+ * @param {object} data    - Checkout data, see `fillCheckout`, plus
+ *                           `paymentMethod`, the payment gateway ID.
+ * @param {number} waitMs  - How long to wait in millisecond. Defaults to
+ *                           `WebDriverHelper.getDefaultWaitMs( driver )`.
+ *
+ * @return {Promise} A promise that will be resolved with the order number.
+ */
+export function checkout( manager, data, waitMs = helper.getDefaultWaitMs( manager.getDriver() ) ) {
+	const driver = manager.getDriver();
+
+	return goToCheckout( manager ).then( () => {
+		return fillCheckout( driver, data, waitMs );
+	} ).then( () => {
+		return data.paymentMethod ? selectPaymentMethod( driver, data.paymentMethod, waitMs ) : true;
+	} ).then( () => {
+		return placeOrder( driver, waitMs );
+	} );
+}
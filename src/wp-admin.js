@@ -0,0 +1,273 @@
+/**
+ * WordPress admin navigation helper.
+ *
+ * @module WPAdmin
+ */
+
+/**
+ * External dependencies
+ */
+import { By, until } from 'selenium-webdriver';
+import urljoin from 'url-join';
+
+/**
+ * Internal dependencies
+ */
+import * as helper from './helper';
+
+const adminContent = By.css( '#wpbody-content' );
+const adminMenu = By.css( '#adminmenu' );
+const responsiveMenuToggle = By.css( '#wp-admin-bar-menu-toggle' );
+const responsiveMenuOpen = By.css( '#wpwrap.wp-responsive-open' );
+const loadedPage = By.css( '#wpbody-content, body#error-page, #loginform' );
+
+// Reads login redirect, `wp_die()` message and visible admin notices of the
+// current page. Nested notices, like `.error` inside `.notice`, are read once.
+const readAdminPageScript = `
+	var noticeSelector = '.notice, .error, .updated, .update-nag';
+	var state = { login: false, errorPage: null, notices: [] };
+
+	if ( document.getElementById( 'loginform' ) && window.location.pathname.indexOf( 'wp-login.php' ) > -1 ) {
+		state.login = true;
+		return state;
+	}
+
+	if ( document.body && document.body.id === 'error-page' ) {
+		var message = document.querySelector( '.wp-die-message' ) || document.body;
+		state.errorPage = message.textContent.replace( /\\s+/g, ' ' ).trim();
+		return state;
+	}
+
+	var content = document.getElementById( 'wpbody-content' );
+	var nodes = content ? content.querySelectorAll( noticeSelector ) : [];
+
+	for ( var i = 0; i < nodes.length; i++ ) {
+		var node = nodes[ i ];
+		if ( node.offsetParent === null || node.parentElement.closest( noticeSelector ) ) {
+			continue;
+		}
+
+		var classes = node.classList;
+		var type = 'info';
+		if ( classes.contains( 'notice-error' ) || classes.contains( 'error' ) ) {
+			type = 'error';
+		} else if ( classes.contains( 'notice-warning' ) || classes.contains( 'update-nag' ) ) {
+			type = 'warning';
+		} else if ( classes.contains( 'notice-success' ) || classes.contains( 'updated' ) ) {
+			type = 'success';
+		}
+
+		var clone = node.cloneNode( true );
+		var dismiss = clone.querySelectorAll( '.notice-dismiss' );
+		for ( var j = 0; j < dismiss.length; j++ ) {
+			dismiss[ j ].parentNode.removeChild( dismiss[ j ] );
+		}
+
+		state.notices.push( { type: type, message: clone.textContent.replace( /\\s+/g, ' ' ).trim() } );
+	}
+
+	return state;
+`;
+
+/**
+ * Quote `text` as an XPath string literal.
+ *
+ * @param {string} text - Text to quote.
+ *
+ * @return {string} XPath string literal.
+ */
+function xpathLiteral( text ) {
+	if ( text.indexOf( '"' ) === -1 ) {
+		return `"${ text }"`;
+	}
+	if ( text.indexOf( '\'' ) === -1 ) {
+		return `'${ text }'`;
+	}
+	return 'concat("' + text.split( '"' ).join( '", \'"\', "' ) + '")';
+}
+
+// Matches the first non-blank text of an element, so count bubbles like the
+// pending plugin updates in "Plugins 2" are ignored.
+function textIs( text ) {
+	return `normalize-space(text()[normalize-space()][1])=${ xpathLiteral( text ) }`;
+}
+
+function topLevelMenuXpath( menuTitle ) {
+	return '//ul[@id="adminmenu"]/li[contains(concat(" ", @class, " "), " menu-top ")]' +
+		`[.//div[contains(@class, "wp-menu-name")][${ textIs( menuTitle ) }]]`;
+}
+
+/**
+ * Get visible admin notices on the current page.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ *
+ * @return {Promise} A promise that will be resolved with an array of notices,
+ *                   objects with `type` ('error', 'warning', 'success' or
+ *                   'info') and `message`.
+ */
+export function getAdminNotices( driver ) {
+	return driver.executeScript( readAdminPageScript ).then( state => state.notices );
+}
+
+/**
+ * Wait for the wp-admin page to load and read its notices.
+ *
+ * @param {object} driver  - Instance of WebDriver.
+ * @param {object} options - Optional object where `waitMs` is time in millisecond
+ *                           to wait for the page, `failOnErrorNotice` is a boolean
+ *                           indicating error notices reject the returned promise.
+ *
+ * @return {Promise} A promise that will be resolved with notices of the page,
+ *                   or rejected if WordPress redirected to the login page or
+ *                   showed an error page.
+ */
+export function waitForAdminPage( driver, { waitMs = helper.getDefaultWaitMs( driver ), failOnErrorNotice = false } = {} ) {
+	return driver.wait(
+		until.elementLocated( loadedPage ),
+		waitMs,
+		'Timed out waiting for wp-admin page to load'
+	).then( () => {
+		return Promise.all( [ driver.getCurrentUrl(), driver.executeScript( readAdminPageScript ) ] );
+	} ).then( ( [ url, state ] ) => {
+		if ( state.login ) {
+			throw new Error( `Redirected to the login page at ${ url }. Log in first, e.g. with WPAuth.login()` );
+		}
+		if ( state.errorPage ) {
+			throw new Error( `WordPress error at ${ url }: ${ state.errorPage }` );
+		}
+
+		const errors = state.notices.filter( notice => notice.type === 'error' );
+		if ( failOnErrorNotice && errors.length ) {
+			throw new Error( `Error notices at ${ url }: ${ errors.map( notice => notice.message ).join( ' | ' ) }` );
+		}
+
+		return state.notices;
+	} );
+}
+
+/**
+ * Open a wp-admin page by its path relative to wp-admin.
+ *
+ * @param {object} manager   - Instance of `WebDriverManager`.
+ * @param {string} adminPath - Path relative to wp-admin like 'edit.php?post_type=product'.
+ *                             Defaults to the dashboard.
+ * @param {object} options   - Optional object, see `waitForAdminPage`.
+ *
+ * @example
+ *
+ * import { WebDriverManager, WPAdmin } from 'wp-e2e-webdriver';
+ *
+ * const manager = new WebDriverManager( 'chrome' );
+ *
+ * WPAdmin.goToAdminUrl( manager, 'edit.php?post_type=product' ).then( notices => {
+ *   ...
+ * } );
+ *
+ * @return {Promise} A promise that will be resolved with notices of the page.
+ */
+export function goToAdminUrl( manager, adminPath = '', options = {} ) {
+	const driver = manager.getDriver();
+
+	const pagePath = adminPath ? urljoin( '/wp-admin/', adminPath ) : '/wp-admin/';
+
+	return manager.goTo( pagePath ).then( () => {
+		return waitForAdminPage( driver, options );
+	} );
+}
+
+/**
+ * Open the collapsed admin menu of small screens, like the `mobile` screen size.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ * @param {number} waitMs - How long to wait in millisecond. Defaults to
+ *                          `WebDriverHelper.getDefaultWaitMs( driver )`.
+ *
+ * @return {Promise} A promise that will be resolved with `true` once the admin
+ *                   menu is displayed.
+ */
+export function openAdminMenu( driver, waitMs = helper.getDefaultWaitMs( driver ) ) {
+	return driver.findElement( responsiveMenuToggle ).then( ( toggle ) => {
+		return toggle.isDisplayed();
+	}, () => false ).then( ( responsive ) => {
+		if ( ! responsive ) {
+			return true;
+		}
+
+		return driver.findElements( responsiveMenuOpen ).then( ( open ) => {
+			return open.length || helper.clickWhenClickable( driver, responsiveMenuToggle, waitMs );
+		} );
+	} ).then( () => {
+		return helper.waitTillPresentAndDisplayed( driver, adminMenu, waitMs );
+	} );
+}
+
+/**
+ * Open a wp-admin page by walking the admin menu, e.g. `WooCommerce` then
+ * `Settings`.
+ *
+ * Titles are matched exactly against the menu text, without count bubbles.
+ * Submenus of a folded menu are opened by hovering the top-level item. If the
+ * submenu still isn't displayed, like on the `mobile` screen size, its link
+ * is followed instead of clicked.
+ *
+ * @param {object} manager      - Instance of `WebDriverManager`.
+ * @param {string} menuTitle    - Title of the top-level menu item.
+ * @param {string} submenuTitle - Optional title of the submenu item.
+ * @param {object} options      - Optional object, see `waitForAdminPage`.
+ *
+ * @example
+ *
+ * import { WebDriverManager, WPAdmin } from 'wp-e2e-webdriver';
+ *
+ * const manager = new WebDriverManager( 'chrome' );
+ *
+ * WPAdmin.goToAdminPage( manager, 'WooCommerce', 'Settings' ).then( notices => {
+ *   ...
+ * } );
+ *
+ * @return {Promise} A promise that will be resolved with notices of the page,
+ *                   or rejected if the menu item can not be found.
+ */
+export function goToAdminPage( manager, menuTitle, submenuTitle, options = {} ) {
+	const driver = manager.getDriver();
+	const { waitMs = helper.getDefaultWaitMs( driver ) } = options;
+	const topLevelItem = By.xpath( topLevelMenuXpath( menuTitle ) );
+	const target = submenuTitle
+		? By.xpath( `${ topLevelMenuXpath( menuTitle ) }//ul[contains(@class, "wp-submenu")]//a[${ textIs( submenuTitle ) }]` )
+		: By.xpath( `${ topLevelMenuXpath( menuTitle ) }/a` );
+	const description = submenuTitle ? `'${ menuTitle } > ${ submenuTitle }'` : `'${ menuTitle }'`;
+	let currentContent;
+
+	return driver.getCurrentUrl().then( ( url ) => {
+		return url.indexOf( manager.getPageUrl( '/wp-admin/' ) ) === 0 || goToAdminUrl( manager, '', options );
+	} ).then( () => {
+		return openAdminMenu( driver, waitMs );
+	} ).then( () => {
+		return driver.findElements( target );
+	} ).then( ( links ) => {
+		if ( ! links.length ) {
+			throw new Error( `Could not find admin menu item ${ description }` );
+		}
+
+		return driver.findElement( adminContent ).then( ( content ) => {
+			currentContent = content;
+		}, () => null ).then( () => {
+			return submenuTitle ? helper.mouseMoveTo( driver, topLevelItem ) : true;
+		} ).then( () => {
+			return links[ 0 ].isDisplayed();
+		} ).then( ( displayed ) => {
+			if ( displayed ) {
+				return links[ 0 ].click();
+			}
+
+			return links[ 0 ].getAttribute( 'href' ).then( href => driver.get( href ) );
+		} );
+	} ).then( () => {
+		if ( currentContent ) {
+			return driver.wait( until.stalenessOf( currentContent ), waitMs, `Timed out waiting for ${ description } to open` );
+		}
+	} ).then( () => {
+		return waitForAdminPage( driver, options );
+	} );
+}
@@ -0,0 +1,281 @@
+/**
+ * WordPress authentication helper.
+ *
+ * @module WPAuth
+ */
+
+/**
+ * External dependencies
+ */
+import { By } from 'selenium-webdriver';
+
+/**
+ * Internal dependencies
+ */
+import * as helper from './helper';
+
+const loginForm = By.css( '#loginform' );
+const usernameInput = By.css( '#user_login' );
+const passwordInput = By.css( '#user_pass' );
+const submitButton = By.css( '#wp-submit' );
+const loginError = By.css( '#login_error' );
+const confirmAdminEmailButton = By.css( '#correct-admin-email' );
+const adminBarLogoutLink = By.css( '#wp-admin-bar-logout a' );
+const confirmLogoutLink = By.css( 'a[href*="action=logout"]' );
+
+const loggedInCookiePrefix = 'wordpress_logged_in_';
+const authCookiePrefix = 'wordpress_';
+const testCookie = 'wordpress_test_cookie';
+
+// Auth cookies of logged in users, keyed by base URL and username.
+const sessions = new Map();
+
+function sessionKey( manager, username ) {
+	return `${ manager.getBaseUrl() }|${ username }`;
+}
+
+function isLoginPage( url ) {
+	return url.indexOf( '/wp-login.php' ) > -1;
+}
+
+/**
+ * Get username of the logged in user from WordPress' logged in cookie.
+ *
+ * The cookie only tells who the browser claims to be, use `isLoggedIn` to check
+ * whether the session is still valid.
+ *
+ * @param {object} driver - Instance of WebDriver.
+ *
+ * @return {Promise} A promise that will be resolved with the username, or
+ *                   `null` if there's no logged in cookie.
+ */
+export function getLoggedInUsername( driver ) {
+	return driver.manage().getCookies().then( ( cookies ) => {
+		const cookie = cookies.find( c => c.name.indexOf( loggedInCookiePrefix ) === 0 );
+		if ( ! cookie ) {
+			return null;
+		}
+
+		return decodeURIComponent( cookie.value ).split( '|' )[ 0 ];
+	} );
+}
+
+/**
+ * Check whether the browser is logged in, optionally as `username`.
+ *
+ * Under the hood it visits wp-admin, which redirects to wp-login.php when
+ * the session is not valid.
+ *
+ * @param {object} manager  - Instance of `WebDriverManager`.
+ * @param {string} username - Optional username the browser should be logged in as.
+ *
+ * @return {Promise} A promise that will be resolved with `true` if logged in
+ *                   (as `username` if given), or `false` if not.
+ */
+export function isLoggedIn( manager, username ) {
+	const driver = manager.getDriver();
+
+	return driver.get( manager.getPageUrl( '/wp-admin/' ) ).then( () => {
+		return driver.getCurrentUrl();
+	} ).then( ( url ) => {
+		if ( isLoginPage( url ) ) {
+			return false;
+		}
+
+		return getLoggedInUsername( driver ).then( ( current ) => {
+			return current !== null && ( ! username || current === username );
+		} );
+	} );
+}
+
+/**
+ * Forget cached auth cookies, for `username` or for all users.
+ *
+ * @param {object} manager  - Instance of `WebDriverManager`.
+ * @param {string} username - Optional username. Forget all users if omitted.
+ */
+export function clearSessionCache( manager, username ) {
+	if ( username ) {
+		sessions.delete( sessionKey( manager, username ) );
+		return;
+	}
+
+	const prefix = sessionKey( manager, '' );
+	Array.from( sessions.keys() ).
+		filter( key => key.indexOf( prefix ) === 0 ).
+		forEach( key => sessions.delete( key ) );
+}
+
+function saveSession( manager, username ) {
+	return manager.getDriver().manage().getCookies().then( ( cookies ) => {
+		const authCookies = cookies.filter( ( cookie ) => {
+			return cookie.name.indexOf( authCookiePrefix ) === 0 && cookie.name !== testCookie;
+		} );
+
+		sessions.set( sessionKey( manager, username ), authCookies );
+	} );
+}
+
+function restoreSession( manager, username ) {
+	const driver = manager.getDriver();
+	const cookies = sessions.get( sessionKey( manager, username ) );
+
+	// Cookies can only be added for the domain of the current page.
+	return driver.get( manager.getPageUrl( '/wp-login.php' ) ).then( () => {
+		driver.manage().deleteAllCookies();
+		cookies.forEach( ( cookie ) => {
+			driver.manage().addCookie( {
+				name: cookie.name,
+				value: cookie.value,
+				path: cookie.path,
+				secure: cookie.secure,
+				httpOnly: cookie.httpOnly,
+				expiry: cookie.expiry,
+			} );
+		} );
+
+		return isLoggedIn( manager, username );
+	} );
+}
+
+function submitLoginForm( manager, username, password, waitMs ) {
+	const driver = manager.getDriver();
+
+	driver.get( manager.getPageUrl( '/wp-login.php' ) );
+	helper.setWhenSettable( driver, usernameInput, username, { waitMs } );
+	helper.setWhenSettable( driver, passwordInput, password, { secureValue: true, waitMs } );
+	helper.clickWhenClickable( driver, submitButton, waitMs );
+
+	return driver.wait( () => {
+		return driver.getCurrentUrl().then( ( url ) => {
+			if ( ! isLoginPage( url ) ) {
+				return 'logged-in';
+			}
+
+			return driver.findElements( loginError ).then( ( errors ) => {
+				if ( errors.length ) {
+					return 'error';
+				}
+
+				// WordPress asks administrators to confirm their email now and then.
+				return driver.findElements( confirmAdminEmailButton ).then( ( buttons ) => {
+					if ( buttons.length ) {
+						buttons[ 0 ].click();
+					}
+					return false;
+				} );
+			} );
+		} );
+	}, waitMs, `Timed out waiting for login of '${ username }' to complete` ).then( ( result ) => {
+		if ( result === 'error' ) {
+			return driver.findElement( loginError ).getText().then( ( message ) => {
+				throw new Error( `Failed to log in as '${ username }': ${ message.trim() }` );
+			} );
+		}
+
+		return true;
+	} );
+}
+
+/**
+ * Log in to WordPress as `username`.
+ *
+ * Nothing is submitted if the browser is already logged in as `username`. If
+ * it's logged in as another user, that user is logged out first. Auth cookies
+ * are cached per user, so later logins of the same user, also from other
+ * managers with the same base URL, inject the cookies instead of driving the
+ * login form again.
+ *
+ * @param {object} manager  - Instance of `WebDriverManager`.
+ * @param {string} username - Username, not email, of the user to log in as.
+ * @param {string} password - Password of the user.
+ * @param {object} options  - Optional object where `reuseSession` is a boolean
+ *                            indicating cached auth cookies can be used and
+ *                            saved (defaults to `true`), `waitMs` is time in
+ *                            millisecond to wait for each step of the login.
+ *
+ * @example
+ *
+ * import { WebDriverManager, WPAuth } from 'wp-e2e-webdriver';
+ *
+ * const manager = new WebDriverManager( 'chrome', { baseUrl: 'http://localhost:8080' } );
+ *
+ * WPAuth.login( manager, 'admin', 'password' ).then( () => {
+ *   ...
+ * } );
+ *
+ * @return {Promise} A promise that will be resolved with `true` once logged in,
+ *                   or rejected with WordPress' login error.
+ */
+export function login( manager, username, password, options = {} ) {
+	const driver = manager.getDriver();
+	const { reuseSession = true, waitMs = helper.getDefaultWaitMs( driver ) } = options;
+	const submit = () => {
+		return submitLoginForm( manager, username, password, waitMs ).then( () => {
+			return reuseSession ? saveSession( manager, username ) : null;
+		} ).then( () => true );
+	};
+
+	return isLoggedIn( manager ).then( ( loggedIn ) => {
+		if ( ! loggedIn ) {
+			return false;
+		}
+
+		return getLoggedInUsername( driver ).then( ( current ) => {
+			return current === username || logout( manager, { waitMs } ).then( () => false );
+		} );
+	} ).then( ( alreadyLoggedIn ) => {
+		if ( alreadyLoggedIn ) {
+			return true;
+		}
+		if ( ! reuseSession || ! sessions.has( sessionKey( manager, username ) ) ) {
+			return submit();
+		}
+
+		return restoreSession( manager, username ).then( ( restored ) => {
+			if ( restored ) {
+				return true;
+			}
+
+			clearSessionCache( manager, username );
+			return submit();
+		} );
+	} );
+}
+
+/**
+ * Log out of WordPress via the nonce link in the admin bar.
+ *
+ * Users without the admin bar in wp-admin, like WooCommerce customers, are
+ * logged out via wp-login.php's logout confirmation instead. Cached auth
+ * cookies of the logged out user are forgotten as WordPress destroys the
+ * session.
+ *
+ * @param {object} manager - Instance of `WebDriverManager`.
+ * @param {object} options - Optional object where `waitMs` is time in millisecond
+ *                           to wait for the login form after logging out.
+ *
+ * @return {Promise} A promise that will be resolved with `true` once logged out.
+ */
+export function logout( manager, { waitMs = helper.getDefaultWaitMs( manager.getDriver() ) } = {} ) {
+	const driver = manager.getDriver();
+
+	return getLoggedInUsername( driver ).then( ( username ) => {
+		if ( username ) {
+			clearSessionCache( manager, username );
+		}
+
+		return driver.get( manager.getPageUrl( '/wp-admin/' ) );
+	} ).then( () => {
+		return driver.findElements( adminBarLogoutLink );
+	} ).then( ( links ) => {
+		if ( links.length ) {
+			return links[ 0 ].getAttribute( 'href' ).then( href => driver.get( href ) );
+		}
+
+		driver.get( manager.getPageUrl( '/wp-login.php?action=logout' ) );
+		return helper.clickWhenClickable( driver, confirmLogoutLink, waitMs );
+	} ).then( () => {
+		return helper.waitTillPresentAndDisplayed( driver, loginForm, waitMs );
+	} );
+}
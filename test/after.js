@@ -6,20 +6,48 @@ import test from 'selenium-webdriver/testing';
 /**
  * Internal dependencies
  */
-import { WebDriverHelper as helper } from '../src/index';
+import { Performance, WebDriverHelper as helper } from '../src/index';
 
 const afterHookTimeoutMs = 30000;
 
-// Take screenshot
+// Check the test and collect its artifacts. Every step runs even if one before
+// it fails, so what's collected during this test isn't left over for the next.
 test.afterEach( function() {
+	const manager = global.__MANAGER__;
+	const currentTest = this.currentTest;
+
 	this.timeout( afterHookTimeoutMs );
-	return helper.takeScreenshot( global.__MANAGER__, this.currentTest );
+
+	if ( ! manager || ! currentTest ) {
+		return;
+	}
+
+	const steps = [
+		() => helper.takeScreenshot( manager, currentTest ),
+		() => helper.captureFailureArtifacts( manager, currentTest ),
+		() => helper.exportHar( manager, currentTest ),
+		() => manager.clearNetworkRequests(),
+		() => helper.checkConsoleErrors( manager, currentTest ),
+		() => Performance.checkPerformance( manager, currentTest ),
+	];
+	const failures = [];
+
+	return steps.reduce( ( chain, step ) => {
+		return chain.then( () => step() ).catch( ( err ) => {
+			failures.push( err.message );
+		} );
+	}, Promise.resolve() ).then( () => {
+		if ( failures.length ) {
+			throw new Error( `Failed ${ failures.length } check(s) after test '${ currentTest.title }': ${ failures.join( '; ' ) }` );
+		}
+	} );
 } );
 
 // Quit browser
 test.after( function() {
 	this.timeout( afterHookTimeoutMs );
 	if ( global.__MANAGER__ ) {
+		Performance.writeReport( global.__MANAGER__ );
 		global.__MANAGER__.quitBrowser();
 	}
 } );
@@ -0,0 +1,122 @@
+/**
+ * External dependencies
+ */
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import test from 'selenium-webdriver/testing';
+import { By } from 'selenium-webdriver';
+
+/**
+ * Internal dependencies
+ */
+import { BlockEditor, WebDriverHelper as helper } from '../src/index';
+import WordPressStub from './support/wordpress-stub';
+import blockEditorPage from './support/block-editor-stub';
+
+chai.use( chaiAsPromised );
+
+const assert = chai.assert;
+const mochaTimeout = 30000;
+
+let manager;
+let driver;
+let stub;
+let originalBaseUrl;
+
+test.describe( 'BlockEditor', function() {
+	this.timeout( mochaTimeout );
+
+	test.before( function() {
+		manager = global.__MANAGER__;
+		driver = global.__DRIVER__;
+		originalBaseUrl = manager.config.baseUrl;
+
+		stub = new WordPressStub();
+		[ '/wp-admin/post-new.php', '/wp-admin/post.php' ].forEach( ( pathname ) => {
+			stub.route( 'GET', pathname, ( req, res ) => stub.sendHtml( res, 'Edit Post', blockEditorPage() ) );
+		} );
+
+		return stub.start().then( ( baseUrl ) => {
+			manager.config.baseUrl = baseUrl;
+		} );
+	} );
+
+	test.beforeEach( function() {
+		return BlockEditor.newPost( manager );
+	} );
+
+	test.after( function() {
+		manager.config.baseUrl = originalBaseUrl;
+		return stub.stop();
+	} );
+
+	test.it( 'has function "newPost" to open the editor without the welcome guide', () => {
+		const query = stub.received( 'GET', '/wp-admin/post-new.php' ).pop().query;
+
+		assert.propertyVal( query, 'post_type', 'post' );
+		return driver.findElements( By.css( '.edit-post-welcome-guide' ) ).then( ( guides ) => {
+			assert.lengthOf( guides, 0 );
+			return assert.eventually.isFalse( driver.executeScript(
+				'return wp.data.select( "core/edit-post" ).isFeatureActive( "welcomeGuide" );'
+			) );
+		} );
+	} );
+
+	test.it( 'has function "editPost" to open the editor of a post', () => {
+		return BlockEditor.editPost( manager, 42 ).then( () => {
+			const query = stub.received( 'GET', '/wp-admin/post.php' ).pop().query;
+			assert.deepEqual( query, { post: '42', action: 'edit' } );
+		} );
+	} );
+
+	test.it( 'has function "insertBlock" to insert blocks by title or name', () => {
+		return BlockEditor.insertBlock( driver, 'Heading' ).then( ( clientId ) => {
+			assert.equal( clientId, 'block-1' );
+			return BlockEditor.insertBlock( driver, 'core/paragraph' );
+		} ).then( ( clientId ) => {
+			assert.equal( clientId, 'block-2' );
+			return BlockEditor.getBlocks( driver );
+		} ).then( ( blocks ) => {
+			assert.deepEqual( blocks.map( block => block.name ), [ 'core/heading', 'core/paragraph' ] );
+		} );
+	} );
+
+	test.it( 'rejects inserting a block missing from the inserter', () => {
+		return assert.isRejected(
+			BlockEditor.insertBlock( driver, 'Gallery', 1000 ),
+			/Could not find block 'Gallery' in the inserter/
+		);
+	} );
+
+	test.it( 'has functions "typeInParagraph" and "getPostContent"', () => {
+		return BlockEditor.typeInParagraph( driver, 'Hello' ).then( ( clientId ) => {
+			return BlockEditor.typeInParagraph( driver, ' world', { clientId } );
+		} ).then( () => {
+			return BlockEditor.getPostContent( driver );
+		} ).then( ( content ) => {
+			assert.equal( content, '<!-- wp:paragraph -->\n<p>Hello world</p>\n<!-- /wp:paragraph -->' );
+		} );
+	} );
+
+	test.it( 'has function "publish" to publish then update the post', () => {
+		return BlockEditor.typeInParagraph( driver, 'Published' ).then( () => {
+			return BlockEditor.publish( driver );
+		} ).then( ( post ) => {
+			assert.deepEqual( post, { id: 42, status: 'publish', link: `${ stub.baseUrl }/?p=42` } );
+			return BlockEditor.typeInParagraph( driver, ' and updated' );
+		} ).then( () => {
+			return BlockEditor.publish( driver );
+		} ).then( ( post ) => {
+			assert.equal( post.status, 'publish' );
+			return assert.eventually.isTrue( helper.isEventuallyPresentAndDisplayed(
+				driver, By.css( '.edit-post-header__settings .editor-post-publish-button' )
+			) );
+		} );
+	} );
+
+	test.it( 'rejects with the error notice if saving fails', () => {
+		return driver.executeScript( 'window.failNextSave = true;' ).then( () => {
+			return assert.isRejected( BlockEditor.publish( driver ), /Failed to save the post: Publishing failed\./ );
+		} );
+	} );
+} );
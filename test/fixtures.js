@@ -0,0 +1,118 @@
+/**
+ * External dependencies
+ */
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import test from 'selenium-webdriver/testing';
+
+/**
+ * Internal dependencies
+ */
+import { Fixtures, WPAuth } from '../src/index';
+import WordPressStub from './support/wordpress-stub';
+
+chai.use( chaiAsPromised );
+
+const assert = chai.assert;
+const mochaTimeout = 30000;
+
+let manager;
+let stub;
+let fixtures;
+let originalBaseUrl;
+
+test.describe( 'Fixtures', function() {
+	this.timeout( mochaTimeout );
+
+	// Point manager to a WordPress stub
+	test.before( function() {
+		manager = global.__MANAGER__;
+		originalBaseUrl = manager.config.baseUrl;
+
+		stub = new WordPressStub( { applicationPasswords: { admin: 'abcd efgh ijkl' } } );
+		return stub.start().then( ( baseUrl ) => {
+			manager.config.baseUrl = baseUrl;
+		} );
+	} );
+
+	test.beforeEach( function() {
+		fixtures = new Fixtures( manager, { username: 'admin', applicationPassword: 'abcd efgh ijkl' } );
+	} );
+
+	test.after( function() {
+		manager.config.baseUrl = originalBaseUrl;
+		return stub.stop();
+	} );
+
+	test.it( 'creates entities through the REST API with an application password', () => {
+		return fixtures.createProduct( { name: 'Beanie', regular_price: '18' } ).then( ( product ) => { // eslint-disable-line camelcase
+			assert.equal( product.name, 'Beanie' );
+			assert.deepEqual( fixtures.created, [ { route: 'wc/v3/products', id: product.id } ] );
+			assert.isTrue( stub.entities.get( 'wc/v3/products' ).has( product.id ) );
+		} );
+	} );
+
+	test.it( 'deletes created entities newest first on cleanup', () => {
+		return fixtures.createPost( { title: 'Hello' } ).then( () => {
+			return fixtures.createUser( { username: 'customer', email: 'customer@example.com', password: 'secret' } );
+		} ).then( () => {
+			return fixtures.cleanup();
+		} ).then( () => {
+			const deletes = stub.requests.filter( r => r.method === 'DELETE' );
+
+			assert.deepEqual( deletes.slice( -2 ).map( r => r.pathname.replace( /\/\d+$/, '' ) ), [
+				'/wp-json/wp/v2/users',
+				'/wp-json/wp/v2/posts',
+			] );
+			assert.deepEqual( deletes.slice( -2 )[ 0 ].query, { force: 'true', reassign: 'false' } );
+			assert.lengthOf( fixtures.created, 0 );
+		} );
+	} );
+
+	test.it( 'skips entities that are already deleted on cleanup', () => {
+		return fixtures.createPage( { title: 'About' } ).then( ( page ) => {
+			stub.entities.get( 'wp/v2/pages' ).delete( page.id );
+			return assert.isFulfilled( fixtures.cleanup() );
+		} );
+	} );
+
+	test.it( 'rejects with the REST error code and message', () => {
+		const anonymous = new Fixtures( manager );
+
+		return assert.isRejected(
+			anonymous.createPost( { title: 'Hello' } ),
+			'REST request POST wp/v2/posts failed with status 401, rest_forbidden: Sorry, you are not allowed to do that.'
+		);
+	} );
+
+	test.it( 'authenticates with the cookies of the logged in browser and a REST nonce', () => {
+		const browserFixtures = new Fixtures( manager, { useBrowserSession: true } );
+
+		return WPAuth.login( manager, 'admin', 'password', { reuseSession: false } ).then( () => {
+			return browserFixtures.createCoupon( { code: 'ten', amount: '10' } );
+		} ).then( ( coupon ) => {
+			assert.equal( coupon.code, 'ten' );
+			return browserFixtures.cleanup();
+		} ).then( () => {
+			return WPAuth.logout( manager );
+		} );
+	} );
+
+	test.it( 'fetches the REST nonce again after failing to get it', () => {
+		const browserFixtures = new Fixtures( manager, { useBrowserSession: true } );
+
+		return assert.isRejected(
+			browserFixtures.createCoupon( { code: 'five', amount: '5' } ),
+			/Could not get a REST nonce for the browser session/
+		).then( () => {
+			return WPAuth.login( manager, 'admin', 'password', { reuseSession: false } );
+		} ).then( () => {
+			return browserFixtures.createCoupon( { code: 'five', amount: '5' } );
+		} ).then( ( coupon ) => {
+			assert.equal( coupon.code, 'five' );
+			return browserFixtures.cleanup();
+		} ).then( () => {
+			return WPAuth.logout( manager );
+		} );
+	} );
+} );
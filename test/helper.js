@@ -3,8 +3,12 @@
  */
 import chai from 'chai';
 import chaiAsPromised from 'chai-as-promised';
-import { By, until } from 'selenium-webdriver';
+import fs from 'fs-extra';
+import path from 'path';
+import { PNG } from 'pngjs';
+import { By, promise, until } from 'selenium-webdriver';
 import test from 'selenium-webdriver/testing';
+import temp from 'temp';
 
 /**
  * Internal dependencies
@@ -163,6 +167,548 @@ test.describe( 'WebDriverHelper', function() {
 		} );
 	} );
 
+	test.describe( 'failure artifacts', () => {
+		const failedTest = {
+			title: 'fails on purpose',
+			fullTitle: () => 'WebDriverHelper fails on purpose',
+			state: 'failed',
+			err: new Error( 'Expected failure' ),
+		};
+
+		let manager;
+		let originalScreenshotsDir;
+
+		test.before( () => {
+			manager = global.__MANAGER__;
+			originalScreenshotsDir = manager.config.screenshotsDir;
+			manager.config.screenshotsDir = temp.mkdirSync( 'screenshots' );
+		} );
+
+		test.after( () => {
+			manager.config.screenshotsDir = originalScreenshotsDir;
+		} );
+
+		test.it( 'has function "captureFailureArtifacts" to write artifacts of a failed test', () => {
+			return helper.captureFailureArtifacts( manager, failedTest ).then( ( manifest ) => {
+				const dir = path.resolve( manager.config.screenshotsDir, 'failures', 'webdriverhelper-fails-on-purpose-desktop' );
+				const written = fs.readJsonSync( path.resolve( dir, 'manifest.json' ) );
+
+				assert.equal( manifest.dir, dir );
+				assert.equal( written.error.message, 'Expected failure' );
+				assert.equal( written.url, 'https://wp-e2e-test-form-page.herokuapp.com/index.html' );
+				assert.deepEqual( written.windowSize, manager.getScreenSizeAsObject( 'desktop' ) );
+				[ 'screenshot.png', 'page.html', 'browser.log' ].forEach( ( file ) => {
+					assert.isTrue( fs.existsSync( path.resolve( dir, file ) ), `${ file } was not written` );
+				} );
+			} );
+		} );
+
+		test.it( 'does not capture artifacts of passed tests', () => {
+			assert.isUndefined( helper.captureFailureArtifacts( manager, Object.assign( {}, failedTest, { state: 'passed' } ) ) );
+		} );
+	} );
+
+	test.describe( 'full page and element screenshots', () => {
+		let manager;
+		let originalScreenshotsDir;
+
+		test.before( () => {
+			manager = global.__MANAGER__;
+			originalScreenshotsDir = manager.config.screenshotsDir;
+			manager.config.screenshotsDir = temp.mkdirSync( 'screenshots' );
+		} );
+
+		test.after( () => {
+			manager.config.screenshotsDir = originalScreenshotsDir;
+			return driver.executeScript( 'var tall = document.getElementById( "tall" ); if ( tall ) tall.remove();' );
+		} );
+
+		test.it( 'has function "takeFullPageScreenshot" to capture the page below the fold', () => {
+			let pageHeight;
+
+			driver.executeScript( `
+				var tall = document.createElement( 'div' );
+				tall.id = 'tall';
+				tall.style.height = '3000px';
+				document.body.appendChild( tall );
+			` );
+
+			return driver.executeScript( 'return document.documentElement.scrollHeight;' ).then( ( height ) => {
+				pageHeight = height;
+				return helper.takeFullPageScreenshot( manager, 'full-page.png' );
+			} ).then( ( dst ) => {
+				const png = PNG.sync.read( fs.readFileSync( dst ) );
+
+				assert.equal( dst, path.resolve( manager.config.screenshotsDir, 'full-page.png' ) );
+				assert.equal( png.height, pageHeight );
+			} );
+		} );
+
+		test.it( 'restores the viewport after a full page screenshot', () => {
+			return assert.eventually.equal( driver.executeScript( 'return window.innerHeight < 3000;' ), true );
+		} );
+
+		test.it( 'has function "takeElementScreenshot" to capture an element', () => {
+			const selector = By.css( '#exampleSelect2' );
+			let size;
+
+			return driver.findElement( selector ).getSize().then( ( rect ) => {
+				size = rect;
+				return helper.takeElementScreenshot( manager, selector, 'element.png' );
+			} ).then( ( dst ) => {
+				const png = PNG.sync.read( fs.readFileSync( dst ) );
+
+				assert.equal( png.width, Math.round( size.width ) );
+				assert.equal( png.height, Math.round( size.height ) );
+			} );
+		} );
+	} );
+
+	test.describe( 'visual regression', () => {
+		let manager;
+		let originalConfig;
+
+		test.before( () => {
+			manager = global.__MANAGER__;
+			originalConfig = {
+				baselinesDir: manager.config.baselinesDir,
+				screenshotsDir: manager.config.screenshotsDir,
+			};
+			manager.config.baselinesDir = temp.mkdirSync( 'baselines' );
+			manager.config.screenshotsDir = temp.mkdirSync( 'screenshots' );
+		} );
+
+		test.after( () => {
+			Object.assign( manager.config, originalConfig );
+			return driver.executeScript( 'document.querySelector( "#exampleSelect2" ).style.visibility = "";' );
+		} );
+
+		test.it( 'has function "assertMatchesBaseline" to create a missing baseline', () => {
+			return helper.assertMatchesBaseline( manager, 'form' ).then( ( result ) => {
+				assert.isTrue( result.updated );
+				assert.equal( result.baseline, path.resolve( manager.config.baselinesDir, 'form-desktop.png' ) );
+				assert.isTrue( fs.existsSync( result.baseline ) );
+			} );
+		} );
+
+		test.it( 'resolves if the page matches its baseline', () => {
+			return assert.eventually.propertyVal( helper.assertMatchesBaseline( manager, 'form' ), 'diffPixels', 0 );
+		} );
+
+		test.it( 'rejects and writes a diff image if the page changed', () => {
+			driver.executeScript( 'document.querySelector( "#exampleSelect2" ).style.visibility = "hidden";' );
+
+			return assert.isRejected( helper.assertMatchesBaseline( manager, 'form' ), /differs from its baseline/ ).then( () => {
+				assert.isTrue( fs.existsSync( path.resolve( manager.config.screenshotsDir, 'diff-desktop-form.png' ) ) );
+			} );
+		} );
+
+		test.it( 'keeps baselines unless UPDATE_BASELINES is 1 or true', () => {
+			process.env.UPDATE_BASELINES = '0';
+
+			return assert.isRejected( helper.assertMatchesBaseline( manager, 'form' ), /differs from its baseline/ ).then( () => {
+				delete process.env.UPDATE_BASELINES;
+			}, ( err ) => {
+				delete process.env.UPDATE_BASELINES;
+				throw err;
+			} );
+		} );
+
+		test.it( 'ignores masked elements', () => {
+			return assert.isFulfilled( helper.assertMatchesBaseline( manager, 'form', { ignore: [ By.css( '#exampleSelect2' ) ] } ) );
+		} );
+	} );
+
+	test.describe( 'console errors', () => {
+		const passedTest = { title: 'passes', state: 'passed' };
+		let manager;
+
+		test.before( () => {
+			manager = global.__MANAGER__;
+		} );
+
+		test.beforeEach( () => {
+			return manager.collectBrowserLogs().then( () => manager.clearBrowserLogs() );
+		} );
+
+		test.it( 'has function "getConsoleErrors" to read errors logged to the console', () => {
+			driver.executeScript( 'console.error( "Plugin script failed" );' );
+
+			return helper.getConsoleErrors( manager ).then( ( errors ) => {
+				assert.lengthOf( errors, 1 );
+				assert.include( errors[ 0 ].message, 'Plugin script failed' );
+			} );
+		} );
+
+		test.it( 'leaves out errors of the allow-list', () => {
+			driver.executeScript( 'console.error( "Third-party tracker failed" );' );
+
+			return assert.eventually.lengthOf( helper.getConsoleErrors( manager, { allow: [ /tracker/ ] } ), 0 );
+		} );
+
+		test.it( 'has function "assertNoConsoleErrors" to reject on console errors', () => {
+			driver.executeScript( 'console.error( "Plugin script failed" );' );
+
+			return assert.isRejected( helper.assertNoConsoleErrors( manager ), /1 console error\(s\) logged:\n.*Plugin script failed/ );
+		} );
+
+		test.it( 'has function "checkConsoleErrors" to fail a passed test with "failTest"', () => {
+			driver.executeScript( 'console.error( "Plugin script failed" );' );
+
+			return assert.isRejected(
+				helper.checkConsoleErrors( manager, passedTest, { failTest: true } ),
+				/Test 'passes' logged 1 console error\(s\)/
+			).then( () => {
+				assert.lengthOf( passedTest.consoleErrors, 1 );
+				assert.deepEqual( manager.browserLogs, [] );
+			} );
+		} );
+	} );
+
+	test.describe( 'accessibility', () => {
+		const region = By.css( '#a11y-region' );
+
+		test.beforeEach( () => {
+			return driver.executeScript( `
+				var region = document.createElement( 'div' );
+				region.id = 'a11y-region';
+				region.innerHTML = '<img src="data:image/gif;base64,R0lGODlhAQABAAAAACw="><button type="button"></button>';
+				document.body.appendChild( region );
+			` );
+		} );
+
+		test.afterEach( () => {
+			return driver.executeScript( 'document.getElementById( "a11y-region" ).remove();' );
+		} );
+
+		test.it( 'has function "auditAccessibility" to list violations of a region', () => {
+			return helper.auditAccessibility( driver, { include: region } ).then( ( results ) => {
+				const imageAlt = results.violations.find( violation => violation.id === 'image-alt' );
+
+				assert.includeMembers( results.violations.map( violation => violation.id ), [ 'image-alt', 'button-name' ] );
+				assert.match( imageAlt.nodes[ 0 ].target[ 0 ], /img/ );
+			} );
+		} );
+
+		test.it( 'runs only the given rules and leaves out excluded regions', () => {
+			return helper.auditAccessibility( driver, { rules: [ 'image-alt' ] } ).then( ( results ) => {
+				assert.deepEqual( results.violations.map( violation => violation.id ), [ 'image-alt' ] );
+				return helper.auditAccessibility( driver, { rules: [ 'image-alt' ], exclude: '#a11y-region' } );
+			} ).then( ( results ) => {
+				assert.lengthOf( results.violations, 0 );
+			} );
+		} );
+
+		test.it( 'rejects on violations of the failOn impact and writes reports', () => {
+			const report = path.resolve( temp.mkdirSync( 'screenshots' ), 'a11y-region' );
+
+			return assert.isRejected(
+				helper.auditAccessibility( driver, { include: region, failOn: 'critical', report } ),
+				/Found \d accessibility violation\(s\) of impact 'critical' or more severe on .*:\n {2}(button-name|image-alt) \(critical\)/
+			).then( () => {
+				assert.include( fs.readJsonSync( `${ report }.json` ).violations.map( violation => violation.id ), 'image-alt' );
+				assert.include( fs.readFileSync( `${ report }.html`, 'utf8' ), 'image-alt' );
+			} );
+		} );
+
+		test.it( 'rejects regions that can not be found', () => {
+			return assert.isRejected(
+				helper.auditAccessibility( driver, { include: '#missing-region' } ),
+				/Could not find elements to audit with css selector of '#missing-region'/
+			);
+		} );
+	} );
+
+	test.describe( 'windows', () => {
+		const openPopup = () => driver.executeScript( 'window.open( window.location.href + "?popup=1", "_blank" );' );
+		let original;
+
+		test.before( () => {
+			return driver.getWindowHandle().then( ( handle ) => {
+				original = handle;
+			} );
+		} );
+
+		test.afterEach( () => {
+			return driver.getAllWindowHandles().then( ( handles ) => {
+				handles.filter( handle => handle !== original ).forEach( ( handle ) => {
+					driver.switchTo().window( handle );
+					driver.close();
+				} );
+				return driver.switchTo().window( original );
+			} );
+		} );
+
+		test.it( 'has function "waitForNewWindow" to wait for the window opened by an action', () => {
+			return helper.waitForNewWindow( driver, openPopup ).then( ( handle ) => {
+				assert.notEqual( handle, original );
+				return assert.eventually.equal( driver.getWindowHandle(), original );
+			} );
+		} );
+
+		test.it( 'has function "withinWindow" to run a function inside a window and close it', () => {
+			openPopup();
+
+			return helper.withinWindow( driver, { url: /popup=1/ }, () => driver.getCurrentUrl(), { close: true } ).then( ( url ) => {
+				assert.include( url, 'popup=1' );
+				assert.eventually.equal( driver.getWindowHandle(), original );
+				return assert.eventually.lengthOf( driver.getAllWindowHandles(), 1 );
+			} );
+		} );
+
+		test.it( 'switches back to the original window if the function fails', () => {
+			return helper.waitForNewWindow( driver, openPopup ).then( ( handle ) => {
+				return assert.isRejected( helper.withinWindow( driver, handle, () => {
+					throw new Error( 'Expected failure' );
+				} ), 'Expected failure' );
+			} ).then( () => {
+				return assert.eventually.equal( driver.getWindowHandle(), original );
+			} );
+		} );
+
+		test.it( 'rejects if no window matches', () => {
+			return assert.isRejected(
+				helper.switchToWindow( driver, { title: 'Missing' }, 500 ),
+				'Timed out waiting for a window matching title \'Missing\''
+			).then( () => {
+				return assert.eventually.equal( driver.getWindowHandle(), original );
+			} );
+		} );
+	} );
+
+	test.describe( 'frames', () => {
+		test.before( () => {
+			return driver.executeScript( `
+				var inner = '<input id="card" value="">';
+				var outer = document.createElement( 'iframe' );
+				outer.id = 'outer-frame';
+				outer.srcdoc = '<iframe id="inner-frame" srcdoc="' + inner.replace( /"/g, '&quot;' ) + '"></iframe>';
+				document.body.appendChild( outer );
+			` );
+		} );
+
+		test.after( () => {
+			return driver.executeScript( 'document.getElementById( "outer-frame" ).remove();' );
+		} );
+
+		test.it( 'has function "withinFrame" to run helpers inside nested frames', () => {
+			const card = By.css( '#card' );
+			const framePath = [ By.css( '#outer-frame' ), By.css( '#inner-frame' ) ];
+
+			return helper.withinFrame( driver, framePath, () => {
+				return helper.setWhenSettable( driver, card, '4242' ).then( () => {
+					return driver.findElement( card ).getAttribute( 'value' );
+				} );
+			} ).then( ( value ) => {
+				assert.equal( value, '4242' );
+				return assert.eventually.lengthOf( driver.findElements( By.css( '#outer-frame' ) ), 1 );
+			} );
+		} );
+
+		test.it( 'looks up frames of a nested call from the outer frame and switches back to it', () => {
+			const outer = By.css( '#outer-frame' );
+			const inner = By.css( '#inner-frame' );
+
+			return helper.withinFrame( driver, outer, () => {
+				return helper.withinFrame( driver, inner, () => {
+					return assert.eventually.lengthOf( driver.findElements( By.css( '#card' ) ), 1 );
+				} ).then( () => {
+					return assert.eventually.lengthOf( driver.findElements( inner ), 1 );
+				} );
+			} ).then( () => {
+				assert.deepEqual( driver.framePath, [] );
+				return assert.eventually.lengthOf( driver.findElements( outer ), 1 );
+			} );
+		} );
+
+		test.it( 'switches back to the page if the function fails', () => {
+			return assert.isRejected( helper.withinFrame( driver, By.css( '#outer-frame' ), () => {
+				throw new Error( 'Expected failure' );
+			} ), 'Expected failure' ).then( () => {
+				return assert.eventually.lengthOf( driver.findElements( By.css( '#outer-frame' ) ), 1 );
+			} );
+		} );
+
+		test.it( 'rejects if the frame can not be found', () => {
+			return assert.isRejected(
+				helper.withinFrame( driver, By.css( '#missing-frame' ), () => true, 500 ),
+				'Timed out waiting for frame with css selector of \'#missing-frame\''
+			);
+		} );
+	} );
+
+	test.describe( 'forms', () => {
+		const form = By.css( '#fill-form' );
+		const valueOf = selector => driver.executeScript( `return document.querySelector( '${ selector }' ).value;` );
+		const checked = selector => driver.executeScript( `return document.querySelector( '${ selector }' ).checked;` );
+
+		test.beforeEach( () => {
+			return driver.executeScript( `
+				var form = document.createElement( 'form' );
+				form.id = 'fill-form';
+				form.innerHTML =
+					'<input type="text" name="name">' +
+					'<input type="password" name="password" maxlength="4">' +
+					'<textarea id="bio"></textarea>' +
+					'<input type="hidden" name="terms" value="0"><input type="checkbox" name="terms" value="1">' +
+					'<input type="checkbox" name="colors[]" value="red"><input type="checkbox" name="colors[]" value="blue">' +
+					'<input type="radio" name="plan" value="free"><input type="radio" name="plan" value="pro">' +
+					'<select name="size"><option value="s">Small</option><option value="l">Large</option></select>' +
+					'<select name="country" class="select2-hidden-accessible">' +
+					'<option value="">Select</option><option value="CA">Canada</option></select>' +
+					'<input type="file" name="avatar">';
+				document.body.appendChild( form );
+			` );
+		} );
+
+		test.afterEach( () => {
+			return driver.executeScript( 'document.getElementById( "fill-form" ).remove();' );
+		} );
+
+		test.it( 'has function "fillForm" to fill fields of any type', () => {
+			return helper.fillForm( driver, form, {
+				name: 'John',
+				password: 'abcd',
+				bio: 'Hello',
+				terms: true,
+				colors: [ 'blue' ],
+				plan: 'pro',
+				size: 'Large',
+				country: 'Canada',
+				avatar: 'package.json',
+			} ).then( () => {
+				return promise.all( [
+					valueOf( '[name="name"]' ),
+					valueOf( '[name="password"]' ),
+					valueOf( '#bio' ),
+					checked( '[name="terms"][value="1"]' ),
+					checked( '[value="red"]' ),
+					checked( '[value="blue"]' ),
+					checked( '[value="pro"]' ),
+					valueOf( '[name="size"]' ),
+					valueOf( '[name="country"]' ),
+					valueOf( '[name="avatar"]' ),
+				] );
+			} ).then( ( values ) => {
+				assert.deepEqual( values, [ 'John', 'abcd', 'Hello', true, false, true, true, 'l', 'CA', 'C:\\fakepath\\package.json' ] );
+			} );
+		} );
+
+		test.it( 'leaves a select untouched if one of its options is missing', () => {
+			return assert.isRejected(
+				helper.fillForm( driver, form, { size: [ 'Large', 'Medium' ] } ),
+				/size: no option 'Medium'/
+			).then( () => {
+				return assert.eventually.equal( valueOf( '[name="size"]' ), 's' );
+			} );
+		} );
+
+		test.it( 'reports all fields that failed, masking passwords', () => {
+			return helper.fillForm( driver, form, {
+				name: 'John',
+				password: 'too long',
+				plan: 'enterprise',
+				size: 'Medium',
+				missing: 'value',
+			} ).then( () => {
+				assert.fail( 'fillForm should have failed' );
+			}, ( err ) => {
+				assert.equal( err.message, 'Failed to fill 4 field(s) of form with css selector of \'#fill-form\': ' +
+					'password: value is not ********* after typing it; plan: no radio button with value \'enterprise\'; ' +
+					'size: no option \'Medium\'; missing: no field with this name or id' );
+				assert.notInclude( err.message, 'too long' );
+				return assert.eventually.equal( valueOf( '[name="name"]' ), 'John' );
+			} );
+		} );
+	} );
+
+	test.describe( 'select2', () => {
+		const country = By.css( '#s2-country' );
+		const colors = By.css( '#s2-colors' );
+		const product = By.css( '#s2-product' );
+
+		// Product search answers after a delay, like WooCommerce's AJAX search.
+		test.before( () => {
+			return driver.executeAsyncScript( `
+				var done = arguments[ arguments.length - 1 ];
+				var products = [ 'Beanie', 'Beanie with Logo', 'Hoodie' ].map( function( text, i ) {
+					return { id: i + 1, text: text };
+				} );
+				function load( src, next ) {
+					var script = document.createElement( 'script' );
+					script.src = src;
+					script.onload = next;
+					document.head.appendChild( script );
+				}
+
+				load( 'https://code.jquery.com/jquery-3.5.1.min.js', function() {
+					load( 'https://cdnjs.cloudflare.com/ajax/libs/select2/4.0.13/js/select2.min.js', function() {
+						var root = document.createElement( 'div' );
+						root.id = 's2-root';
+						root.innerHTML =
+							'<select id="s2-country"><option value="">Select</option>' +
+							'<option value="CA">Canada</option><option value="US">United States (US)</option></select>' +
+							'<select id="s2-colors" multiple><option>red</option><option>blue</option></select>' +
+							'<select id="s2-product"></select>';
+						document.body.appendChild( root );
+
+						jQuery( '#s2-country' ).select2();
+						jQuery( '#s2-colors' ).select2( { tags: true } );
+						jQuery( '#s2-product' ).select2( { minimumInputLength: 3, ajax: { transport: function( params, success ) {
+							var term = params.data.term.toLowerCase();
+							var timer = setTimeout( function() {
+								success( { results: products.filter( function( p ) {
+									return p.text.toLowerCase().indexOf( term ) > -1;
+								} ) } );
+							}, 500 );
+							return { abort: function() {
+								clearTimeout( timer );
+							} };
+						} } } );
+						done();
+					} );
+				} );
+			` );
+		} );
+
+		test.after( () => {
+			return driver.executeScript( 'jQuery( "#s2-root select" ).select2( "destroy" ); jQuery( "#s2-root" ).remove();' );
+		} );
+
+		test.it( 'has function "selectSelect2Option" to choose an option by its text', () => {
+			return helper.selectSelect2Option( driver, country, 'Canada' ).then( ( text ) => {
+				assert.equal( text, 'Canada' );
+				return assert.eventually.deepEqual( helper.getSelect2Selection( driver, country ), [ 'Canada' ] );
+			} );
+		} );
+
+		test.it( 'waits for AJAX results and chooses by partial text', () => {
+			return helper.selectSelect2Option( driver, product, 'with logo', { search: 'bean', exact: false } ).then( ( text ) => {
+				assert.equal( text, 'Beanie with Logo' );
+				return assert.eventually.deepEqual( helper.getSelect2Selection( driver, product ), [ 'Beanie with Logo' ] );
+			} );
+		} );
+
+		test.it( 'rejects if no option matches', () => {
+			return assert.isRejected(
+				helper.selectSelect2Option( driver, country, 'Atlantis', { waitMs: 1000 } ),
+				'Failed to choose \'Atlantis\' in select with css selector of \'#s2-country\': ' +
+				'Timed out waiting for select2 option \'Atlantis\', the dropdown shows \'No results found\''
+			);
+		} );
+
+		test.it( 'adds tags and removes them from multiple selects', () => {
+			return helper.selectSelect2Option( driver, colors, 'blue' ).then( () => {
+				return helper.selectSelect2Option( driver, colors, 'green' );
+			} ).then( () => {
+				assert.eventually.deepEqual( helper.getSelect2Selection( driver, colors ), [ 'blue', 'green' ] );
+				return helper.removeSelect2Option( driver, colors, 'blue' );
+			} ).then( () => {
+				return assert.eventually.deepEqual( helper.getSelect2Selection( driver, colors ), [ 'green' ] );
+			} );
+		} );
+	} );
+
 	test.describe( 'upload files', () => {
 		const waitLocated = 15000;
 		const uploadInput = By.css( 'input[type="file"]' );
@@ -204,3 +750,15 @@ test.describe( 'WebDriverHelper', function() {
 		} );
 	} );
 } );
+
+describe( 'WebDriverHelper without a browser', () => {
+	it( 'rejects capturing the full page of a window without a viewport', () => {
+		const fakeDriver = { executeScript: () => promise.fulfilled( { width: 0, height: 600, viewportHeight: 0 } ) };
+		const manager = { browserName: 'firefox', getDriver: () => fakeDriver };
+
+		return assert.isRejected(
+			helper.getFullPageScreenshot( manager ),
+			/Could not capture the full page with a viewport height of 0/
+		);
+	} );
+} );
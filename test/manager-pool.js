@@ -0,0 +1,86 @@
+/**
+ * External dependencies
+ */
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+/**
+ * Internal dependencies
+ */
+import { WebDriverManagerPool } from '../src/index';
+
+chai.use( chaiAsPromised );
+
+const assert = chai.assert;
+
+// Manager double recording whether its browser quitted.
+function createFakeManager( browser, config ) {
+	return {
+		browser,
+		config,
+		quitted: false,
+		quitBrowser() {
+			if ( config.failToQuit ) {
+				return Promise.reject( new Error( 'Browser is gone' ) );
+			}
+			this.quitted = true;
+			return Promise.resolve();
+		},
+	};
+}
+
+describe( 'WebDriverManagerPool', () => {
+	let pool;
+
+	beforeEach( () => {
+		pool = new WebDriverManagerPool( {
+			config: { baseUrl: 'http://shop.test' },
+			createManager: createFakeManager,
+		} );
+	} );
+
+	it( 'starts managers by role with the shared configuration', () => {
+		const shopManager = pool.start( 'shop-manager' );
+		const customer = pool.start( 'customer', 'firefox', { screenSize: 'mobile' } );
+
+		assert.strictEqual( pool.get( 'customer' ), customer );
+		assert.strictEqual( pool.get( 'shop-manager' ), shopManager );
+		assert.deepEqual( pool.roles(), [ 'shop-manager', 'customer' ] );
+		assert.equal( shopManager.browser, 'chrome' );
+		assert.deepEqual( customer.config, { baseUrl: 'http://shop.test', screenSize: 'mobile' } );
+		assert.deepEqual( shopManager.config, { baseUrl: 'http://shop.test' } );
+	} );
+
+	it( 'rejects starting a role twice', () => {
+		pool.start( 'customer' );
+
+		assert.throws( () => pool.start( 'customer' ), 'A manager is already started for role \'customer\'' );
+	} );
+
+	it( 'lists started roles when a role is not found', () => {
+		pool.start( 'customer' );
+
+		assert.throws( () => pool.get( 'admin' ), 'No manager is started for role \'admin\'. Started roles: customer' );
+	} );
+
+	it( 'quits all browsers and empties the pool', () => {
+		const shopManager = pool.start( 'shop-manager' );
+		const customer = pool.start( 'customer' );
+
+		return pool.quitAll().then( () => {
+			assert.isTrue( shopManager.quitted );
+			assert.isTrue( customer.quitted );
+			assert.deepEqual( pool.roles(), [] );
+		} );
+	} );
+
+	it( 'quits the other browsers when one fails to quit', () => {
+		const customer = pool.start( 'customer' );
+		pool.start( 'shop-manager', 'chrome', { failToQuit: true } );
+
+		return assert.isRejected( pool.quitAll(), 'Failed to quit 1 browser(s): shop-manager: Browser is gone' ).then( () => {
+			assert.isTrue( customer.quitted );
+			assert.isFalse( pool.has( 'shop-manager' ) );
+		} );
+	} );
+} );
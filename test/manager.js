@@ -3,13 +3,15 @@
  */
 import chai from 'chai';
 import chaiAsPromised from 'chai-as-promised';
+import http from 'http';
 import { By, WebDriver } from 'selenium-webdriver';
+import symbols from 'selenium-webdriver/lib/symbols';
 import test from 'selenium-webdriver/testing';
 
 /**
  * Internal dependencies
  */
-import { WebDriverHelper as helper } from '../src/index';
+import { WebDriverManager, WebDriverHelper as helper } from '../src/index';
 
 chai.use( chaiAsPromised );
 
@@ -20,6 +22,28 @@ const mochaTimeout = 30000;
 let manager;
 let driver;
 
+/**
+ * Start a WebDriver hub stub that accepts any session and records the commands
+ * it receives.
+ *
+ * @param {Array} commands - Array to push received commands into.
+ *
+ * @return {Promise} A promise that will be resolved with the listening server.
+ */
+function startHubStub( commands ) {
+	const server = http.createServer( ( req, res ) => {
+		let body = '';
+		req.on( 'data', chunk => body += chunk );
+		req.on( 'end', () => {
+			commands.push( { method: req.method, path: req.url, body: body ? JSON.parse( body ) : null } );
+			res.setHeader( 'Content-Type', 'application/json' );
+			res.end( JSON.stringify( { status: 0, sessionId: 'stub-session', value: null } ) );
+		} );
+	} );
+
+	return new Promise( resolve => server.listen( 0, '127.0.0.1', () => resolve( server ) ) );
+}
+
 test.describe( 'WebDriverManager', function() {
 	this.timeout( mochaTimeout );
 
@@ -82,6 +106,35 @@ test.describe( 'WebDriverManager', function() {
 			return expect( driver.manage().window().getSize() ).
 				to.eventually.deep.equal( manager.getScreenSizeAsObject( 'laptop' ) );
 		} );
+
+		test.it( 'can resize browser to a registered screen size', () => {
+			manager.registerScreenSize( 'WP-Admin-Breakpoint-782', { width: 782, height: 1000 } );
+			manager.resizeBrowser( 'wp-admin-breakpoint-782' );
+			return expect( driver.manage().window().getSize() ).
+				to.eventually.deep.equal( { width: 782, height: 1000 } );
+		} );
+
+		test.it( 'can resize browser to an explicit width and height', () => {
+			manager.resizeBrowser( { width: 1280, height: 800 } );
+			return expect( driver.manage().window().getSize() ).
+				to.eventually.deep.equal( manager.getScreenSizeAsObject( '1280x800' ) );
+		} );
+
+		test.it( 'rejects unknown screen sizes listing the supported ones', () => {
+			assert.throws(
+				() => manager.resizeBrowser( 'huge' ),
+				/Supported values are mobile, tablet, desktop, laptop, wp-admin-breakpoint-782/
+			);
+		} );
+
+		test.it( 'rejects invalid sizes when registering a screen size', () => {
+			assert.throws( () => manager.registerScreenSize( 'broken', { width: '100%' } ), /Invalid size/ );
+		} );
+
+		// Restore default size for the rest of the tests.
+		test.after( () => {
+			manager.resizeBrowser( 'desktop' );
+		} );
 	} );
 
 	test.it( 'just visited https://wp-e2e-test-form-page.herokuapp.com/page-path/', () => {
@@ -90,4 +143,350 @@ test.describe( 'WebDriverManager', function() {
 			'https://wp-e2e-test-form-page.herokuapp.com/page-path/'
 		);
 	} );
+
+	test.describe( 'Chrome mobile emulation', () => {
+		let originalConfig;
+
+		test.before( () => {
+			originalConfig = Object.assign( {}, manager.config );
+		} );
+
+		test.afterEach( () => {
+			manager.config.screenSize = originalConfig.screenSize;
+			manager.config.mobileEmulation = originalConfig.mobileEmulation;
+		} );
+
+		test.it( 'does not emulate a device by default', () => {
+			manager.config.screenSize = 'mobile';
+			assert.isNull( manager.getMobileEmulation() );
+		} );
+
+		test.it( 'emulates a touch device sized as the mobile screen size with mobileEmulation: true', () => {
+			manager.config.screenSize = 'mobile';
+			manager.config.mobileEmulation = true;
+
+			const emulation = manager.getMobileEmulation();
+			assert.deepEqual( emulation.deviceMetrics, { width: 500, height: 1000, pixelRatio: 2, touch: true } );
+			assert.include( emulation.userAgent, 'Mobile' );
+		} );
+
+		test.it( 'maps screen sizes to Chrome device names', () => {
+			manager.config.screenSize = 'tablet';
+			manager.config.mobileEmulation = { tablet: 'iPad' };
+			assert.deepEqual( manager.getMobileEmulation(), { deviceName: 'iPad' } );
+
+			manager.config.screenSize = 'desktop';
+			assert.isNull( manager.getMobileEmulation() );
+		} );
+
+		test.it( 'sets emulation in Chrome options instead of the custom UA', () => {
+			manager.config.screenSize = 'mobile';
+			manager.config.mobileEmulation = { mobile: 'Pixel 2' };
+
+			const chromeOptions = manager.createChromeOptions()[ symbols.serialize ]();
+			assert.deepEqual( chromeOptions.mobileEmulation, { deviceName: 'Pixel 2' } );
+			assert.notInclude( chromeOptions.args.join( ' ' ), 'user-agent=' );
+		} );
+	} );
+
+	test.describe( 'Proxies', () => {
+		let originalConfig;
+
+		test.before( () => {
+			originalConfig = manager.config;
+		} );
+
+		test.afterEach( () => {
+			manager.config = originalConfig;
+		} );
+
+		test.it( 'sets a manual proxy with a bypass list', () => {
+			manager.config = Object.assign( {}, originalConfig, {
+				proxy: { http: 'proxy.test:3128', https: 'proxy.test:3129', bypass: [ 'localhost', '*.local' ] },
+			} );
+
+			assert.include( manager.getProxyType(), {
+				proxyType: 'manual',
+				httpProxy: 'proxy.test:3128',
+				sslProxy: 'proxy.test:3129',
+				noProxy: 'localhost,*.local',
+			} );
+			assert.isNull( manager.getCaptureProxy() );
+		} );
+
+		test.it( 'sets a proxy auto-config URL', () => {
+			manager.config = Object.assign( {}, originalConfig, { proxy: { pac: 'http://proxy.test/proxy.pac' } } );
+
+			assert.deepEqual( manager.getProxyType(), {
+				proxyType: 'pac',
+				proxyAutoconfigUrl: 'http://proxy.test/proxy.pac',
+			} );
+		} );
+
+		test.it( 'rejects invalid proxies', () => {
+			manager.config = Object.assign( {}, originalConfig, { proxy: { http: 'http://proxy.test' } } );
+			assert.throws( () => manager.getProxyType(), /Invalid manual proxy: .*Expected 'host:port'/ );
+
+			manager.config = Object.assign( {}, originalConfig, { proxy: 'socks' } );
+			assert.throws( () => manager.getProxyType(), 'Unknown proxy type specified of: \'socks\'' );
+		} );
+
+		test.it( 'routes the browser through a recording proxy with proxy: \'capture\'', () => {
+			manager.config = Object.assign( {}, originalConfig, { proxy: 'capture' } );
+
+			const recorder = manager.getCaptureProxy();
+			const settings = manager.getProxyType();
+			const chromeOptions = manager.createChromeOptions()[ symbols.serialize ]();
+			const firefoxProxy = manager.createFirefoxOptions().toCapabilities().get( 'proxy' );
+
+			assert.strictEqual( manager.getCaptureProxy(), recorder );
+			assert.include( settings, { proxyType: 'manual' } );
+			assert.include( firefoxProxy, { httpProxy: '127.0.0.1', sslProxy: '127.0.0.1' } );
+			assert.include( chromeOptions.args, '--proxy-bypass-list=<-loopback>' );
+
+			return Promise.all( [ settings.httpProxy, settings.sslProxy, firefoxProxy.sslProxyPort ] ).then( ( values ) => {
+				assert.deepEqual( values, [ recorder.getAddress(), recorder.getAddress(), recorder.port ] );
+				return recorder.stop();
+			} ).then( () => {
+				delete manager.captureProxy;
+			} );
+		} );
+	} );
+
+	test.describe( 'Timeouts', () => {
+		const envVars = [ 'IMPLICIT_WAIT_MS', 'PAGE_LOAD_WAIT_MS', 'DEFAULT_WAIT_MS', 'SAUCE_MAX_DURATION' ];
+		let originalEnv;
+		let originalConfig;
+
+		test.before( () => {
+			originalEnv = Object.assign( {}, process.env );
+			originalConfig = manager.config;
+		} );
+
+		test.afterEach( () => {
+			envVars.forEach( name => {
+				if ( name in originalEnv ) {
+					process.env[ name ] = originalEnv[ name ];
+				} else {
+					delete process.env[ name ];
+				}
+			} );
+			manager.config = originalConfig;
+		} );
+
+		test.it( 'has default timeouts', () => {
+			envVars.forEach( name => delete process.env[ name ] );
+
+			assert.deepEqual( manager.getTimeouts(), {
+				implicitWaitMs: 2000,
+				pageLoadWaitMs: 60000,
+				defaultWaitMs: 10000,
+				sauceMaxDuration: 2700,
+			} );
+		} );
+
+		test.it( 'reads timeouts from env vars, with config taking precedence', () => {
+			process.env.PAGE_LOAD_WAIT_MS = '120000';
+			process.env.DEFAULT_WAIT_MS = '30000';
+			manager.config = Object.assign( {}, originalConfig, { defaultWaitMs: 5000 } );
+
+			const timeouts = manager.getTimeouts();
+
+			assert.equal( timeouts.pageLoadWaitMs, 120000 );
+			assert.equal( timeouts.defaultWaitMs, 5000 );
+		} );
+
+		test.it( 'rejects invalid timeouts', () => {
+			process.env.IMPLICIT_WAIT_MS = 'soon';
+
+			assert.throws( () => manager.getTimeouts(), /Invalid timeout implicitWaitMs .*: 'soon'. Expected a non-negative number/ );
+		} );
+
+		test.it( 'lets helpers wait as long as the manager\'s defaultWaitMs', () => {
+			assert.equal( driver.defaultWaitMs, manager.getTimeouts().defaultWaitMs );
+			assert.equal( helper.getDefaultWaitMs( driver ), driver.defaultWaitMs );
+			assert.equal( helper.getDefaultWaitMs( {} ), helper.defaultWaitMs );
+			assert.equal( helper.getDefaultWaitMs( { defaultWaitMs: 0 } ), 0 );
+		} );
+	} );
+
+	test.describe( 'Sauce Labs capabilities', () => {
+		const ciEnv = [ 'TRAVIS_BUILD_NUMBER', 'TRAVIS_BRANCH', 'GITHUB_RUN_ID', 'GITHUB_RUN_NUMBER', 'GITHUB_WORKFLOW',
+			'GITHUB_REF', 'CIRCLE_BUILD_NUM', 'CIRCLE_BRANCH', 'BUILD_ID' ];
+		let originalEnv;
+		let originalConfig;
+
+		test.before( () => {
+			originalEnv = Object.assign( {}, process.env );
+			originalConfig = manager.config;
+		} );
+
+		test.beforeEach( () => {
+			ciEnv.forEach( name => delete process.env[ name ] );
+			manager.config = Object.assign( {}, originalConfig, {
+				sauceConfig: { browserName: 'chrome', platform: 'Windows 10', tags: [ 'e2e' ] },
+				sauceCreds: { sauceUsername: 'sauce-user', sauceAccessKey: 'sauce-key' },
+			} );
+		} );
+
+		test.after( () => {
+			ciEnv.forEach( name => {
+				if ( name in originalEnv ) {
+					process.env[ name ] = originalEnv[ name ];
+				} else {
+					delete process.env[ name ];
+				}
+			} );
+			manager.config = originalConfig;
+		} );
+
+		test.it( 'names the build after the GitHub Actions run', () => {
+			Object.assign( process.env, {
+				GITHUB_RUN_ID: '123',
+				GITHUB_RUN_NUMBER: '7',
+				GITHUB_WORKFLOW: 'E2E',
+				GITHUB_REF: 'refs/heads/main',
+			} );
+
+			const caps = manager.createSauceCapabilities();
+
+			assert.equal( caps.build, 'GitHub Actions E2E #7' );
+			assert.equal( caps.name, 'chrome - [desktop] - GitHub Actions E2E #7' );
+			assert.deepEqual( caps.tags, [ 'e2e', 'github-actions', 'refs/heads/main' ] );
+			assert.include( caps.prerun.executable, '.bat' );
+		} );
+
+		test.it( 'names the build after the Travis CI build', () => {
+			Object.assign( process.env, { TRAVIS_BUILD_NUMBER: '42', TRAVIS_BRANCH: 'trunk' } );
+
+			const caps = manager.createSauceCapabilities();
+
+			assert.equal( caps.build, 'Travis CI Build #42' );
+			assert.deepEqual( caps.tags, [ 'e2e', 'travis', 'trunk' ] );
+		} );
+
+		test.it( 'names the build after a generic BUILD_ID', () => {
+			process.env.BUILD_ID = 'nightly-3';
+
+			assert.equal( manager.createSauceCapabilities().build, 'Build #nightly-3' );
+		} );
+
+		test.it( 'has no build outside of CI', () => {
+			const caps = manager.createSauceCapabilities();
+
+			assert.isUndefined( caps.build );
+			assert.equal( caps.name, 'chrome - [desktop]' );
+		} );
+	} );
+
+	test.describe( 'Remote WebDriver hub', () => {
+		const commands = [];
+		let hub;
+
+		test.before( () => {
+			return startHubStub( commands ).then( server => {
+				hub = server;
+			} );
+		} );
+
+		test.after( () => {
+			hub.close();
+		} );
+
+		test.it( 'starts a session on config.remoteUrl with config.capabilities', () => {
+			const remoteUrl = `http://127.0.0.1:${ hub.address().port }/wd/hub`;
+			const remote = new WebDriverManager( 'chrome', {
+				remoteUrl,
+				capabilities: { platform: 'LINUX' },
+			} );
+
+			return remote.getSession().then( () => {
+				return remote.quitBrowser();
+			} ).then( () => {
+				const newSession = commands[ 0 ];
+				const desired = newSession.body.desiredCapabilities;
+
+				assert.equal( newSession.path, '/wd/hub/session' );
+				assert.equal( desired.browserName, 'chrome' );
+				assert.equal( desired.platform, 'LINUX' );
+				assert.include( desired.chromeOptions.args.join( ' ' ), 'user-agent=Mozilla/5.0 (wp-e2e-tests)' );
+				assert.deepEqual(
+					commands.filter( cmd => /\/timeouts$/.test( cmd.path ) ).map( cmd => cmd.body ),
+					[ { implicit: 2000 }, { pageLoad: 60000 } ]
+				);
+			} );
+		} );
+
+		test.it( 'reports the Sauce Labs job status with the failed tests before quitting', () => {
+			const updates = [];
+			const remote = new WebDriverManager( 'chrome', {
+				remoteUrl: `http://127.0.0.1:${ hub.address().port }/wd/hub`,
+			} );
+
+			remote.config = Object.assign( {}, remote.config, {
+				useSauce: true,
+				sauceCreds: { sauceUsername: 'sauce-user', sauceAccessKey: 'sauce-key' },
+			} );
+			remote.sauceClient = {
+				updateJob: ( username, id, body ) => {
+					updates.push( { username, id, body } );
+					return Promise.resolve( body );
+				},
+			};
+
+			return remote.reportSauceJobStatus( [ 'Suite fails' ] ).then( () => {
+				return remote.quitBrowser();
+			} ).then( () => {
+				assert.deepEqual( updates, [ {
+					username: 'sauce-user',
+					id: 'stub-session',
+					body: { passed: false, 'custom-data': { failedTests: [ 'Suite fails' ] } },
+				} ] );
+			} );
+		} );
+
+		test.it( 'reports a passed Sauce Labs job when quitting', () => {
+			const updates = [];
+			const remote = new WebDriverManager( 'chrome', {
+				remoteUrl: `http://127.0.0.1:${ hub.address().port }/wd/hub`,
+			} );
+
+			remote.config = Object.assign( {}, remote.config, {
+				useSauce: true,
+				sauceCreds: { sauceUsername: 'sauce-user', sauceAccessKey: 'sauce-key' },
+			} );
+			remote.sauceClient = { updateJob: ( username, id, body ) => Promise.resolve( updates.push( body ) ) };
+
+			return remote.quitBrowser().then( () => {
+				assert.deepEqual( updates, [ { passed: true, 'custom-data': { failedTests: [] } } ] );
+			} );
+		} );
+
+		test.it( 'does not share configuration between managers', () => {
+			const remoteUrl = `http://127.0.0.1:${ hub.address().port }/wd/hub`;
+			const shopManager = new WebDriverManager( 'chrome', { remoteUrl, baseUrl: 'http://shop.test', headless: true } );
+			const customer = new WebDriverManager( 'chrome', { remoteUrl } );
+
+			assert.equal( shopManager.getBaseUrl(), 'http://shop.test' );
+			assert.equal( customer.getBaseUrl(), 'https://automattic.com' );
+			assert.isFalse( customer.config.headless );
+
+			return shopManager.quitBrowser().then( () => customer.quitBrowser() );
+		} );
+
+		test.it( 'names the hub and capabilities when a session can not be started', () => {
+			const refused = new WebDriverManager( 'chrome', {
+				remoteUrl: 'http://127.0.0.1:1/wd/hub',
+				capabilities: { accessKey: 'secret-key' },
+			} );
+
+			return refused.getSession().then( () => {
+				throw new Error( 'Expected the session to be refused' );
+			}, ( err ) => {
+				assert.include( err.message, 'Failed to start a session on WebDriver hub \'http://127.0.0.1:1/wd/hub\'' );
+				assert.include( err.message, '"accessKey":"*********"' );
+				assert.notInclude( err.message, 'secret-key' );
+			} );
+		} );
+	} );
 } );
@@ -0,0 +1,200 @@
+/**
+ * External dependencies
+ */
+import chai from 'chai';
+import { error, logging, promise } from 'selenium-webdriver';
+import temp from 'temp';
+
+/**
+ * Internal dependencies
+ */
+import { MochaHooks } from '../src/index';
+
+const assert = chai.assert;
+
+// Manager double recording calls, with a driver that fails every command.
+function createFakeManager( browser, config ) {
+	return {
+		browser,
+		config,
+		calls: [],
+		getSession() {
+			this.calls.push( 'getSession' );
+			return promise.fulfilled( { getId: () => 'session-id' } );
+		},
+		getDriver() {
+			return {};
+		},
+		getConfigScreenSize() {
+			return 'desktop';
+		},
+		// Like geckodriver, which can't read browser logs.
+		collectBrowserLogs() {
+			return promise.rejected( new error.UnsupportedOperationError( 'HTTP method not allowed' ) );
+		},
+		clearBrowserLogs() {
+			this.calls.push( 'clearBrowserLogs' );
+		},
+		getCaptureProxy() {
+			return null;
+		},
+		clearNetworkRequests() {
+			this.calls.push( 'clearNetworkRequests' );
+		},
+		reportSauceJobStatus( failedTests ) {
+			this.calls.push( 'reportSauceJobStatus' );
+			this.reportedFailedTests = failedTests;
+			return promise.fulfilled();
+		},
+		quitBrowser() {
+			this.calls.push( 'quitBrowser' );
+			return promise.fulfilled();
+		},
+	};
+}
+
+function createContext( currentTest ) {
+	return { currentTest, timeout() {} };
+}
+
+describe( 'MochaHooks', () => {
+	let hooks;
+	let originalBaseUrl;
+
+	beforeEach( () => {
+		originalBaseUrl = process.env.BASE_URL;
+		process.env.BASE_URL = 'http://localhost:8080';
+
+		hooks = MochaHooks.createHooks( {
+			browser: 'firefox',
+			config: { screenshotsDir: temp.mkdirSync( 'screenshots' ) },
+			createManager: createFakeManager,
+		} );
+	} );
+
+	afterEach( () => {
+		if ( originalBaseUrl === undefined ) {
+			delete process.env.BASE_URL;
+		} else {
+			process.env.BASE_URL = originalBaseUrl;
+		}
+	} );
+
+	it( 'starts the manager from env and options', () => {
+		return hooks.beforeAll.call( createContext() ).then( () => {
+			const manager = MochaHooks.getManager();
+
+			assert.equal( manager.browser, 'firefox' );
+			assert.equal( manager.config.baseUrl, 'http://localhost:8080' );
+			assert.deepEqual( manager.calls, [ 'getSession' ] );
+
+			return hooks.afterAll.call( createContext() );
+		} );
+	} );
+
+	it( 'records failed tests and captures their artifacts', () => {
+		const failedTest = {
+			title: 'fails',
+			fullTitle: () => 'Suite fails',
+			state: 'failed',
+			err: new Error( 'Expected failure' ),
+		};
+
+		let manager;
+
+		return hooks.beforeAll.call( createContext() ).then( () => {
+			manager = MochaHooks.getManager();
+			return hooks.afterEach.call( createContext( failedTest ) );
+		} ).then( () => {
+			assert.deepEqual( MochaHooks.getFailedTests(), [ 'Suite fails' ] );
+			assert.deepEqual( failedTest.consoleErrors, [] );
+			assert.includeMembers( manager.calls, [ 'clearNetworkRequests', 'clearBrowserLogs' ] );
+			return hooks.afterAll.call( createContext() );
+		} ).then( () => {
+			assert.deepEqual( manager.reportedFailedTests, [ 'Suite fails' ] );
+			assert.deepEqual( manager.calls.slice( -2 ), [ 'reportSauceJobStatus', 'quitBrowser' ] );
+		} );
+	} );
+
+	it( 'skips the console error check when the browser logs can not be read', () => {
+		const passedTest = { title: 'passes', fullTitle: () => 'Suite passes', state: 'passed' };
+
+		return hooks.beforeAll.call( createContext() ).then( () => {
+			return hooks.afterEach.call( createContext( passedTest ) );
+		} ).then( () => {
+			assert.deepEqual( passedTest.consoleErrors, [] );
+			return hooks.afterAll.call( createContext() );
+		} );
+	} );
+
+	it( 'checks performance budgets even if the console error check fails', () => {
+		const passedTest = { title: 'passes', fullTitle: () => 'Suite passes', state: 'passed' };
+		const metrics = { label: '/cart/', url: 'http://localhost:8080/cart/', type: 'navigation', ttfb: 120 };
+
+		let manager;
+
+		return hooks.beforeAll.call( createContext() ).then( () => {
+			manager = MochaHooks.getManager();
+			manager.config.consoleErrors = { failTest: true };
+			manager.collectBrowserLogs = () => promise.fulfilled( [
+				{ level: logging.Level.SEVERE, message: 'Uncaught TypeError: boom', timestamp: 0 },
+			] );
+			manager.performanceMetrics = [ metrics ];
+
+			return hooks.afterEach.call( createContext( passedTest ) ).then( () => {
+				throw new Error( 'Expected the hook to fail' );
+			}, ( err ) => {
+				assert.match( err.message, /^Failed 1 check\(s\) after test 'passes': Test 'passes' logged 1 console error\(s\)/ );
+			} );
+		} ).then( () => {
+			assert.deepEqual( passedTest.performance.metrics, [ metrics ] );
+			assert.deepEqual( manager.performanceMetrics, [] );
+			return hooks.afterAll.call( createContext() );
+		} );
+	} );
+
+	it( 'passes tests logging console errors unless FAIL_ON_CONSOLE_ERRORS is 1 or true', () => {
+		const passedTest = { title: 'passes', fullTitle: () => 'Suite passes', state: 'passed' };
+
+		process.env.FAIL_ON_CONSOLE_ERRORS = '0';
+		return hooks.beforeAll.call( createContext() ).then( () => {
+			MochaHooks.getManager().collectBrowserLogs = () => promise.fulfilled( [
+				{ level: logging.Level.SEVERE, message: 'Uncaught TypeError: boom', timestamp: 0 },
+			] );
+			return hooks.afterEach.call( createContext( passedTest ) );
+		} ).then( () => {
+			assert.lengthOf( passedTest.consoleErrors, 1 );
+			return hooks.afterAll.call( createContext() );
+		} ).then( () => {
+			delete process.env.FAIL_ON_CONSOLE_ERRORS;
+		}, ( err ) => {
+			delete process.env.FAIL_ON_CONSOLE_ERRORS;
+			throw err;
+		} );
+	} );
+
+	it( 'quits the browser once and forgets the manager', () => {
+		let manager;
+
+		return hooks.beforeAll.call( createContext() ).then( () => {
+			manager = MochaHooks.getManager();
+			return hooks.afterAll.call( createContext() );
+		} ).then( () => {
+			return hooks.afterAll.call( createContext() );
+		} ).then( () => {
+			assert.deepEqual( manager.calls.filter( call => call === 'quitBrowser' ), [ 'quitBrowser' ] );
+			assert.throws( () => MochaHooks.getManager(), /No WebDriverManager is running/ );
+		} );
+	} );
+
+	it( 'removes its signal handlers after quitting', () => {
+		const listeners = process.listenerCount( 'SIGINT' );
+
+		return hooks.beforeAll.call( createContext() ).then( () => {
+			assert.equal( process.listenerCount( 'SIGINT' ), listeners + 1 );
+			return hooks.afterAll.call( createContext() );
+		} ).then( () => {
+			assert.equal( process.listenerCount( 'SIGINT' ), listeners );
+		} );
+	} );
+} );
@@ -0,0 +1,236 @@
+/**
+ * External dependencies
+ */
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import http from 'http';
+import test from 'selenium-webdriver/testing';
+
+/**
+ * Internal dependencies
+ */
+import { WebDriverManager, WebDriverHelper as helper } from '../src/index';
+import * as Network from '../src/network';
+
+chai.use( chaiAsPromised );
+
+const assert = chai.assert;
+const mochaTimeout = 30000;
+
+function devToolsEntry( method, params ) {
+	return { timestamp: 1000, message: JSON.stringify( { message: { method, params } } ) };
+}
+
+const checkoutPage = `<!DOCTYPE html>
+<html><body>
+	<button id="checkout" onclick="checkout()">Place order</button>
+	<button id="broken" onclick="fetch( '/broken' )">Break</button>
+	<p id="result"></p>
+	<script>
+		function checkout() {
+			fetch( '/?wc-ajax=checkout', { method: 'POST', body: 'payment_method=cod' } ).then( function( res ) {
+				return res.text();
+			} ).then( function( text ) {
+				document.getElementById( 'result' ).textContent = text;
+			} );
+		}
+	</script>
+</body></html>`;
+
+describe( 'Network', function() {
+	it( 'matches requests by url substring or regex, method and status', () => {
+		const request = { method: 'POST', url: 'http://shop.test/?wc-ajax=checkout', status: 200 };
+
+		assert.isTrue( Network.matchesRequest( '?wc-ajax=checkout', request ) );
+		assert.isTrue( Network.matchesRequest( /wc-ajax=\w+/, request ) );
+		assert.isTrue( Network.matchesRequest( { method: 'post', url: 'wc-ajax', status: 200 }, request ) );
+		assert.isFalse( Network.matchesRequest( { method: 'GET', url: 'wc-ajax' }, request ) );
+		assert.isFalse( Network.matchesRequest( { status: 500 }, request ) );
+		assert.throws( () => Network.matchesRequest( 42, request ), /Invalid request matcher: 42/ );
+	} );
+
+	it( 'describes matchers in error messages', () => {
+		assert.equal( Network.describeMatcher( { method: 'post', url: '?wc-ajax=checkout' } ), 'POST request to \'?wc-ajax=checkout\'' );
+		assert.equal( Network.describeMatcher( /gravatar/ ), 'request matching /gravatar/' );
+		assert.equal( Network.describeMatcher( { status: 500 } ), 'request with status 500' );
+	} );
+
+	it( 'reads requests, redirects and failures from DevTools events', () => {
+		const requests = Network.requestsFromDevToolsEvents( [
+			devToolsEntry( 'Network.requestWillBeSent', {
+				requestId: '1', wallTime: 1500000000, type: 'Document', request: { method: 'GET', url: 'http://shop.test/cart' },
+			} ),
+			devToolsEntry( 'Network.requestWillBeSent', {
+				requestId: '1', wallTime: 1500000000.5, type: 'Document', request: { method: 'GET', url: 'http://shop.test/cart/' },
+				redirectResponse: { status: 301 },
+			} ),
+			devToolsEntry( 'Network.responseReceived', { requestId: '1', response: { status: 200 } } ),
+			devToolsEntry( 'Network.requestWillBeSent', {
+				requestId: '2', type: 'Image', request: { method: 'GET', url: 'https://secure.gravatar.com/avatar/1' },
+			} ),
+			devToolsEntry( 'Network.loadingFailed', {
+				requestId: '2', errorText: 'net::ERR_BLOCKED_BY_CLIENT', blockedReason: 'inspector',
+			} ),
+			devToolsEntry( 'Page.frameNavigated', {} ),
+			{ timestamp: 1000, message: 'not json' },
+		] );
+
+		assert.deepEqual( requests.map( request => [ request.url, request.status, request.failure, request.startedAt ] ), [
+			[ 'http://shop.test/cart', 301, null, 1500000000000 ],
+			[ 'http://shop.test/cart/', 200, null, 1500000000500 ],
+			[ 'https://secure.gravatar.com/avatar/1', null, 'blocked (inspector)', 1000 ],
+		] );
+		assert.equal( requests[ 0 ].resourceType, 'Document' );
+	} );
+
+	it( 'reads requests from HAR entries of the recording proxy', () => {
+		assert.deepEqual( Network.requestFromHarEntry( {
+			_stubbed: true,
+			startedDateTime: '2020-01-01T00:00:00.000Z',
+			request: { method: 'POST', url: 'http://shop.test/', postData: { mimeType: 'text/plain', text: 'a=1' } },
+			response: { status: 201 },
+		} ), {
+			method: 'POST',
+			url: 'http://shop.test/',
+			postData: 'a=1',
+			resourceType: null,
+			status: 201,
+			failure: null,
+			startedAt: Date.parse( '2020-01-01T00:00:00.000Z' ),
+			stubbed: true,
+		} );
+	} );
+
+	it( 'creates stubs sending object bodies as JSON', () => {
+		const stub = Network.createStub( { method: 'POST', url: 'api.stripe.test' }, { status: 402, body: { error: 'card_declined' } } );
+
+		assert.deepEqual( stub, {
+			method: 'POST',
+			url: 'api.stripe.test',
+			response: { status: 402, headers: { 'Content-Type': 'application/json' }, body: '{"error":"card_declined"}' },
+		} );
+		assert.deepEqual( Network.createStub( /gravatar/, { block: true } ).response, { block: true } );
+		assert.deepEqual( Network.createStub( 'pixel.test' ).response, { status: 200, headers: {}, body: '' } );
+	} );
+
+	it( 'serializes regex stubs in the page script', () => {
+		const script = Network.getStubScript( [ Network.createStub( /analytics\.test\/collect/i, { status: 204 } ) ] );
+
+		assert.doesNotThrow( () => new Function( script ) ); // eslint-disable-line no-new-func
+		assert.include( script, '"source":"analytics\\\\.test\\\\/collect","flags":"i"' );
+	} );
+} );
+
+test.describe( 'Network capture through DevTools', function() {
+	let manager;
+	let server;
+	let baseUrl;
+
+	this.timeout( mochaTimeout );
+
+	test.before( function() {
+		server = http.createServer( ( req, res ) => {
+			if ( req.url === '/broken' ) {
+				res.writeHead( 500 );
+				return res.end( 'Internal Server Error' );
+			}
+			if ( req.method === 'POST' ) {
+				return res.end( 'Order received' );
+			}
+			res.setHeader( 'Content-Type', 'text/html' );
+			res.end( checkoutPage );
+		} );
+
+		return new Promise( resolve => server.listen( 0, '127.0.0.1', resolve ) ).then( () => {
+			baseUrl = `http://127.0.0.1:${ server.address().port }`;
+			manager = new WebDriverManager( 'chrome', { baseUrl, captureNetwork: true, headless: true } );
+			return manager.getDriver().get( manager.getPageUrl( '/' ) );
+		} );
+	} );
+
+	test.afterEach( function() {
+		manager.clearNetworkRequests();
+		return manager.clearRequestStubs();
+	} );
+
+	test.after( function() {
+		return manager.quitBrowser().then( () => new Promise( resolve => server.close( resolve ) ) );
+	} );
+
+	test.it( 'captures requests through DevTools with captureNetwork', () => {
+		assert.equal( manager.getNetworkBackend(), 'devtools' );
+	} );
+
+	test.it( 'has functions "waitTillRequest" and "assertRequestCount"', () => {
+		const checkout = { method: 'POST', url: '?wc-ajax=checkout' };
+
+		return manager.getDriver().executeScript( 'checkout();' ).then( () => {
+			return helper.waitTillRequest( manager, Object.assign( { status: 200 }, checkout ) );
+		} ).then( ( requests ) => {
+			assert.equal( requests[ 0 ].postData, 'payment_method=cod' );
+			return helper.assertRequestCount( manager, checkout, 1 );
+		} ).then( () => {
+			return assert.isRejected(
+				helper.assertRequestCount( manager, checkout, 2 ),
+				/Expected 2 POST request to '\?wc-ajax=checkout', got 1:\n {2}POST http:\/\/127\.0\.0\.1:\d+\/\?wc-ajax=checkout \(200\)/
+			);
+		} );
+	} );
+
+	test.it( 'rejects when times out waiting for a request', () => {
+		return assert.isRejected(
+			helper.waitTillRequest( manager, 'never-requested', { waitMs: 500 } ),
+			/Timed out waiting for 1 request to 'never-requested', got 0/
+		);
+	} );
+
+	test.it( 'has function "assertNoServerErrors"', () => {
+		return manager.getDriver().executeScript( 'fetch( "/broken" );' ).then( () => {
+			return helper.waitTillRequest( manager, { url: '/broken', status: 500 } );
+		} ).then( () => {
+			return assert.isRejected(
+				helper.assertNoServerErrors( manager ),
+				/1 request\(s\) answered with a server error:\n {2}GET http:\/\/127\.0\.0\.1:\d+\/broken \(500\)/
+			);
+		} );
+	} );
+
+	test.it( 'answers fetch calls of the page with stubs', () => {
+		const driver = manager.getDriver();
+
+		return manager.stubRequests( { method: 'POST', url: 'wc-ajax=checkout' }, { body: 'Stubbed order' } ).then( () => {
+			return driver.executeScript( 'checkout();' );
+		} ).then( () => {
+			return driver.wait( () => {
+				return driver.executeScript( 'return document.getElementById( "result" ).textContent;' ).then( ( text ) => {
+					return text === 'Stubbed order';
+				} );
+			}, 5000, 'Timed out waiting for the stubbed response' );
+		} ).then( () => {
+			return helper.assertRequestCount( manager, 'wc-ajax=checkout', 0 );
+		} );
+	} );
+
+	test.it( 'rejects blocking requests by regex', () => {
+		return assert.isRejected(
+			manager.stubRequests( /gravatar\.com/, { block: true } ),
+			/Can not block request matching \/gravatar\\.com\/ through DevTools/
+		).then( () => {
+			assert.deepEqual( manager.requestStubs, [] );
+		} );
+	} );
+
+	test.it( 'blocks requests to url strings', () => {
+		const driver = manager.getDriver();
+
+		return manager.stubRequests( '/broken', { block: true } ).then( () => {
+			return driver.get( manager.getPageUrl( '/' ) );
+		} ).then( () => {
+			return driver.executeScript( 'fetch( "/broken" ).catch( function() {} );' );
+		} ).then( () => {
+			return helper.waitTillRequest( manager, '/broken' );
+		} ).then( ( requests ) => {
+			assert.match( requests[ 0 ].failure, /^blocked/ );
+		} );
+	} );
+} );
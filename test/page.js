@@ -0,0 +1,168 @@
+/**
+ * External dependencies
+ */
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import { By, promise } from 'selenium-webdriver';
+import test from 'selenium-webdriver/testing';
+
+/**
+ * Internal dependencies
+ */
+import { Component, Page, WCStorefront } from '../src/index';
+import { scopedLocator } from '../src/component';
+import WooCommerceStub from './support/woocommerce-stub';
+
+chai.use( chaiAsPromised );
+
+const assert = chai.assert;
+const mochaTimeout = 30000;
+
+class CartItem extends Component {
+	static get locators() {
+		return {
+			name: '.product-name',
+			quantity: 'input.qty',
+		};
+	}
+}
+
+class CartPage extends Page {
+	static get path() {
+		return '/cart/';
+	}
+
+	static get expectedElement() {
+		return 'form';
+	}
+
+	static get locators() {
+		return {
+			form: 'form.woocommerce-cart-form',
+			items: 'tr.cart_item',
+			coupon: '#coupon_code',
+			applyCoupon: 'button[name="apply_coupon"]',
+			notice: '.woocommerce-notices-wrapper',
+			total: '.order-total strong',
+		};
+	}
+
+	item() {
+		return this.component( CartItem, 'items' );
+	}
+
+	applyCoupon( code ) {
+		return this.setValue( 'coupon', code ).then( () => this.click( 'applyCoupon' ) ).then( () => this.getText( 'notice' ) );
+	}
+}
+
+class MissingPage extends Page {
+	static get expectedElement() {
+		return By.css( '#missing' );
+	}
+}
+
+let manager;
+let stub;
+let originalBaseUrl;
+
+describe( 'Component', function() {
+	const driver = { defaultWaitMs: 1000 };
+
+	it( 'gets locators by name, scoped to the root element', () => {
+		const item = new CartItem( driver, 'tr.cart_item', { wait: false } );
+
+		assert.equal( item.waitMs, 1000 );
+		assert.equal( `${ item.locator( 'name' ) }`, 'css selector of \'tr.cart_item\', then css selector of \'.product-name\'' );
+		assert.deepEqual( new CartItem( driver, null, { wait: false } ).locator( 'quantity' ), By.css( 'input.qty' ) );
+		assert.throws( () => item.locator( 'price' ), /Unknown element 'price' of CartItem. Expected one of: name, quantity/ );
+	} );
+
+	it( 'scopes nested components to the root of their parent', () => {
+		const locator = scopedLocator( scopedLocator( 'form', 'tr.cart_item' ), By.xpath( './/input' ) );
+
+		assert.equal( locator.using, 'css selector of \'form\', then css selector of \'tr.cart_item\', then xpath' );
+		assert.equal( locator.value, './/input' );
+	} );
+
+	it( 'fails the calls using a component that is not ready', () => {
+		const missing = { defaultWaitMs: 100, wait: ( condition, waitMs, message ) => promise.rejected( new Error( message ) ) };
+		const item = new CartItem( missing, 'tr.cart_item' );
+
+		return assert.isRejected(
+			item.click( 'name' ),
+			/Timed out waiting for element with css selector of 'tr.cart_item' to be present and displayed/
+		);
+	} );
+
+	it( 'builds page URLs from the base URL of the manager', () => {
+		const fakeManager = { getDriver: () => driver, getPageUrl: pagePath => `http://shop.test${ pagePath }` };
+
+		assert.equal( new CartPage( fakeManager, { wait: false } ).url(), 'http://shop.test/cart/' );
+		assert.equal( new Page( fakeManager, { path: '/product/beanie/', wait: false } ).url(), 'http://shop.test/product/beanie/' );
+	} );
+} );
+
+test.describe( 'Page', function() {
+	this.timeout( mochaTimeout );
+
+	test.before( function() {
+		manager = global.__MANAGER__;
+		originalBaseUrl = manager.config.baseUrl;
+
+		stub = new WooCommerceStub();
+		return stub.start().then( ( baseUrl ) => {
+			manager.config.baseUrl = baseUrl;
+		} );
+	} );
+
+	test.afterEach( function() {
+		stub.cart = [];
+		stub.coupons = [];
+	} );
+
+	test.after( function() {
+		manager.config.baseUrl = originalBaseUrl;
+		return stub.stop();
+	} );
+
+	test.it( 'visits the page and waits for its expected element', () => {
+		return WCStorefront.addToCart( manager, '/product/beanie/', { quantity: 2 } ).then( () => {
+			return new CartPage( manager, { visit: true } ).ready;
+		} ).then( ( cart ) => {
+			return cart.applyCoupon( 'save5' ).then( ( notice ) => {
+				assert.equal( notice, 'Coupon code applied successfully.' );
+				return cart.getText( 'total' );
+			} );
+		} ).then( ( total ) => {
+			assert.equal( total, '$31.00' );
+		} );
+	} );
+
+	test.it( 'locates elements of components inside their root', () => {
+		return WCStorefront.addToCart( manager, '/product/beanie/', { quantity: 3 } ).then( () => {
+			return new CartPage( manager, { visit: true } ).ready;
+		} ).then( ( cart ) => {
+			const item = cart.item();
+
+			return item.ready.then( () => {
+				return item.getText( 'name' );
+			} ).then( ( name ) => {
+				assert.equal( name, 'Beanie' );
+				return item.element( 'quantity' ).getAttribute( 'value' );
+			} ).then( ( quantity ) => {
+				assert.equal( quantity, '3' );
+				return item.elements( By.css( '.missing' ) );
+			} ).then( ( elements ) => {
+				assert.lengthOf( elements, 0 );
+			} );
+		} );
+	} );
+
+	test.it( 'rejects when times out waiting for the page', () => {
+		return assert.isRejected(
+			new MissingPage( manager, { waitMs: 500 } ).ready,
+			/Timed out waiting for element with css selector of '#missing' to be present and displayed/
+		);
+	} );
+} );
@@ -0,0 +1,165 @@
+/**
+ * External dependencies
+ */
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import fs from 'fs-extra';
+import http from 'http';
+import path from 'path';
+import test from 'selenium-webdriver/testing';
+import temp from 'temp';
+
+/**
+ * Internal dependencies
+ */
+import { Performance } from '../src/index';
+
+chai.use( chaiAsPromised );
+
+const assert = chai.assert;
+const mochaTimeout = 30000;
+
+const cartMetrics = {
+	label: '/cart/', type: 'navigation', url: 'http://shop.test/cart/', ttfb: 800, load: 1200, requests: 40, transferSize: 900000,
+};
+const shopMetrics = {
+	label: '/shop/', type: 'navigation', url: 'http://shop.test/shop/', ttfb: 300, load: 900, requests: 80, transferSize: 500000,
+};
+
+// Manager double with the metrics of a test.
+function createFakeManager( config = {} ) {
+	return {
+		browser: 'chrome',
+		config: Object.assign( { screenshotsDir: temp.mkdirSync( 'screenshots' ) }, config ),
+		performanceMetrics: [ cartMetrics, shopMetrics ],
+		performanceResults: [],
+		getBaseUrl: () => 'http://shop.test',
+		getConfigScreenSize: () => 'desktop',
+	};
+}
+
+describe( 'Performance', function() {
+	const budgets = [ { url: '/cart/', ttfb: 500, requests: 60 }, { requests: 70 }, { label: '/shop/', transferSize: 400000 } ];
+
+	it( 'has function "getBudgetViolations" to compare metrics with budgets by url or label', () => {
+		assert.deepEqual( Performance.getBudgetViolations( [ cartMetrics, shopMetrics ], budgets ), [
+			{ label: '/cart/', url: 'http://shop.test/cart/', metric: 'ttfb', value: 800, budget: 500 },
+			{ label: '/shop/', url: 'http://shop.test/shop/', metric: 'requests', value: 80, budget: 70 },
+			{ label: '/shop/', url: 'http://shop.test/shop/', metric: 'transferSize', value: 500000, budget: 400000 },
+		] );
+		assert.deepEqual( Performance.getBudgetViolations( [ cartMetrics ], [ { url: /\/shop\//, ttfb: 1 } ] ), [] );
+	} );
+
+	it( 'has function "checkPerformance" to move metrics of a test into the run results', () => {
+		const manager = createFakeManager( { performance: { budgets } } );
+		const passedTest = { title: 'opens the cart', fullTitle: () => 'Cart opens the cart', state: 'passed' };
+
+		return Performance.checkPerformance( manager, passedTest ).then( ( results ) => {
+			assert.lengthOf( results.violations, 3 );
+			assert.strictEqual( passedTest.performance, results );
+			assert.deepEqual( manager.performanceMetrics, [] );
+			assert.deepEqual( manager.performanceResults.map( result => [ result.title, result.metrics.length ] ), [
+				[ 'Cart opens the cart', 2 ],
+			] );
+		} );
+	} );
+
+	it( 'fails a passed test exceeding budgets with "failTest"', () => {
+		const manager = createFakeManager( { performance: { budgets, failTest: true } } );
+
+		return assert.isRejected(
+			Performance.checkPerformance( manager, { title: 'opens the cart', state: 'passed' } ),
+			/Test 'opens the cart' exceeded 3 performance budget\(s\):\n {2}\/cart\/: ttfb 800 > 500\n/
+		).then( () => {
+			assert.lengthOf( manager.performanceResults, 1 );
+		} );
+	} );
+
+	it( 'has function "writeReport" to write results of the run as JSON', () => {
+		const manager = createFakeManager( { performance: { budgets } } );
+
+		assert.isUndefined( Performance.writeReport( manager ) );
+
+		return Performance.checkPerformance( manager, { title: 'opens the cart', state: 'failed' } ).then( () => {
+			const file = Performance.writeReport( manager );
+			const report = fs.readJsonSync( file );
+
+			assert.equal( file, path.resolve( manager.config.screenshotsDir, 'performance-desktop.json' ) );
+			assert.equal( report.baseUrl, 'http://shop.test' );
+			assert.equal( report.screenSize, 'desktop' );
+			assert.deepEqual( report.tests.map( result => [ result.title, result.state, result.violations.length ] ), [
+				[ 'opens the cart', 'failed', 3 ],
+			] );
+		} );
+	} );
+} );
+
+test.describe( 'Performance metrics', function() {
+	let manager;
+	let server;
+	let originalConfig;
+
+	this.timeout( mochaTimeout );
+
+	test.before( function() {
+		manager = global.__MANAGER__;
+		originalConfig = manager.config;
+
+		server = http.createServer( ( req, res ) => {
+			res.setHeader( 'Content-Type', req.url === '/app.js' ? 'application/javascript' : 'text/html' );
+			if ( req.url === '/app.js' ) {
+				return res.end( 'window.loaded = true;' );
+			}
+			if ( req.url === '/fragment' ) {
+				return res.end( '<p>Fragment</p>' );
+			}
+			res.end( '<!DOCTYPE html><html><body><h1>Cart</h1><script src="/app.js"></script></body></html>' );
+		} );
+
+		return new Promise( resolve => server.listen( 0, '127.0.0.1', resolve ) ).then( () => {
+			manager.config = Object.assign( {}, originalConfig, {
+				baseUrl: `http://127.0.0.1:${ server.address().port }`,
+				performance: { budgets: [ { url: '/cart/', requests: 1 } ] },
+			} );
+		} );
+	} );
+
+	test.beforeEach( function() {
+		manager.performanceMetrics = [];
+	} );
+
+	test.after( function() {
+		manager.config = originalConfig;
+		manager.performanceMetrics = [];
+		manager.performanceResults = [];
+		return new Promise( resolve => server.close( resolve ) );
+	} );
+
+	test.it( 'collects metrics of pages opened with "goTo"', () => {
+		return manager.goTo( '/cart/' ).then( () => {
+			const [ metrics ] = manager.performanceMetrics;
+
+			assert.lengthOf( manager.performanceMetrics, 1 );
+			assert.include( metrics, { label: '/cart/', type: 'navigation', requests: 2 } );
+			assert.deepEqual( metrics.resources, { script: 1 } );
+			assert.isAbove( metrics.load, 0 );
+			assert.isAtLeast( metrics.load, metrics.ttfb );
+			const violations = Performance.getBudgetViolations( manager.performanceMetrics, manager.config.performance.budgets );
+			assert.deepEqual( violations.map( violation => violation.metric ), [ 'requests' ] );
+		} );
+	} );
+
+	test.it( 'has function "measureAction" to collect requests of an action', () => {
+		const driver = manager.getDriver();
+
+		return manager.goTo( '/cart/' ).then( () => {
+			return Performance.measureAction( manager, 'load fragment', () => {
+				return driver.executeScript( 'fetch( "/fragment" );' );
+			} );
+		} ).then( ( metrics ) => {
+			assert.include( metrics, { label: 'load fragment', type: 'action', requests: 1 } );
+			assert.deepEqual( metrics.resources, { fetch: 1 } );
+			assert.lengthOf( manager.performanceMetrics, 2 );
+		} );
+	} );
+} );
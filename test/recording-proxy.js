@@ -0,0 +1,171 @@
+/**
+ * External dependencies
+ */
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import http from 'http';
+
+/**
+ * Internal dependencies
+ */
+import { createStub } from '../src/network';
+import RecordingProxy from '../src/recording-proxy';
+
+chai.use( chaiAsPromised );
+
+const assert = chai.assert;
+
+/**
+ * Send a request through `proxyAddress`.
+ *
+ * @param {string} proxyAddress - Proxy address as 'host:port'.
+ * @param {string} method       - HTTP method.
+ * @param {string} target       - Absolute URL to request.
+ * @param {string} body         - Optional request body.
+ *
+ * @return {Promise} A promise that will be resolved with `{ status, body }`.
+ */
+function requestThrough( proxyAddress, method, target, body ) {
+	const [ host, port ] = proxyAddress.split( ':' );
+
+	return new Promise( ( resolve, reject ) => {
+		const req = http.request( { host, port, method, path: target, headers: { 'Content-Type': 'text/plain' } }, ( res ) => {
+			let text = '';
+			res.on( 'data', chunk => text += chunk );
+			res.on( 'end', () => resolve( { status: res.statusCode, body: text } ) );
+		} );
+		req.on( 'error', reject );
+		req.end( body );
+	} );
+}
+
+describe( 'RecordingProxy', function() {
+	let recorder;
+	let server;
+	let origin;
+
+	before( function() {
+		server = http.createServer( ( req, res ) => {
+			res.setHeader( 'Content-Type', 'text/plain' );
+			res.end( `${ req.method } ${ req.url }` );
+		} );
+
+		recorder = new RecordingProxy();
+
+		return recorder.start().then( () => {
+			return new Promise( resolve => server.listen( 0, '127.0.0.1', resolve ) );
+		} ).then( () => {
+			origin = `http://127.0.0.1:${ server.address().port }`;
+		} );
+	} );
+
+	afterEach( function() {
+		recorder.clear();
+		recorder.setStubs( [] );
+	} );
+
+	after( function() {
+		return recorder.stop().then( () => new Promise( resolve => server.close( resolve ) ) );
+	} );
+
+	it( 'listens on a free local port', () => {
+		assert.match( recorder.getAddress(), /^127\.0\.0\.1:\d+$/ );
+		assert.notEqual( recorder.port, 0 );
+		return recorder.start().then( ( address ) => {
+			assert.equal( address, recorder.getAddress() );
+		} );
+	} );
+
+	it( 'reports a port it can not listen on', () => {
+		const taken = new RecordingProxy( { port: recorder.port } );
+		const error = /Recording proxy failed to listen on 127\.0\.0\.1:\d+: listen EADDRINUSE/;
+
+		return assert.isRejected( taken.start(), error ).then( () => {
+			assert.throws( () => taken.getEntries(), error );
+			return taken.stop();
+		} );
+	} );
+
+	it( 'forwards requests and records them as HAR entries', () => {
+		return requestThrough( recorder.getAddress(), 'POST', `${ origin }/form?a=1&a=2`, 'name=value' ).then( ( res ) => {
+			assert.deepEqual( res, { status: 200, body: 'POST /form?a=1&a=2' } );
+
+			const [ entry ] = recorder.getEntries();
+			assert.equal( entry.request.method, 'POST' );
+			assert.equal( entry.request.url, `${ origin }/form?a=1&a=2` );
+			assert.deepEqual( entry.request.queryString, [ { name: 'a', value: '1' }, { name: 'a', value: '2' } ] );
+			assert.deepEqual( entry.request.postData, { mimeType: 'text/plain', text: 'name=value' } );
+			assert.equal( entry.response.status, 200 );
+			assert.deepEqual( entry.response.content, { size: 18, mimeType: 'text/plain' } );
+			assert.notProperty( entry, '_startedAt' );
+		} );
+	} );
+
+	it( 'records unreachable hosts as failed entries', () => {
+		return requestThrough( recorder.getAddress(), 'GET', 'http://127.0.0.1:1/' ).then( ( res ) => {
+			assert.equal( res.status, 502 );
+
+			const [ entry ] = recorder.getEntries();
+			assert.equal( entry.response.status, 0 );
+			assert.isString( entry.response._error );
+		} );
+	} );
+
+	it( 'answers stubbed requests without reaching the server', () => {
+		recorder.setStubs( [
+			createStub( { method: 'POST', url: '/pay' }, { status: 402, body: { error: 'card_declined' } } ),
+			createStub( '/pixel', { block: true } ),
+		] );
+
+		return requestThrough( recorder.getAddress(), 'POST', `${ origin }/pay`, 'amount=5' ).then( ( res ) => {
+			assert.deepEqual( res, { status: 402, body: '{"error":"card_declined"}' } );
+			return requestThrough( recorder.getAddress(), 'GET', `${ origin }/pixel` ).then( () => {
+				throw new Error( 'Expected the blocked request to fail' );
+			}, err => assert.match( err.message, /socket hang up/ ) );
+		} ).then( () => {
+			const entries = recorder.getEntries();
+
+			assert.deepEqual( entries.map( entry => [ entry._stubbed, entry.response.status, entry.response._error ] ), [
+				[ true, 402, undefined ],
+				[ true, 0, 'Blocked by a request stub' ],
+			] );
+			assert.deepEqual( entries[ 0 ].request.postData, { mimeType: 'text/plain', text: 'amount=5' } );
+		} );
+	} );
+
+	it( 'blocks tunnels to hosts of blocking stubs', () => {
+		const [ host, port ] = recorder.getAddress().split( ':' );
+
+		recorder.setStubs( [ createStub( 'gravatar.com', { block: true } ) ] );
+
+		return new Promise( ( resolve, reject ) => {
+			const req = http.request( { host, port, method: 'CONNECT', path: 'secure.gravatar.com:443' } );
+			req.on( 'connect', ( res, socket ) => {
+				socket.destroy();
+				resolve( res.statusCode );
+			} );
+			req.on( 'error', reject );
+			req.end();
+		} ).then( ( status ) => {
+			const [ entry ] = recorder.getEntries();
+
+			assert.equal( status, 403 );
+			assert.equal( entry.request.url, 'https://secure.gravatar.com:443' );
+			assert.isTrue( entry._stubbed );
+		} );
+	} );
+
+	it( 'exports recorded entries as a HAR log', () => {
+		return requestThrough( recorder.getAddress(), 'GET', `${ origin }/` ).then( () => {
+			const har = recorder.toHar( { comment: 'Checkout places an order' } );
+
+			assert.equal( har.log.version, '1.2' );
+			assert.equal( har.log.creator.name, 'wp-e2e-webdriver' );
+			assert.equal( har.log.comment, 'Checkout places an order' );
+			assert.lengthOf( har.log.entries, 1 );
+
+			recorder.clear();
+			assert.lengthOf( recorder.toHar().log.entries, 0 );
+		} );
+	} );
+} );
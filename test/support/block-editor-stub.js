@@ -0,0 +1,211 @@
+/**
+ * Minimal stand-in for the block editor, with the `wp.data` selectors and the
+ * markup used by the BlockEditor module.
+ */
+
+// Runs in the browser, so it sticks to ES5.
+const editorScript = `
+	( function() {
+		var blockTypes = {
+			'core/paragraph': { title: 'Paragraph', tag: 'p' },
+			'core/heading': { title: 'Heading', tag: 'h2' },
+		};
+		var state = {
+			blocks: [],
+			selected: null,
+			welcomeGuide: true,
+			saving: false,
+			dirty: false,
+			failed: false,
+			notices: [],
+			status: 'auto-draft',
+		};
+		var nextId = 1;
+		var $ = function( selector ) {
+			return document.querySelector( selector );
+		};
+
+		function findBlock( clientId ) {
+			return state.blocks.filter( function( block ) {
+				return block.clientId === clientId;
+			} )[ 0 ];
+		}
+
+		function renderHeader() {
+			var published = state.status === 'publish';
+			$( '.edit-post-header__settings' ).innerHTML = published ?
+				'<button class="editor-post-publish-button">Update</button>' :
+				'<button class="editor-post-publish-panel__toggle">Publish</button>';
+		}
+
+		function insertBlock( name ) {
+			var block = { clientId: 'block-' + nextId++, name: name, attributes: { content: '' }, innerBlocks: [] };
+			var node = document.createElement( blockTypes[ name ].tag );
+			node.className = 'wp-block';
+			node.setAttribute( 'data-block', block.clientId );
+			node.setAttribute( 'data-type', name );
+			node.setAttribute( 'contenteditable', 'true' );
+			node.addEventListener( 'input', function() {
+				block.attributes.content = node.innerHTML;
+				state.dirty = true;
+			} );
+			node.addEventListener( 'focus', function() {
+				state.selected = block.clientId;
+			} );
+			$( '.block-editor-writing-flow' ).appendChild( node );
+			state.blocks.push( block );
+			state.selected = block.clientId;
+			state.dirty = true;
+		}
+
+		function save( status ) {
+			state.saving = true;
+			state.status = status;
+			state.dirty = true;
+			setTimeout( function() {
+				state.saving = false;
+				if ( window.failNextSave ) {
+					window.failNextSave = false;
+					state.failed = true;
+					state.notices = [ { status: 'error', content: 'Publishing failed.' } ];
+					return;
+				}
+				state.failed = false;
+				state.dirty = false;
+				renderHeader();
+			}, 300 );
+		}
+
+		window.wp = {
+			blocks: {
+				getBlockType: function( name ) {
+					return blockTypes[ name ];
+				},
+			},
+			data: {
+				select: function( store ) {
+					return {
+						'core/editor': {
+							isSavingPost: function() { return state.saving; },
+							isAutosavingPost: function() { return false; },
+							didPostSaveRequestFail: function() { return state.failed; },
+							isEditedPostDirty: function() { return state.dirty; },
+							getCurrentPostId: function() { return 42; },
+							getEditedPostAttribute: function( key ) { return key === 'status' ? state.status : null; },
+							getPermalink: function() { return window.location.origin + '/?p=42'; },
+							getEditedPostContent: function() {
+								return state.blocks.map( function( block ) {
+									var type = blockTypes[ block.name ];
+									var comment = block.name.replace( 'core/', '' );
+									return '<!-- wp:' + comment + ' -->\\n<' + type.tag + '>' + block.attributes.content +
+										'</' + type.tag + '>\\n<!-- /wp:' + comment + ' -->';
+								} ).join( '\\n\\n' );
+							},
+						},
+						'core/block-editor': {
+							getBlocks: function() { return state.blocks; },
+							getClientIdsWithDescendants: function() {
+								return state.blocks.map( function( block ) { return block.clientId; } );
+							},
+							getSelectedBlockClientId: function() { return state.selected; },
+							getBlockName: function( clientId ) { return findBlock( clientId ).name; },
+							getBlockAttributes: function( clientId ) { return findBlock( clientId ).attributes; },
+						},
+						'core/edit-post': {
+							isFeatureActive: function( feature ) { return feature === 'welcomeGuide' && state.welcomeGuide; },
+						},
+						'core/notices': {
+							getNotices: function() { return state.notices; },
+						},
+					}[ store ];
+				},
+				dispatch: function( store ) {
+					return {
+						'core/edit-post': {
+							toggleFeature: function( feature ) {
+								if ( feature === 'welcomeGuide' ) {
+									state.welcomeGuide = ! state.welcomeGuide;
+									var guide = $( '.edit-post-welcome-guide' );
+									guide.parentNode.removeChild( guide );
+								}
+							},
+						},
+					}[ store ];
+				},
+			},
+		};
+
+		document.addEventListener( 'click', function( event ) {
+			var target = event.target.closest( 'button' );
+			if ( ! target ) {
+				return;
+			}
+			if ( target.matches( '.edit-post-header-toolbar__inserter-toggle' ) ) {
+				var menu = $( '.block-editor-inserter__menu' );
+				menu.style.display = menu.style.display === 'none' ? 'block' : 'none';
+				$( '.block-editor-inserter__search input' ).value = '';
+			} else if ( target.matches( '.block-editor-block-types-list__item' ) ) {
+				insertBlock( target.getAttribute( 'data-name' ) );
+				$( '.block-editor-inserter__menu' ).style.display = 'none';
+			} else if ( target.matches( '.editor-post-publish-panel__toggle' ) ) {
+				$( '.editor-post-publish-panel' ).style.display = 'block';
+			} else if ( target.matches( '.editor-post-publish-panel .editor-post-publish-button' ) ) {
+				$( '.editor-post-publish-panel' ).style.display = 'none';
+				save( 'publish' );
+			} else if ( target.matches( '.editor-post-publish-button' ) ) {
+				save( 'publish' );
+			}
+		} );
+
+		document.addEventListener( 'input', function( event ) {
+			if ( ! event.target.matches( '.block-editor-inserter__search input' ) ) {
+				return;
+			}
+			var search = event.target.value.toLowerCase();
+			[].forEach.call( document.querySelectorAll( '.block-editor-block-types-list__item' ), function( item ) {
+				item.style.display = item.textContent.toLowerCase().indexOf( search ) > -1 ? '' : 'none';
+			} );
+		} );
+
+		renderHeader();
+	} )();
+`;
+
+/**
+ * Get markup of the block editor page.
+ *
+ * @return {string} HTML of the page body.
+ */
+export default function blockEditorPage() {
+	return `
+		<div id="wpwrap">
+			<div id="wpbody-content">
+				<div class="block-editor">
+					<div class="edit-post-header">
+						<div class="edit-post-header-toolbar">
+							<button class="edit-post-header-toolbar__inserter-toggle">Add block</button>
+						</div>
+						<div class="edit-post-header__settings"></div>
+					</div>
+					<div class="block-editor-inserter__menu" style="display: none">
+						<div class="block-editor-inserter__search"><input type="search"></div>
+						<button class="block-editor-block-types-list__item" data-name="core/paragraph">
+							<span class="block-editor-block-types-list__item-title">Paragraph</span>
+						</button>
+						<button class="block-editor-block-types-list__item" data-name="core/heading">
+							<span class="block-editor-block-types-list__item-title">Heading</span>
+						</button>
+					</div>
+					<div class="editor-post-publish-panel" style="display: none">
+						<div class="editor-post-publish-panel__header-publish-button">
+							<button class="editor-post-publish-button">Publish</button>
+						</div>
+					</div>
+					<div class="block-editor-writing-flow"></div>
+				</div>
+				<div class="edit-post-welcome-guide">Welcome to the block editor</div>
+			</div>
+		</div>
+		<script>${ editorScript }</script>
+	`;
+}
@@ -0,0 +1,262 @@
+/**
+ * Minimal stand-in for a WooCommerce storefront, with the classic product,
+ * cart, checkout and order received pages.
+ */
+
+/**
+ * External dependencies
+ */
+import querystring from 'querystring';
+
+/**
+ * Internal dependencies
+ */
+import WordPressStub from './wordpress-stub';
+
+const products = {
+	beanie: { id: 15, name: 'Beanie', price: 18 },
+	cap: { id: 16, name: 'Cap', price: 16, regularPrice: 20 },
+	hoodie: { id: 12, name: 'Hoodie', price: 45, variations: [
+		{ id: 13, color: 'Blue' },
+		{ id: 14, color: 'Red' },
+	] },
+};
+const coupons = { save5: 5 };
+const requiredFields = [
+	[ 'billing_first_name', 'Billing First name' ],
+	[ 'billing_last_name', 'Billing Last name' ],
+	[ 'billing_email', 'Billing Email address' ],
+];
+
+function price( amount ) {
+	const sign = amount < 0 ? '-' : '';
+	return `<span class="woocommerce-Price-amount amount">${ sign }<span class="woocommerce-Price-currencySymbol">&#36;</span>` +
+		`${ Math.abs( amount ).toFixed( 2 ) }</span>`;
+}
+
+function salePrice( item ) {
+	return item.regularPrice ? `<del>${ price( item.regularPrice ) }</del> <ins>${ price( item.price ) }</ins>` : price( item.price );
+}
+
+/**
+ * Class representing a WooCommerce stub server, with one cart shared by all
+ * visitors.
+ */
+export default class WooCommerceStub extends WordPressStub {
+	/**
+	 * Creates a stub with products 'beanie' (simple), 'cap' (simple, on sale)
+	 * and 'hoodie' (variable, by color), coupon 'save5' and payment methods 'bacs' and 'cod'.
+	 *
+	 * @param {object} options - Options of `WordPressStub`.
+	 */
+	constructor( options ) {
+		super( options );
+
+		this.cart = [];
+		this.coupons = [];
+		this.orders = [];
+
+		this.route( 'GET', /^\/product\/[\w-]+\/$/, ( req, res ) => this.productPage( req, res ) );
+		this.route( 'POST', /^\/product\/[\w-]+\/$/, ( req, res ) => this.addToCart( req, res ) );
+		this.route( 'GET', '/cart/', ( req, res ) => this.cartPage( req, res ) );
+		this.route( 'POST', '/cart/', ( req, res ) => this.updateCart( req, res ) );
+		this.route( 'GET', '/checkout/', ( req, res ) => this.checkoutPage( req, res ) );
+		this.route( 'POST', '/checkout/', ( req, res ) => this.submitCheckout( req, res ) );
+		this.route( 'GET', /^\/checkout\/order-received\/\d+\/$/, ( req, res ) => this.orderReceivedPage( req, res ) );
+	}
+
+	getProduct( req ) {
+		return products[ req.parsedUrl.pathname.split( '/' )[ 2 ] ];
+	}
+
+	notice( type, message ) {
+		return `<div class="woocommerce-notices-wrapper"><div class="woocommerce-${ type }" role="alert">${ message }</div></div>`;
+	}
+
+	totals() {
+		const subtotal = this.cart.reduce( ( sum, item ) => sum + ( item.price * item.quantity ), 0 );
+		const discount = this.coupons.reduce( ( sum, code ) => sum + coupons[ code ], 0 );
+		return { subtotal, discount, total: Math.max( 0, subtotal - discount ) };
+	}
+
+	productPage( req, res, notice = '' ) {
+		const product = this.getProduct( req );
+		if ( ! product ) {
+			return this.sendHtml( res, 'Not found', '<p>Not found</p>', 404 );
+		}
+
+		const variationIds = ( product.variations || [] ).reduce( ( ids, v ) => {
+			ids[ v.color.toLowerCase() ] = v.id;
+			return ids;
+		}, {} );
+		const options = ( product.variations || [] ).map( v => `<option value="${ v.color.toLowerCase() }">${ v.color }</option>` );
+		const variations = product.variations ? `
+			<table class="variations"><tr><td class="value">
+				<select id="pa_color" name="attribute_pa_color" data-attribute_name="attribute_pa_color">
+					<option value="">Choose an option</option>
+					${ options.join( '' ) }
+				</select>
+			</td></tr></table>
+			<input type="hidden" name="variation_id" class="variation_id" value="0">
+			<script>
+				document.getElementById( 'pa_color' ).addEventListener( 'change', function( event ) {
+					var ids = ${ JSON.stringify( variationIds ) };
+					document.querySelector( '.variation_id' ).value = ids[ event.target.value ] || 0;
+				} );
+			</script>
+		` : '';
+
+		this.sendHtml( res, product.name, `
+			${ notice }
+			<h1 class="product_title">${ product.name }</h1>
+			<form class="cart${ product.variations ? ' variations_form' : '' }" method="post">
+				${ variations }
+				<div class="quantity"><input type="number" class="input-text qty" name="quantity" value="1" min="1"></div>
+				<button type="submit" name="add-to-cart" value="${ product.id }" class="single_add_to_cart_button button">
+					Add to cart
+				</button>
+			</form>
+		` );
+	}
+
+	addToCart( req, res ) {
+		const product = this.getProduct( req );
+		const body = querystring.parse( req.body );
+
+		if ( product.variations && ! Number( body.variation_id ) ) {
+			return this.productPage( req, res, this.notice( 'error', 'Please choose product options&hellip;' ) );
+		}
+
+		const variation = product.variations && product.variations.find( v => v.id === Number( body.variation_id ) );
+		this.cart.push( {
+			key: `key-${ this.cart.length + 1 }`,
+			productId: product.id,
+			name: variation ? `${ product.name } - ${ variation.color }` : product.name,
+			price: product.price,
+			regularPrice: product.regularPrice,
+			quantity: Number( body.quantity ),
+		} );
+
+		this.productPage( req, res, this.notice( 'message', `&ldquo;${ product.name }&rdquo; has been added to your cart.` ) );
+	}
+
+	cartPage( req, res, notice = '' ) {
+		const { subtotal, total } = this.totals();
+		const rows = this.cart.map( item => `
+			<tr class="woocommerce-cart-form__cart-item cart_item">
+				<td class="product-remove">
+					<a href="#" class="remove" data-product_id="${ item.productId }" data-cart_item_key="${ item.key }">&times;</a>
+				</td>
+				<td class="product-name"><a href="#">${ item.name }</a></td>
+				<td class="product-price">${ salePrice( item ) }</td>
+				<td class="product-quantity">
+					<div class="quantity"><input type="number" class="input-text qty" value="${ item.quantity }"></div>
+				</td>
+				<td class="product-subtotal">${ price( item.price * item.quantity ) }</td>
+			</tr>
+		` ).join( '' );
+		const discounts = this.coupons.map( code => `
+			<tr class="cart-discount coupon-${ code }"><th>Coupon: ${ code }</th><td>${ price( -coupons[ code ] ) }</td></tr>
+		` ).join( '' );
+
+		this.sendHtml( res, 'Cart', `
+			${ notice }
+			<form class="woocommerce-cart-form" method="post" action="/cart/">
+				<table class="shop_table cart">${ rows }</table>
+				<div class="coupon">
+					<input type="text" name="coupon_code" id="coupon_code" value="">
+					<button type="submit" name="apply_coupon" value="Apply coupon">Apply coupon</button>
+				</div>
+			</form>
+			<div class="cart_totals">
+				<table>
+					<tr class="cart-subtotal"><th>Subtotal</th><td>${ price( subtotal ) }</td></tr>
+					${ discounts }
+					<tr class="order-total"><th>Total</th><td><strong>${ price( total ) }</strong></td></tr>
+				</table>
+			</div>
+		` );
+	}
+
+	updateCart( req, res ) {
+		const code = querystring.parse( req.body ).coupon_code.toLowerCase();
+
+		if ( ! coupons[ code ] ) {
+			return this.cartPage( req, res, this.notice( 'error', `Coupon "${ code }" does not exist!` ) );
+		}
+
+		this.coupons.push( code );
+		this.cartPage( req, res, this.notice( 'message', 'Coupon code applied successfully.' ) );
+	}
+
+	checkoutPage( req, res, errors = [] ) {
+		const field = ( name, type = 'text' ) => `<input type="${ type }" name="${ name }" id="${ name }">`;
+		const countries = prefix => `
+			<select name="${ prefix }_country" id="${ prefix }_country">
+				<option value="">Select a country / region&hellip;</option>
+				<option value="US">United States (US)</option>
+				<option value="GB">United Kingdom (UK)</option>
+			</select>
+		`;
+		const address = prefix => [ 'first_name', 'last_name', 'address_1', 'city', 'postcode' ]
+			.map( name => field( `${ prefix }_${ name }` ) ).join( '' ) + countries( prefix );
+		const notice = errors.length ? `
+			<div class="woocommerce-NoticeGroup woocommerce-NoticeGroup-checkout">
+				<ul class="woocommerce-error" role="alert">${ errors.map( error => `<li>${ error }</li>` ).join( '' ) }</ul>
+			</div>
+		` : '';
+
+		this.sendHtml( res, 'Checkout', `
+			<form name="checkout" method="post" class="checkout woocommerce-checkout" action="/checkout/">
+				${ notice }
+				<div class="woocommerce-billing-fields">
+					${ address( 'billing' ) }${ field( 'billing_email', 'email' ) }${ field( 'billing_phone', 'tel' ) }
+				</div>
+				<div class="woocommerce-shipping-fields">
+					<input id="ship-to-different-address-checkbox" type="checkbox" name="ship_to_different_address" value="1">
+					<div class="shipping_address">${ address( 'shipping' ) }</div>
+				</div>
+				<textarea name="order_comments" id="order_comments"></textarea>
+				<div id="payment">
+					<ul class="payment_methods">
+						<li><input id="payment_method_bacs" type="radio" name="payment_method" value="bacs" checked></li>
+						<li><input id="payment_method_cod" type="radio" name="payment_method" value="cod"></li>
+					</ul>
+					<button type="submit" id="place_order" name="woocommerce_checkout_place_order">Place order</button>
+				</div>
+			</form>
+		` );
+	}
+
+	submitCheckout( req, res ) {
+		const body = querystring.parse( req.body );
+		const errors = requiredFields
+			.filter( ( [ name ] ) => ! body[ name ] )
+			.map( ( [ , label ] ) => `<strong>${ label }</strong> is a required field.` );
+
+		if ( errors.length ) {
+			return this.checkoutPage( req, res, errors );
+		}
+
+		const order = { id: 100 + this.orders.length + 1, fields: body, items: this.cart, total: this.totals().total };
+		this.orders.push( order );
+		this.cart = [];
+		this.coupons = [];
+
+		this.redirect( res, `/checkout/order-received/${ order.id }/` );
+	}
+
+	orderReceivedPage( req, res ) {
+		const order = this.orders.find( o => o.id === Number( req.parsedUrl.pathname.split( '/' )[ 3 ] ) );
+
+		this.sendHtml( res, 'Order received', `
+			<div class="woocommerce-order">
+				<p class="woocommerce-notice woocommerce-thankyou-order-received">Thank you. Your order has been received.</p>
+				<ul class="woocommerce-order-overview order_details">
+					<li class="woocommerce-order-overview__order order">Order number: <strong>${ order.id }</strong></li>
+					<li class="woocommerce-order-overview__total total">Total: <strong>${ price( order.total ) }</strong></li>
+				</ul>
+			</div>
+		` );
+	}
+}
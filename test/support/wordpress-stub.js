@@ -0,0 +1,348 @@
+/**
+ * Minimal stand-in for a WordPress site, so tests don't depend on a real install.
+ */
+
+/**
+ * External dependencies
+ */
+import crypto from 'crypto';
+import http from 'http';
+import querystring from 'querystring';
+import url from 'url';
+
+const loggedInCookie = 'wordpress_logged_in_stub';
+const secureCookie = 'wordpress_sec_stub';
+const logoutNonce = 'stub-nonce';
+const restNonce = '0123456789';
+const restRoute = /^\/wp-json\/([\w-]+\/v\d+)\/([\w-]+)(?:\/(\d+))?\/?$/;
+
+function escapeHtml( value ) {
+	return String( value ).replace( /[&<>"']/g, char => `&#${ char.charCodeAt( 0 ) };` );
+}
+
+function parseCookies( header = '' ) {
+	return header.split( ';' ).reduce( ( cookies, pair ) => {
+		const index = pair.indexOf( '=' );
+		if ( index > -1 ) {
+			cookies[ pair.slice( 0, index ).trim() ] = decodeURIComponent( pair.slice( index + 1 ).trim() );
+		}
+		return cookies;
+	}, {} );
+}
+
+/**
+ * Class representing a WordPress stub server.
+ */
+export default class WordPressStub {
+	/**
+	 * Creates a stub with wp-login.php, wp-admin and REST API routes.
+	 *
+	 * @param {object} options - Object where `users` maps usernames to passwords
+	 *                           and `applicationPasswords` maps usernames to
+	 *                           application passwords for the REST API.
+	 */
+	constructor( { users = { admin: 'password' }, applicationPasswords = {} } = {} ) {
+		this.users = users;
+		this.applicationPasswords = applicationPasswords;
+		this.entities = new Map();
+		this.nextId = 1;
+		this.sessions = new Map();
+		this.routes = [];
+		this.requests = [];
+		this.sockets = new Set();
+		this.adminNotices = [];
+		this.adminMenu = [
+			{ title: 'Dashboard', href: '/wp-admin/index.php', submenu: [
+				{ title: 'Home', href: '/wp-admin/index.php' },
+				{ title: 'Updates', count: 2, href: '/wp-admin/update-core.php' },
+			] },
+			{ title: 'Plugins', count: 2, href: '/wp-admin/plugins.php', submenu: [] },
+			{ title: 'WooCommerce', href: '/wp-admin/admin.php?page=wc-admin', submenu: [
+				{ title: 'Home', href: '/wp-admin/admin.php?page=wc-admin' },
+				{ title: 'Orders', count: 1, href: '/wp-admin/edit.php?post_type=shop_order' },
+				{ title: 'Settings', href: '/wp-admin/admin.php?page=wc-settings' },
+			] },
+		];
+
+		this.server = http.createServer( ( req, res ) => this.handle( req, res ) );
+		this.server.on( 'connection', ( socket ) => {
+			this.sockets.add( socket );
+			socket.on( 'close', () => this.sockets.delete( socket ) );
+		} );
+
+		this.route( 'GET', '/wp-login.php', ( req, res ) => this.loginPage( req, res ) );
+		this.route( 'POST', '/wp-login.php', ( req, res ) => this.submitLogin( req, res ) );
+		this.route( 'GET', /^\/wp-admin\//, ( req, res ) => this.adminPage( req, res ) );
+		this.route( 'GET', '/wp-admin/admin-ajax.php', ( req, res ) => this.restNoncePage( req, res ) );
+		[ 'GET', 'POST', 'DELETE' ].forEach( ( method ) => {
+			this.route( method, restRoute, ( req, res ) => this.restRequest( req, res ) );
+		} );
+	}
+
+	/**
+	 * Start listening on a random port.
+	 *
+	 * @return {Promise} A promise that will be resolved with the base URL.
+	 */
+	start() {
+		return new Promise( ( resolve ) => {
+			this.server.listen( 0, '127.0.0.1', () => {
+				this.baseUrl = `http://127.0.0.1:${ this.server.address().port }`;
+				resolve( this.baseUrl );
+			} );
+		} );
+	}
+
+	/**
+	 * Stop listening, dropping keep-alive connections of the browser.
+	 *
+	 * @return {Promise} A promise that will be resolved once the server is closed.
+	 */
+	stop() {
+		this.sockets.forEach( socket => socket.destroy() );
+		return new Promise( resolve => this.server.close( resolve ) );
+	}
+
+	/**
+	 * Add a route. Routes added later take precedence.
+	 *
+	 * @param {string}        method   - HTTP method.
+	 * @param {string|RegExp} pathname - Exact pathname or pattern to match.
+	 * @param {Function}      handler  - Called with `req` and `res`. The parsed URL
+	 *                                   and the raw body are in `req.parsedUrl`
+	 *                                   and `req.body`.
+	 */
+	route( method, pathname, handler ) {
+		this.routes.unshift( { method, pathname, handler } );
+	}
+
+	/**
+	 * Find requests received by the stub.
+	 *
+	 * @param {string} method   - HTTP method.
+	 * @param {string} pathname - Request pathname.
+	 *
+	 * @return {Array} Received requests with `method`, `pathname`, `query` and `body`.
+	 */
+	received( method, pathname ) {
+		return this.requests.filter( r => r.method === method && r.pathname === pathname );
+	}
+
+	/**
+	 * Get username of the logged in user of the request.
+	 *
+	 * @param {object} req - Request.
+	 *
+	 * @return {string} Username, or `null` if the request is not logged in.
+	 */
+	currentUser( req ) {
+		const cookie = parseCookies( req.headers.cookie )[ loggedInCookie ];
+		if ( ! cookie ) {
+			return null;
+		}
+
+		const [ username, , token ] = cookie.split( '|' );
+		return this.sessions.get( token ) === username ? username : null;
+	}
+
+	handle( req, res ) {
+		let body = '';
+		req.on( 'data', chunk => body += chunk );
+		req.on( 'end', () => {
+			req.body = body;
+			req.parsedUrl = url.parse( req.url, true );
+			this.requests.push( {
+				method: req.method,
+				pathname: req.parsedUrl.pathname,
+				query: req.parsedUrl.query,
+				body,
+			} );
+
+			const route = this.routes.find( ( r ) => {
+				const pathname = req.parsedUrl.pathname;
+				const matches = r.pathname instanceof RegExp ? r.pathname.test( pathname ) : r.pathname === pathname;
+				return r.method === req.method && matches;
+			} );
+
+			if ( route ) {
+				route.handler( req, res );
+			} else {
+				this.sendHtml( res, 'Not found', '<p>Not found</p>', 404 );
+			}
+		} );
+	}
+
+	sendHtml( res, title, content, status = 200 ) {
+		res.writeHead( status, { 'Content-Type': 'text/html; charset=utf-8' } );
+		res.end( `<!DOCTYPE html><html><head><title>${ title }</title></head><body>${ content }</body></html>` );
+	}
+
+	redirect( res, location, cookies = [] ) {
+		res.writeHead( 302, { Location: location, 'Set-Cookie': cookies } );
+		res.end();
+	}
+
+	loginPage( req, res, error = '' ) {
+		const query = req.parsedUrl.query;
+
+		if ( query.action === 'logout' ) {
+			if ( query._wpnonce !== logoutNonce ) {
+				const confirmUrl = `/wp-login.php?action=logout&amp;_wpnonce=${ logoutNonce }`;
+				return this.sendHtml( res, 'WordPress Failure Notice',
+					`<div class="wp-die-message">Do you really want to <a href="${ confirmUrl }">log out</a>?</div>`
+				);
+			}
+
+			const cookie = parseCookies( req.headers.cookie )[ loggedInCookie ];
+			if ( cookie ) {
+				this.sessions.delete( cookie.split( '|' )[ 2 ] );
+			}
+
+			return this.redirect( res, '/wp-login.php?loggedout=true', [
+				`${ loggedInCookie }=deleted; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT`,
+				`${ secureCookie }=deleted; Path=/wp-admin; Expires=Thu, 01 Jan 1970 00:00:00 GMT`,
+			] );
+		}
+
+		this.sendHtml( res, 'Log In', `
+			${ error ? `<div id="login_error">${ error }</div>` : '' }
+			<form id="loginform" method="post" action="/wp-login.php">
+				<input type="text" name="log" id="user_login">
+				<input type="password" name="pwd" id="user_pass">
+				<input type="submit" name="wp-submit" id="wp-submit" value="Log In">
+			</form>
+		` );
+	}
+
+	submitLogin( req, res ) {
+		const { log, pwd } = querystring.parse( req.body );
+
+		if ( ! this.users.hasOwnProperty( log ) || this.users[ log ] !== pwd ) {
+			return this.loginPage( req, res,
+				`<strong>Error</strong>: The password you entered for the username ${ escapeHtml( log ) } is incorrect.`
+			);
+		}
+
+		const token = crypto.randomBytes( 16 ).toString( 'hex' );
+		const expiration = Math.floor( Date.now() / 1000 ) + 3600;
+		this.sessions.set( token, log );
+
+		this.redirect( res, '/wp-admin/', [
+			`${ loggedInCookie }=${ encodeURIComponent( `${ log }|${ expiration }|${ token }|hmac` ) }; Path=/`,
+			`${ secureCookie }=${ encodeURIComponent( `${ log }|${ expiration }|${ token }|hmac` ) }; Path=/wp-admin; HttpOnly`,
+		] );
+	}
+
+	adminPage( req, res ) {
+		const username = this.currentUser( req );
+		if ( ! username ) {
+			return this.redirect( res, `/wp-login.php?redirect_to=${ encodeURIComponent( req.url ) }&reauth=1` );
+		}
+
+		const count = item => item.count ? ` <span class="update-plugins"><span class="count">${ item.count }</span></span>` : '';
+		const link = ( item, content ) => `<a href="${ escapeHtml( item.href ) }">${ content }</a>`;
+		const menu = this.adminMenu.map( item => `
+			<li class="wp-has-submenu menu-top">
+				${ link( item, `<div class="wp-menu-name">${ item.title }${ count( item ) }</div>` ) }
+				<ul class="wp-submenu wp-submenu-wrap">
+					${ item.submenu.map( sub => `<li>${ link( sub, sub.title + count( sub ) ) }</li>` ).join( '' ) }
+				</ul>
+			</li>
+		` ).join( '' );
+		const notices = this.adminNotices.map( notice => `
+			<div class="notice notice-${ notice.type } is-dismissible">
+				<p>${ notice.message }</p>
+				<button type="button" class="notice-dismiss"><span class="screen-reader-text">Dismiss this notice.</span></button>
+			</div>
+		` ).join( '' );
+
+		this.sendHtml( res, 'Dashboard', `
+			<div id="wpwrap">
+				<div id="wpadminbar">
+					<ul>
+						<li id="wp-admin-bar-user-info"><span class="username">${ escapeHtml( username ) }</span></li>
+						<li id="wp-admin-bar-logout"><a href="/wp-login.php?action=logout&amp;_wpnonce=${ logoutNonce }">Log Out</a></li>
+					</ul>
+				</div>
+				<div id="adminmenuwrap"><ul id="adminmenu">${ menu }</ul></div>
+				<div id="wpbody-content">
+					${ notices }
+					<h1>${ escapeHtml( req.url ) }</h1>
+				</div>
+			</div>
+		` );
+	}
+
+	sendJson( res, data, status = 200 ) {
+		res.writeHead( status, { 'Content-Type': 'application/json; charset=UTF-8' } );
+		res.end( JSON.stringify( data ) );
+	}
+
+	restNoncePage( req, res ) {
+		if ( req.parsedUrl.query.action !== 'rest-nonce' || ! this.currentUser( req ) ) {
+			res.writeHead( 400 );
+			return res.end( '0' );
+		}
+
+		res.end( restNonce );
+	}
+
+	/**
+	 * Get username the REST request is authenticated as, via an application
+	 * password or the logged in cookie plus REST nonce.
+	 *
+	 * @param {object} req - Request.
+	 *
+	 * @return {string} Username, or `null` if the request is not authenticated.
+	 */
+	restUser( req ) {
+		const authorization = req.headers.authorization || '';
+		if ( authorization.indexOf( 'Basic ' ) === 0 ) {
+			const [ username, password ] = Buffer.from( authorization.slice( 6 ), 'base64' ).toString().split( ':' );
+			return this.applicationPasswords[ username ] === password ? username : null;
+		}
+
+		return req.headers[ 'x-wp-nonce' ] === restNonce ? this.currentUser( req ) : null;
+	}
+
+	restRequest( req, res ) {
+		if ( ! this.restUser( req ) ) {
+			return this.sendJson( res, {
+				code: 'rest_forbidden',
+				message: 'Sorry, you are not allowed to do that.',
+				data: { status: 401 },
+			}, 401 );
+		}
+
+		const [ , namespace, type, id ] = req.parsedUrl.pathname.match( restRoute );
+		const collection = `${ namespace }/${ type }`;
+		if ( ! this.entities.has( collection ) ) {
+			this.entities.set( collection, new Map() );
+		}
+		const entities = this.entities.get( collection );
+
+		if ( ! id && req.method === 'POST' ) {
+			const entity = Object.assign( { id: this.nextId++ }, JSON.parse( req.body || '{}' ) );
+			entities.set( entity.id, entity );
+			return this.sendJson( res, entity, 201 );
+		}
+		if ( ! id && req.method === 'GET' ) {
+			return this.sendJson( res, Array.from( entities.values() ) );
+		}
+		if ( ! id || ! entities.has( Number( id ) ) ) {
+			return this.sendJson( res, {
+				code: 'rest_post_invalid_id',
+				message: 'Invalid post ID.',
+				data: { status: 404 },
+			}, 404 );
+		}
+
+		const entity = entities.get( Number( id ) );
+		if ( req.method === 'DELETE' ) {
+			entities.delete( Number( id ) );
+			return this.sendJson( res, { deleted: true, previous: entity } );
+		}
+
+		this.sendJson( res, entity );
+	}
+}
@@ -0,0 +1,71 @@
+/**
+ * External dependencies
+ */
+import chai from 'chai';
+import { PNG } from 'pngjs';
+
+/**
+ * Internal dependencies
+ */
+import { compareImages, maskRegions } from '../src/visual-diff';
+
+const assert = chai.assert;
+
+function solidImage( width, height, color ) {
+	const png = new PNG( { width, height } );
+	for ( let i = 0; i < png.data.length; i += 4 ) {
+		png.data[ i ] = color[ 0 ];
+		png.data[ i + 1 ] = color[ 1 ];
+		png.data[ i + 2 ] = color[ 2 ];
+		png.data[ i + 3 ] = 255;
+	}
+	return png;
+}
+
+function paint( png, x, y, color ) {
+	const i = ( y * png.width + x ) * 4;
+	png.data[ i ] = color[ 0 ];
+	png.data[ i + 1 ] = color[ 1 ];
+	png.data[ i + 2 ] = color[ 2 ];
+}
+
+describe( 'VisualDiff', () => {
+	const white = [ 255, 255, 255 ];
+	const black = [ 0, 0, 0 ];
+
+	it( 'reports the ratio of differing pixels and marks them red', () => {
+		const actual = solidImage( 10, 10, white );
+		paint( actual, 2, 3, black );
+
+		const result = compareImages( solidImage( 10, 10, white ), actual );
+
+		assert.isTrue( result.sizeMatches );
+		assert.equal( result.diffPixels, 1 );
+		assert.equal( result.ratio, 0.01 );
+		assert.deepEqual( Array.from( result.diff.data.slice( ( 3 * 10 + 2 ) * 4, ( 3 * 10 + 2 ) * 4 + 4 ) ), [ 255, 0, 0, 255 ] );
+	} );
+
+	it( 'ignores color differences within the threshold', () => {
+		const result = compareImages( solidImage( 4, 4, white ), solidImage( 4, 4, [ 250, 250, 250 ] ), { threshold: 0.1 } );
+
+		assert.equal( result.diffPixels, 0 );
+	} );
+
+	it( 'reports images of different sizes', () => {
+		const result = compareImages( solidImage( 4, 4, white ), solidImage( 4, 6, white ) );
+
+		assert.isFalse( result.sizeMatches );
+		assert.equal( result.diffPixels, 8 );
+	} );
+
+	it( 'masks regions so they compare equal', () => {
+		const baseline = solidImage( 10, 10, white );
+		const actual = solidImage( 10, 10, white );
+		paint( actual, 5, 5, black );
+
+		const regions = [ { x: 4.5, y: 4.5, width: 2, height: 2 } ];
+		const result = compareImages( maskRegions( baseline, regions ), maskRegions( actual, regions ) );
+
+		assert.equal( result.diffPixels, 0 );
+	} );
+} );
@@ -0,0 +1,166 @@
+/**
+ * External dependencies
+ */
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import test from 'selenium-webdriver/testing';
+
+/**
+ * Internal dependencies
+ */
+import { WCStorefront } from '../src/index';
+import WooCommerceStub from './support/woocommerce-stub';
+
+chai.use( chaiAsPromised );
+
+const assert = chai.assert;
+const mochaTimeout = 30000;
+
+const billing = {
+	firstName: 'John',
+	lastName: 'Doe',
+	address1: '1 Main St',
+	city: 'San Francisco',
+	postcode: '94110',
+	country: 'United States (US)',
+	email: 'john.doe@example.com',
+};
+
+let manager;
+let driver;
+let stub;
+let originalBaseUrl;
+
+describe( 'WCStorefront.parsePrice', function() {
+	it( 'parses prices of any format', () => {
+		assert.strictEqual( WCStorefront.parsePrice( '$1,234.50' ), 1234.5 );
+		assert.strictEqual( WCStorefront.parsePrice( '1.234,50 €' ), 1234.5 );
+		assert.strictEqual( WCStorefront.parsePrice( '¥1,000' ), 1000 );
+		assert.strictEqual( WCStorefront.parsePrice( '-$5.00' ), -5 );
+		assert.isNull( WCStorefront.parsePrice( 'Free!' ) );
+		assert.isNull( WCStorefront.parsePrice( null ) );
+	} );
+} );
+
+test.describe( 'WCStorefront', function() {
+	this.timeout( mochaTimeout );
+
+	test.before( function() {
+		manager = global.__MANAGER__;
+		driver = global.__DRIVER__;
+		originalBaseUrl = manager.config.baseUrl;
+
+		stub = new WooCommerceStub();
+		return stub.start().then( ( baseUrl ) => {
+			manager.config.baseUrl = baseUrl;
+		} );
+	} );
+
+	test.afterEach( function() {
+		stub.cart = [];
+		stub.coupons = [];
+	} );
+
+	test.after( function() {
+		manager.config.baseUrl = originalBaseUrl;
+		return stub.stop();
+	} );
+
+	test.it( 'has function "addToCart" to add simple and variable products', () => {
+		return WCStorefront.addToCart( manager, '/product/beanie/', { quantity: 2 } ).then( ( message ) => {
+			assert.equal( message, '“Beanie” has been added to your cart.' );
+			return WCStorefront.addToCart( manager, '/product/hoodie/', { attributes: { color: 'Red' } } );
+		} ).then( () => {
+			assert.deepEqual( stub.cart.map( item => [ item.name, item.quantity ] ), [
+				[ 'Beanie', 2 ],
+				[ 'Hoodie - Red', 1 ],
+			] );
+		} );
+	} );
+
+	test.it( 'rejects adding a product with an unknown attribute option', () => {
+		return assert.isRejected(
+			WCStorefront.addToCart( manager, '/product/hoodie/', { attributes: { color: 'Green' }, waitMs: 1000 } ),
+			/Could not choose 'Green' for attribute 'color'/
+		);
+	} );
+
+	test.it( 'has functions "getCart" and "applyCoupon"', () => {
+		return WCStorefront.addToCart( manager, '/product/beanie/', { quantity: 2 } ).then( () => {
+			return WCStorefront.addToCart( manager, '/product/cap/' );
+		} ).then( () => {
+			return WCStorefront.goToCart( manager );
+		} ).then( () => {
+			return WCStorefront.applyCoupon( driver, 'save5' );
+		} ).then( ( message ) => {
+			assert.equal( message, 'Coupon code applied successfully.' );
+			return WCStorefront.getCart( driver );
+		} ).then( ( cart ) => {
+			assert.deepEqual( cart, {
+				items: [
+					{ key: 'key-1', productId: '15', name: 'Beanie', price: 18, quantity: 2, subtotal: 36 },
+					{ key: 'key-2', productId: '16', name: 'Cap', price: 16, quantity: 1, subtotal: 16 },
+				],
+				coupons: [ { code: 'save5', amount: -5 } ],
+				taxes: [],
+				subtotal: 52,
+				shipping: null,
+				total: 47,
+			} );
+		} );
+	} );
+
+	test.it( 'rejects applying an invalid coupon', () => {
+		return WCStorefront.goToCart( manager ).then( () => {
+			return assert.isRejected(
+				WCStorefront.applyCoupon( driver, 'nope' ),
+				/Failed to apply coupon 'nope': Coupon "nope" does not exist!/
+			);
+		} );
+	} );
+
+	test.it( 'has function "checkout" to place the order and get its number', () => {
+		return WCStorefront.addToCart( manager, '/product/beanie/' ).then( () => {
+			return WCStorefront.checkout( manager, {
+				billing,
+				shipping: { firstName: 'Jane', lastName: 'Doe', country: 'GB' },
+				orderComments: 'Leave at the door',
+				paymentMethod: 'cod',
+			} );
+		} ).then( ( orderNumber ) => {
+			const order = stub.orders.find( o => String( o.id ) === orderNumber );
+
+			const fields = [
+				'billing_first_name',
+				'billing_address_1',
+				'billing_country',
+				'shipping_first_name',
+				'shipping_country',
+				'order_comments',
+				'payment_method',
+			];
+
+			assert.isOk( order );
+			assert.deepEqual( fields.map( name => order.fields[ name ] ), [
+				'John',
+				'1 Main St',
+				'US',
+				'Jane',
+				'GB',
+				'Leave at the door',
+				'cod',
+			] );
+		} );
+	} );
+
+	test.it( 'rejects placing an order with checkout errors', () => {
+		return WCStorefront.goToCheckout( manager ).then( () => {
+			return WCStorefront.fillCheckout( driver, { billing: { firstName: 'John' } } );
+		} ).then( () => {
+			return assert.isRejected(
+				WCStorefront.placeOrder( driver ),
+				/Failed to place the order: Billing Last name is a required field\.; Billing Email address is a required field\./
+			);
+		} );
+	} );
+} );
@@ -0,0 +1,121 @@
+/**
+ * External dependencies
+ */
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import test from 'selenium-webdriver/testing';
+
+/**
+ * Internal dependencies
+ */
+import { WPAdmin, WPAuth } from '../src/index';
+import WordPressStub from './support/wordpress-stub';
+
+chai.use( chaiAsPromised );
+
+const assert = chai.assert;
+const mochaTimeout = 30000;
+
+let manager;
+let driver;
+let stub;
+let originalBaseUrl;
+
+test.describe( 'WPAdmin', function() {
+	this.timeout( mochaTimeout );
+
+	// Log in to a WordPress stub
+	test.before( function() {
+		manager = global.__MANAGER__;
+		driver = global.__DRIVER__;
+		originalBaseUrl = manager.config.baseUrl;
+
+		stub = new WordPressStub();
+		stub.route( 'GET', '/wp-admin/forbidden.php', ( req, res ) => {
+			res.writeHead( 403, { 'Content-Type': 'text/html' } );
+			res.end(
+				'<html><body id="error-page">' +
+				'<div class="wp-die-message">Sorry, you are not allowed to access this page.</div>' +
+				'</body></html>'
+			);
+		} );
+
+		return stub.start().then( ( baseUrl ) => {
+			manager.config.baseUrl = baseUrl;
+			return WPAuth.login( manager, 'admin', 'password', { reuseSession: false } );
+		} );
+	} );
+
+	test.afterEach( function() {
+		stub.adminNotices = [];
+	} );
+
+	test.after( function() {
+		driver.manage().deleteAllCookies();
+		manager.config.baseUrl = originalBaseUrl;
+		return stub.stop();
+	} );
+
+	test.it( 'has function "goToAdminUrl" to open a page relative to wp-admin', () => {
+		return WPAdmin.goToAdminUrl( manager, 'edit.php?post_type=product' ).then( ( notices ) => {
+			assert.deepEqual( notices, [] );
+			return assert.eventually.equal(
+				driver.getCurrentUrl(),
+				manager.getPageUrl( '/wp-admin/edit.php?post_type=product' )
+			);
+		} );
+	} );
+
+	test.it( 'has function "goToAdminPage" to open a top-level menu item', () => {
+		return WPAdmin.goToAdminPage( manager, 'Plugins' ).then( () => {
+			return assert.eventually.equal( driver.getCurrentUrl(), manager.getPageUrl( '/wp-admin/plugins.php' ) );
+		} );
+	} );
+
+	test.it( 'has function "goToAdminPage" to open a submenu item', () => {
+		return WPAdmin.goToAdminPage( manager, 'WooCommerce', 'Settings' ).then( () => {
+			return assert.eventually.equal( driver.getCurrentUrl(), manager.getPageUrl( '/wp-admin/admin.php?page=wc-settings' ) );
+		} );
+	} );
+
+	test.it( 'ignores count bubbles in menu titles', () => {
+		return WPAdmin.goToAdminPage( manager, 'WooCommerce', 'Orders' ).then( () => {
+			return assert.eventually.equal( driver.getCurrentUrl(), manager.getPageUrl( '/wp-admin/edit.php?post_type=shop_order' ) );
+		} );
+	} );
+
+	test.it( 'rejects if the menu item can not be found', () => {
+		return assert.isRejected(
+			WPAdmin.goToAdminPage( manager, 'WooCommerce', 'Missing' ),
+			'Could not find admin menu item \'WooCommerce > Missing\''
+		);
+	} );
+
+	test.it( 'resolves with admin notices of the page', () => {
+		stub.adminNotices = [
+			{ type: 'error', message: 'Plugin could not be activated.' },
+			{ type: 'success', message: 'Settings saved.' },
+		];
+
+		return assert.eventually.deepEqual( WPAdmin.goToAdminUrl( manager, 'plugins.php' ), [
+			{ type: 'error', message: 'Plugin could not be activated.' },
+			{ type: 'success', message: 'Settings saved.' },
+		] );
+	} );
+
+	test.it( 'rejects on error notices with "failOnErrorNotice"', () => {
+		stub.adminNotices = [ { type: 'error', message: 'Plugin could not be activated.' } ];
+
+		return assert.isRejected(
+			WPAdmin.goToAdminUrl( manager, 'plugins.php', { failOnErrorNotice: true } ),
+			/Error notices at .*: Plugin could not be activated\./
+		);
+	} );
+
+	test.it( 'rejects with the message of WordPress error pages', () => {
+		return assert.isRejected(
+			WPAdmin.goToAdminUrl( manager, 'forbidden.php' ),
+			/WordPress error at .*: Sorry, you are not allowed to access this page\./
+		);
+	} );
+} );
@@ -0,0 +1,90 @@
+/**
+ * External dependencies
+ */
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import test from 'selenium-webdriver/testing';
+
+/**
+ * Internal dependencies
+ */
+import { WPAuth } from '../src/index';
+import WordPressStub from './support/wordpress-stub';
+
+chai.use( chaiAsPromised );
+
+const assert = chai.assert;
+const mochaTimeout = 30000;
+
+let manager;
+let driver;
+let stub;
+let originalBaseUrl;
+
+test.describe( 'WPAuth', function() {
+	this.timeout( mochaTimeout );
+
+	// Point manager to a WordPress stub
+	test.before( function() {
+		manager = global.__MANAGER__;
+		driver = global.__DRIVER__;
+		originalBaseUrl = manager.config.baseUrl;
+
+		stub = new WordPressStub( { users: { admin: 'password', customer: 'secret' } } );
+		return stub.start().then( ( baseUrl ) => {
+			manager.config.baseUrl = baseUrl;
+		} );
+	} );
+
+	test.after( function() {
+		WPAuth.clearSessionCache( manager );
+		manager.config.baseUrl = originalBaseUrl;
+		return stub.stop();
+	} );
+
+	test.it( 'has function "login" to log in through wp-login.php', () => {
+		return WPAuth.login( manager, 'admin', 'password' ).then( () => {
+			assert.lengthOf( stub.received( 'POST', '/wp-login.php' ), 1 );
+			return assert.eventually.isTrue( WPAuth.isLoggedIn( manager, 'admin' ) );
+		} );
+	} );
+
+	test.it( 'has function "getLoggedInUsername" to read the user from the logged in cookie', () => {
+		return assert.eventually.equal( WPAuth.getLoggedInUsername( driver ), 'admin' );
+	} );
+
+	test.it( 'does not submit the login form when already logged in as the user', () => {
+		return WPAuth.login( manager, 'admin', 'password' ).then( () => {
+			assert.lengthOf( stub.received( 'POST', '/wp-login.php' ), 1 );
+		} );
+	} );
+
+	test.it( 'injects cached auth cookies instead of submitting the login form', () => {
+		driver.manage().deleteAllCookies();
+
+		return WPAuth.login( manager, 'admin', 'password' ).then( () => {
+			assert.lengthOf( stub.received( 'POST', '/wp-login.php' ), 1 );
+			return assert.eventually.isTrue( WPAuth.isLoggedIn( manager, 'admin' ) );
+		} );
+	} );
+
+	test.it( 'logs out the current user before logging in as another user', () => {
+		return WPAuth.login( manager, 'customer', 'secret' ).then( () => {
+			assert.lengthOf( stub.received( 'POST', '/wp-login.php' ), 2 );
+			return assert.eventually.isTrue( WPAuth.isLoggedIn( manager, 'customer' ) );
+		} );
+	} );
+
+	test.it( 'has function "logout" to log out via the admin bar link', () => {
+		return WPAuth.logout( manager ).then( () => {
+			return assert.eventually.isFalse( WPAuth.isLoggedIn( manager ) );
+		} );
+	} );
+
+	test.it( 'rejects with the WordPress login error', () => {
+		return assert.isRejected(
+			WPAuth.login( manager, 'admin', 'wrong-password', { reuseSession: false } ),
+			/Failed to log in as 'admin': Error: The password you entered for the username admin is incorrect/
+		);
+	} );
+} );